@@ -1,108 +1,374 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.28;
 
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts-upgradeable/access/Ownable2StepUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/EIP712Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/NoncesUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
 import "./GovToken.sol";
+import "./interfaces/IVotingPowerSource.sol";
 
 /**
  * @title DAOGovernance
  * @dev Contract for managing DAO proposals and voting.
+ * Votes can also be cast gaslessly through EIP-712 signed ballots submitted by a relayer.
+ * Ownership moves in two steps; once the DAO owns itself, settings only change through proposals.
+ * Deployed behind a UUPS proxy; upgrades go through governance like any other setting.
  */
-contract DAOGovernance is Ownable {
+contract DAOGovernance is Ownable2StepUpgradeable, EIP712Upgradeable, NoncesUpgradeable, UUPSUpgradeable {
+    // Denominator for quorum and approval threshold percentages in basis points
+    uint256 public constant BPS_DENOMINATOR = 10_000;
+    // EIP-712 type hash of a signed ballot
+    bytes32 public constant BALLOT_TYPEHASH =
+        keccak256("Ballot(uint256 proposalId,uint8 support,uint256 nonce,uint256 deadline)");
+
     // The governance token used for voting
     GovToken public govToken;
+    // Optional source combining other assets into voting power, zero to use GOV voting power only
+    IVotingPowerSource public votingPowerSource;
+
+    // Ballot options
+    enum VoteType {
+        Against,
+        For,
+        Abstain
+    }
+
+    // Lifecycle states of a proposal
+    enum ProposalState {
+        Active,
+        Canceled,
+        Defeated,
+        Succeeded,
+        Queued,
+        Expired,
+        Executed
+    }
+
+    // On-chain call performed when a passed proposal is executed
+    struct Action {
+        address target;             // Contract to call
+        uint256 value;              // ETH sent with the call
+        bytes data;                 // Encoded function call
+    }
 
     // Proposal structure
     struct Proposal {
+        address proposer;           // Account that created the proposal
         string description;         // Description or IPFS hash
+        uint256 createdAt;          // Timestamp when the proposal was created
         uint256 voteDeadline;       // Timestamp when voting ends
+        uint256 snapshotBlock;      // Block whose closing voting power is used for votes
+        IVotingPowerSource votingPowerSource; // Source of voting power, zero for GOV voting power only
+        uint256 quorum;             // Votes needed to reach quorum, fixed at creation
+        uint256 approvalThresholdBps; // Approval threshold in force at creation, zero for a simple majority
         uint256 yesVotes;           // Number of yes votes
         uint256 noVotes;            // Number of no votes
+        uint256 abstainVotes;       // Number of abstain votes, counted toward quorum only
+        uint256 eta;                // Earliest execution time once queued, zero if not queued
+        uint256 expiresAt;          // End of the grace period in force when the proposal was queued
         bool executed;              // Whether the proposal has been executed
+        bool expired;               // Whether the queued proposal missed its grace period
+        bool canceled;              // Whether the proposal was canceled
         bool passed;                // Whether the proposal passed or failed
+        Action[] actions;           // Calls performed if the proposal passes
         mapping(address => bool) hasVoted; // Track if an address has voted
     }
 
+    // Proposal overview returned by the listing views
+    struct ProposalSummary {
+        uint256 id;
+        address proposer;
+        string description;
+        uint256 createdAt;
+        uint256 voteDeadline;
+        uint256 yesVotes;
+        uint256 noVotes;
+        uint256 abstainVotes;
+        uint256 eta;
+        ProposalState state;
+    }
+
     // Mapping from proposal ID to Proposal
     mapping(uint256 => Proposal) public proposals;
+    // IDs of the proposals created by each proposer
+    mapping(address proposer => uint256[] proposalIds) private _proposalsByProposer;
     // Counter for proposal IDs
     uint256 public proposalCount;
     // Minimum voting period in seconds
-    uint256 public minimumVotingPeriod = 1 days;
+    uint256 public minimumVotingPeriod;
+    // Delay between queueing a succeeded proposal and being able to execute it
+    uint256 public timelockDelay;
+    // Time after the ETA during which a queued proposal can still be executed
+    uint256 public gracePeriod;
+    // Quorum as basis points of the total voting power at the proposal snapshot
+    uint256 public quorumBps;
+    // Absolute quorum in votes, the higher of the two requirements applies
+    uint256 public quorumVotes;
+    // Share of yes votes among yes/no votes required to pass in basis points, zero for a simple majority
+    uint256 public approvalThresholdBps;
+    // Minimum voting power needed to create a proposal
+    uint256 public proposalThreshold;
 
     // Events
-    event ProposalCreated(uint256 indexed proposalId, string description, uint256 voteDeadline);
+    event ProposalCreated(
+        uint256 indexed proposalId,
+        string description,
+        uint256 voteDeadline,
+        address[] targets,
+        uint256[] values,
+        bytes[] calldatas
+    );
     event Voted(uint256 indexed proposalId, address indexed voter, bool support, uint256 votingPower);
+    event VoteCast(uint256 indexed proposalId, address indexed voter, VoteType support, uint256 votingPower, string reason);
+    event ProposalQueued(uint256 indexed proposalId, uint256 eta);
     event ProposalExecuted(uint256 indexed proposalId, bool passed);
+    event ProposalExpired(uint256 indexed proposalId, uint256 expiredAt);
+    event ProposalCanceled(uint256 indexed proposalId, address indexed canceledBy);
+    event ActionExecuted(uint256 indexed proposalId, uint256 indexed actionIndex, address target, uint256 value, bytes data);
+    event TimelockDelayChanged(uint256 oldDelay, uint256 newDelay);
+    event GracePeriodChanged(uint256 oldGracePeriod, uint256 newGracePeriod);
+    event QuorumChanged(uint256 quorumBps, uint256 quorumVotes);
+    event ApprovalThresholdChanged(uint256 oldThresholdBps, uint256 newThresholdBps);
+    event ProposalThresholdChanged(uint256 oldThreshold, uint256 newThreshold);
+    event VotingPowerSourceChanged(address oldSource, address newSource);
 
     // Errors
     error InvalidGovTokenAddress(address token);
     error VotingPeriodTooShort(uint256 provided, uint256 minimum);
-    error NoGovTokensHeld(address user);
     error ProposalDoesNotExist(uint256 proposalId);
     error VotingPeriodEnded(uint256 deadline, uint256 currentTime);
     error VotingPeriodNotEnded(uint256 deadline, uint256 currentTime);
     error AlreadyVoted(address voter, uint256 proposalId);
     error NoVotingPower(address voter);
     error ProposalAlreadyExecuted(uint256 proposalId);
+    error InvalidProposalActions(uint256 targets, uint256 values, uint256 calldatas);
+    error ActionFailed(uint256 proposalId, uint256 actionIndex, bytes returnData);
+    error UnauthorizedGovernanceCall(address caller);
+    error ProposalNotSucceeded(uint256 proposalId);
+    error ProposalAlreadyQueued(uint256 proposalId, uint256 eta);
+    error ProposalNotQueued(uint256 proposalId);
+    error ProposalAlreadyExpired(uint256 proposalId);
+    error TimelockNotElapsed(uint256 eta, uint256 currentTime);
+    error GracePeriodEnded(uint256 expiresAt, uint256 currentTime);
+    error GracePeriodNotEnded(uint256 expiresAt, uint256 currentTime);
+    error InvalidGracePeriod(uint256 gracePeriod);
+    error InvalidQuorum(uint256 quorumBps);
+    error InvalidApprovalThreshold(uint256 thresholdBps);
+    error SignatureExpired(uint256 deadline, uint256 currentTime);
+    error ProposalThresholdNotMet(uint256 votingPower, uint256 threshold);
+    error ProposalAlreadyCanceled(uint256 proposalId);
+    error UnauthorizedCancel(address caller, uint256 proposalId);
+
+    /**
+     * @dev Restricts a function to the owner or to the DAO itself through an executed proposal.
+     */
+    modifier onlyGovernance() {
+        if (msg.sender != owner() && msg.sender != address(this)) revert UnauthorizedGovernanceCall(msg.sender);
+        _;
+    }
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
 
     /**
-     * @dev Constructor sets the governance token.
+     * @dev Initializes the proxy with the governance token and the default settings.
      * @param _govToken The address of the governance token.
      */
-    constructor(address _govToken) Ownable(msg.sender) {
+    function initialize(address _govToken) external initializer {
         if (_govToken == address(0)) revert InvalidGovTokenAddress(_govToken);
+        __Ownable_init(msg.sender);
+        __Ownable2Step_init();
+        __EIP712_init("DAOGovernance", "1");
+        __Nonces_init();
+        __UUPSUpgradeable_init();
+
         govToken = GovToken(_govToken);
+        minimumVotingPeriod = 1 days;
+        timelockDelay = 2 days;
+        gracePeriod = 14 days;
+        quorumBps = 400;
+        // Any voting power at all, delegated or from the voting power source, is enough to propose
+        proposalThreshold = 1;
     }
 
     /**
-     * @dev Creates a new proposal.
+     * @dev Creates a new proposal without on-chain actions.
      * @param _description The description or IPFS hash of the proposal.
      * @param _votingPeriod The voting period in seconds.
      * @return The ID of the newly created proposal.
      */
     function createProposal(string calldata _description, uint256 _votingPeriod) external returns (uint256) {
+        return _createProposal(_description, _votingPeriod, new address[](0), new uint256[](0), new bytes[](0));
+    }
+
+    /**
+     * @dev Creates a new proposal that performs on-chain actions when it passes.
+     * @param _description The description or IPFS hash of the proposal.
+     * @param _votingPeriod The voting period in seconds.
+     * @param _targets The contracts to call, in execution order.
+     * @param _values The ETH value to send with each call.
+     * @param _calldatas The encoded function call for each target.
+     * @return The ID of the newly created proposal.
+     */
+    function createProposal(
+        string calldata _description,
+        uint256 _votingPeriod,
+        address[] calldata _targets,
+        uint256[] calldata _values,
+        bytes[] calldata _calldatas
+    ) external returns (uint256) {
+        return _createProposal(_description, _votingPeriod, _targets, _values, _calldatas);
+    }
+
+    /**
+     * @dev Validates and stores a new proposal.
+     */
+    function _createProposal(
+        string calldata _description,
+        uint256 _votingPeriod,
+        address[] memory _targets,
+        uint256[] memory _values,
+        bytes[] memory _calldatas
+    ) internal returns (uint256) {
+        if (_targets.length != _values.length || _targets.length != _calldatas.length) {
+            revert InvalidProposalActions(_targets.length, _values.length, _calldatas.length);
+        }
         if (_votingPeriod < minimumVotingPeriod) revert VotingPeriodTooShort(_votingPeriod, minimumVotingPeriod);
-        if (govToken.balanceOf(msg.sender) == 0) revert NoGovTokensHeld(msg.sender);
+        uint256 proposerVotes = _getVotingPower(votingPowerSource, msg.sender, block.number - 1);
+        if (proposerVotes < proposalThreshold) revert ProposalThresholdNotMet(proposerVotes, proposalThreshold);
 
         uint256 proposalId = proposalCount++;
         Proposal storage newProposal = proposals[proposalId];
+        newProposal.proposer = msg.sender;
         newProposal.description = _description;
+        newProposal.createdAt = block.timestamp;
         newProposal.voteDeadline = block.timestamp + _votingPeriod;
+        // Snapshot the previous block so voting power can no longer change within it
+        newProposal.snapshotBlock = block.number - 1;
+        newProposal.votingPowerSource = votingPowerSource;
+        // Later rule changes only apply to new proposals
+        newProposal.quorum = _quorum(votingPowerSource, newProposal.snapshotBlock);
+        newProposal.approvalThresholdBps = approvalThresholdBps;
+        for (uint256 i = 0; i < _targets.length; i++) {
+            newProposal.actions.push(Action(_targets[i], _values[i], _calldatas[i]));
+        }
+        _proposalsByProposer[msg.sender].push(proposalId);
         
-        emit ProposalCreated(proposalId, _description, newProposal.voteDeadline);
+        emit ProposalCreated(proposalId, _description, newProposal.voteDeadline, _targets, _values, _calldatas);
         
         return proposalId;
     }
 
     /**
-     * @dev Casts a vote on a proposal.
+     * @dev Casts a yes/no vote on a proposal. Voting power is the voter's own undelegated
+     * balance plus any GOV delegated to them, read at the proposal's snapshot block, so
+     * tokens moved or delegated after the snapshot cannot vote twice.
      * @param _proposalId The ID of the proposal.
      * @param _support Whether the vote is in support (true) or against (false).
      */
     function vote(uint256 _proposalId, bool _support) external {
+        uint256 votingPower = _castVote(_proposalId, msg.sender, _support ? VoteType.For : VoteType.Against);
+        
+        emit Voted(_proposalId, msg.sender, _support, votingPower);
+    }
+
+    /**
+     * @dev Casts a vote on a proposal with a rationale that is emitted on-chain.
+     * @param _proposalId The ID of the proposal.
+     * @param _support Against, For or Abstain.
+     * @param _reason The voter's rationale.
+     */
+    function voteWithReason(uint256 _proposalId, VoteType _support, string calldata _reason) external {
+        uint256 votingPower = _castVote(_proposalId, msg.sender, _support);
+        
+        emit VoteCast(_proposalId, msg.sender, _support, votingPower, _reason);
+    }
+
+    /**
+     * @dev Casts a vote on behalf of the signer of an EIP-712 ballot, so voters don't pay gas.
+     * Each ballot consumes the signer's current nonce, which prevents replays.
+     * @param _proposalId The ID of the proposal.
+     * @param _support Against, For or Abstain.
+     * @param _nonce The signer's current nonce, see {nonces}.
+     * @param _deadline Timestamp after which the signature is no longer valid.
+     * @param _signature The voter's signature over the ballot.
+     */
+    function voteBySig(
+        uint256 _proposalId,
+        VoteType _support,
+        uint256 _nonce,
+        uint256 _deadline,
+        bytes calldata _signature
+    ) external {
+        if (block.timestamp > _deadline) revert SignatureExpired(_deadline, block.timestamp);
+        
+        bytes32 structHash = keccak256(abi.encode(BALLOT_TYPEHASH, _proposalId, _support, _nonce, _deadline));
+        address voter = ECDSA.recover(_hashTypedDataV4(structHash), _signature);
+        _useCheckedNonce(voter, _nonce);
+        
+        uint256 votingPower = _castVote(_proposalId, voter, _support);
+        
+        emit VoteCast(_proposalId, voter, _support, votingPower, "");
+    }
+
+    /**
+     * @dev Records a vote and returns the voting power it was cast with.
+     */
+    function _castVote(uint256 _proposalId, address _voter, VoteType _support) internal returns (uint256) {
         if (_proposalId >= proposalCount) revert ProposalDoesNotExist(_proposalId);
         
         Proposal storage proposal = proposals[_proposalId];
+        if (proposal.canceled) revert ProposalAlreadyCanceled(_proposalId);
         if (block.timestamp >= proposal.voteDeadline) revert VotingPeriodEnded(proposal.voteDeadline, block.timestamp);
-        if (proposal.hasVoted[msg.sender]) revert AlreadyVoted(msg.sender, _proposalId);
+        if (proposal.hasVoted[_voter]) revert AlreadyVoted(_voter, _proposalId);
         
-        uint256 votingPower = govToken.balanceOf(msg.sender);
-        if (votingPower == 0) revert NoVotingPower(msg.sender);
+        uint256 votingPower = _getVotingPower(proposal.votingPowerSource, _voter, proposal.snapshotBlock);
+        if (votingPower == 0) revert NoVotingPower(_voter);
         
-        proposal.hasVoted[msg.sender] = true;
+        proposal.hasVoted[_voter] = true;
         
-        if (_support) {
+        if (_support == VoteType.For) {
             proposal.yesVotes += votingPower;
-        } else {
+        } else if (_support == VoteType.Against) {
             proposal.noVotes += votingPower;
+        } else {
+            proposal.abstainVotes += votingPower;
         }
         
-        emit Voted(_proposalId, msg.sender, _support, votingPower);
+        return votingPower;
     }
 
     /**
-     * @dev Executes a proposal after the voting deadline.
+     * @dev Queues a succeeded proposal in the timelock. It becomes executable after
+     * `timelockDelay` and expires if not executed within `gracePeriod` after that. Both are
+     * fixed when the proposal is queued.
+     * @param _proposalId The ID of the proposal.
+     */
+    function queueProposal(uint256 _proposalId) external {
+        if (_proposalId >= proposalCount) revert ProposalDoesNotExist(_proposalId);
+        
+        Proposal storage proposal = proposals[_proposalId];
+        if (block.timestamp < proposal.voteDeadline) revert VotingPeriodNotEnded(proposal.voteDeadline, block.timestamp);
+        if (proposal.executed) revert ProposalAlreadyExecuted(_proposalId);
+        if (proposal.canceled) revert ProposalAlreadyCanceled(_proposalId);
+        if (proposal.eta != 0) revert ProposalAlreadyQueued(_proposalId, proposal.eta);
+        if (!_isSucceeded(proposal)) revert ProposalNotSucceeded(_proposalId);
+        
+        proposal.eta = block.timestamp + timelockDelay;
+        proposal.expiresAt = proposal.eta + gracePeriod;
+        
+        emit ProposalQueued(_proposalId, proposal.eta);
+    }
+
+    /**
+     * @dev Executes a proposal after the voting deadline. A defeated proposal, including
+     * one that missed quorum, is simply recorded as failed. A succeeded proposal must have been queued and its timelock
+     * must have elapsed; its actions are then performed in order and the whole
+     * execution reverts if any call fails.
      * @param _proposalId The ID of the proposal.
      */
     function executeProposal(uint256 _proposalId) external {
@@ -111,13 +377,74 @@ contract DAOGovernance is Ownable {
         Proposal storage proposal = proposals[_proposalId];
         if (block.timestamp < proposal.voteDeadline) revert VotingPeriodNotEnded(proposal.voteDeadline, block.timestamp);
         if (proposal.executed) revert ProposalAlreadyExecuted(_proposalId);
+        if (proposal.canceled) revert ProposalAlreadyCanceled(_proposalId);
+        if (proposal.expired) revert ProposalAlreadyExpired(_proposalId);
+        
+        bool succeeded = _isSucceeded(proposal);
+        if (succeeded) {
+            if (proposal.eta == 0) revert ProposalNotQueued(_proposalId);
+            if (block.timestamp < proposal.eta) revert TimelockNotElapsed(proposal.eta, block.timestamp);
+            if (block.timestamp > proposal.expiresAt) revert GracePeriodEnded(proposal.expiresAt, block.timestamp);
+        }
         
         proposal.executed = true;
-        proposal.passed = proposal.yesVotes > proposal.noVotes;
+        proposal.passed = succeeded;
+        
+        if (proposal.passed) {
+            for (uint256 i = 0; i < proposal.actions.length; i++) {
+                Action storage action = proposal.actions[i];
+                (bool success, bytes memory returnData) = action.target.call{value: action.value}(action.data);
+                if (!success) revert ActionFailed(_proposalId, i, returnData);
+                emit ActionExecuted(_proposalId, i, action.target, action.value, action.data);
+            }
+        }
         
         emit ProposalExecuted(_proposalId, proposal.passed);
     }
 
+    /**
+     * @dev Marks a queued proposal as expired once its grace period has ended.
+     * @param _proposalId The ID of the proposal.
+     */
+    function expireProposal(uint256 _proposalId) external {
+        if (_proposalId >= proposalCount) revert ProposalDoesNotExist(_proposalId);
+        
+        Proposal storage proposal = proposals[_proposalId];
+        if (proposal.eta == 0) revert ProposalNotQueued(_proposalId);
+        if (proposal.executed) revert ProposalAlreadyExecuted(_proposalId);
+        if (proposal.canceled) revert ProposalAlreadyCanceled(_proposalId);
+        if (proposal.expired) revert ProposalAlreadyExpired(_proposalId);
+        if (block.timestamp <= proposal.expiresAt) revert GracePeriodNotEnded(proposal.expiresAt, block.timestamp);
+        
+        proposal.expired = true;
+        
+        emit ProposalExpired(_proposalId, proposal.expiresAt);
+    }
+
+    /**
+     * @dev Cancels a proposal that has not been executed. The proposer can cancel their own
+     * proposal until voting ends. Anyone can cancel it if the proposer's voting power has
+     * fallen below the proposal threshold.
+     * @param _proposalId The ID of the proposal.
+     */
+    function cancelProposal(uint256 _proposalId) external {
+        if (_proposalId >= proposalCount) revert ProposalDoesNotExist(_proposalId);
+        
+        Proposal storage proposal = proposals[_proposalId];
+        if (proposal.executed) revert ProposalAlreadyExecuted(_proposalId);
+        if (proposal.canceled) revert ProposalAlreadyCanceled(_proposalId);
+        if (proposal.expired) revert ProposalAlreadyExpired(_proposalId);
+        
+        if (_getVotingPower(proposal.votingPowerSource, proposal.proposer, block.number - 1) >= proposalThreshold) {
+            if (msg.sender != proposal.proposer) revert UnauthorizedCancel(msg.sender, _proposalId);
+            if (block.timestamp >= proposal.voteDeadline) revert VotingPeriodEnded(proposal.voteDeadline, block.timestamp);
+        }
+        
+        proposal.canceled = true;
+        
+        emit ProposalCanceled(_proposalId, msg.sender);
+    }
+
     /**
      * @dev Returns the status of a proposal.
      * @param _proposalId The ID of the proposal.
@@ -127,6 +454,9 @@ contract DAOGovernance is Ownable {
      * @return noVotes The number of no votes.
      * @return executed Whether the proposal has been executed.
      * @return passed Whether the proposal passed.
+     * @return quorumReached Whether the votes cast so far reach the proposal's quorum.
+     * @return canceled Whether the proposal was canceled.
+     * @return abstainVotes The number of abstain votes.
      */
     function getProposalStatus(uint256 _proposalId) external view returns (
         string memory description,
@@ -134,7 +464,10 @@ contract DAOGovernance is Ownable {
         uint256 yesVotes,
         uint256 noVotes,
         bool executed,
-        bool passed
+        bool passed,
+        bool quorumReached,
+        bool canceled,
+        uint256 abstainVotes
     ) {
         if (_proposalId >= proposalCount) revert ProposalDoesNotExist(_proposalId);
         
@@ -146,10 +479,136 @@ contract DAOGovernance is Ownable {
             proposal.yesVotes,
             proposal.noVotes,
             proposal.executed,
-            proposal.passed
+            proposal.passed,
+            _quorumReached(proposal),
+            proposal.canceled,
+            proposal.abstainVotes
         );
     }
 
+    /**
+     * @dev Returns the lifecycle state of a proposal.
+     * @param _proposalId The ID of the proposal.
+     * @return The current state of the proposal.
+     */
+    function state(uint256 _proposalId) external view returns (ProposalState) {
+        if (_proposalId >= proposalCount) revert ProposalDoesNotExist(_proposalId);
+        return _proposalState(proposals[_proposalId]);
+    }
+
+    /**
+     * @dev Returns summaries of proposals in ID order.
+     * @param _offset The first proposal ID to return.
+     * @param _limit The maximum number of proposals to return.
+     * @return summaries The proposal summaries.
+     */
+    function getProposals(uint256 _offset, uint256 _limit) external view returns (ProposalSummary[] memory summaries) {
+        uint256 end = _offset + _limit;
+        if (end > proposalCount) end = proposalCount;
+        if (_offset >= end) return new ProposalSummary[](0);
+        
+        summaries = new ProposalSummary[](end - _offset);
+        for (uint256 i = _offset; i < end; i++) {
+            summaries[i - _offset] = _summarize(i);
+        }
+    }
+
+    /**
+     * @dev Returns summaries of proposals in a given state, scanning IDs from `_offset`.
+     * @param _state The state to filter by.
+     * @param _offset The proposal ID to start scanning from.
+     * @param _limit The maximum number of proposals to return.
+     * @return summaries The matching proposal summaries.
+     * @return nextOffset The ID to pass as `_offset` for the next page; scanning is done once it reaches `proposalCount`.
+     */
+    function getProposalsByState(
+        ProposalState _state,
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (ProposalSummary[] memory summaries, uint256 nextOffset) {
+        // First pass finds how many proposals match so the result can be sized exactly
+        uint256 found;
+        nextOffset = _offset;
+        while (nextOffset < proposalCount && found < _limit) {
+            if (_proposalState(proposals[nextOffset]) == _state) found++;
+            nextOffset++;
+        }
+        
+        summaries = new ProposalSummary[](found);
+        uint256 index;
+        for (uint256 i = _offset; index < found; i++) {
+            if (_proposalState(proposals[i]) == _state) summaries[index++] = _summarize(i);
+        }
+    }
+
+    /**
+     * @dev Returns summaries of the proposals created by a proposer, oldest first.
+     * @param _proposer The address of the proposer.
+     * @param _offset The index of the first of the proposer's proposals to return.
+     * @param _limit The maximum number of proposals to return.
+     * @return summaries The proposal summaries.
+     */
+    function getProposalsByProposer(
+        address _proposer,
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (ProposalSummary[] memory summaries) {
+        uint256[] storage ids = _proposalsByProposer[_proposer];
+        uint256 end = _offset + _limit;
+        if (end > ids.length) end = ids.length;
+        if (_offset >= end) return new ProposalSummary[](0);
+        
+        summaries = new ProposalSummary[](end - _offset);
+        for (uint256 i = _offset; i < end; i++) {
+            summaries[i - _offset] = _summarize(ids[i]);
+        }
+    }
+
+    /**
+     * @dev Returns the number of proposals created by a proposer.
+     * @param _proposer The address of the proposer.
+     * @return The number of proposals.
+     */
+    function getProposalCountByProposer(address _proposer) external view returns (uint256) {
+        return _proposalsByProposer[_proposer].length;
+    }
+
+    /**
+     * @dev Returns the number of votes a proposal needs to reach quorum.
+     * @param _proposalId The ID of the proposal.
+     * @return The higher of the percentage quorum of the total voting power at the snapshot
+     * and the absolute quorum, as set when the proposal was created.
+     */
+    function quorum(uint256 _proposalId) external view returns (uint256) {
+        if (_proposalId >= proposalCount) revert ProposalDoesNotExist(_proposalId);
+        return proposals[_proposalId].quorum;
+    }
+
+    /**
+     * @dev Returns the on-chain actions attached to a proposal.
+     * @param _proposalId The ID of the proposal.
+     * @return targets The contracts called on execution.
+     * @return values The ETH value sent with each call.
+     * @return calldatas The encoded function call for each target.
+     */
+    function getProposalActions(uint256 _proposalId) external view returns (
+        address[] memory targets,
+        uint256[] memory values,
+        bytes[] memory calldatas
+    ) {
+        if (_proposalId >= proposalCount) revert ProposalDoesNotExist(_proposalId);
+        
+        Action[] storage actions = proposals[_proposalId].actions;
+        targets = new address[](actions.length);
+        values = new uint256[](actions.length);
+        calldatas = new bytes[](actions.length);
+        for (uint256 i = 0; i < actions.length; i++) {
+            targets[i] = actions[i].target;
+            values[i] = actions[i].value;
+            calldatas[i] = actions[i].data;
+        }
+    }
+
     /**
      * @dev Checks if an address has voted on a proposal.
      * @param _proposalId The ID of the proposal.
@@ -162,10 +621,173 @@ contract DAOGovernance is Ownable {
     }
 
     /**
-     * @dev Sets the minimum voting period.
+     * @dev Sets the minimum voting period. Callable by the owner or by an executed proposal.
      * @param _minimumVotingPeriod The new minimum voting period in seconds.
      */
-    function setMinimumVotingPeriod(uint256 _minimumVotingPeriod) external onlyOwner {
+    function setMinimumVotingPeriod(uint256 _minimumVotingPeriod) external onlyGovernance {
         minimumVotingPeriod = _minimumVotingPeriod;
     }
+
+    /**
+     * @dev Sets the delay between queueing a proposal and being able to execute it.
+     * @param _timelockDelay The new delay in seconds.
+     */
+    function setTimelockDelay(uint256 _timelockDelay) external onlyGovernance {
+        uint256 oldDelay = timelockDelay;
+        timelockDelay = _timelockDelay;
+        
+        emit TimelockDelayChanged(oldDelay, _timelockDelay);
+    }
+
+    /**
+     * @dev Sets how long a queued proposal stays executable after its ETA. Proposals already
+     * queued keep the grace period they were queued with.
+     * @param _gracePeriod The new grace period in seconds.
+     */
+    function setGracePeriod(uint256 _gracePeriod) external onlyGovernance {
+        if (_gracePeriod == 0) revert InvalidGracePeriod(_gracePeriod);
+        
+        uint256 oldGracePeriod = gracePeriod;
+        gracePeriod = _gracePeriod;
+        
+        emit GracePeriodChanged(oldGracePeriod, _gracePeriod);
+    }
+
+    /**
+     * @dev Sets the quorum requirements. The higher of the two applies to each proposal created
+     * afterwards; existing proposals keep the quorum they were created with.
+     * @param _quorumBps The quorum as basis points of the total voting power at the snapshot.
+     * @param _quorumVotes The absolute quorum in votes.
+     */
+    function setQuorum(uint256 _quorumBps, uint256 _quorumVotes) external onlyGovernance {
+        if (_quorumBps > BPS_DENOMINATOR) revert InvalidQuorum(_quorumBps);
+        
+        quorumBps = _quorumBps;
+        quorumVotes = _quorumVotes;
+        
+        emit QuorumChanged(_quorumBps, _quorumVotes);
+    }
+
+    /**
+     * @dev Sets the supermajority required to pass, e.g. 6600 for 66%. Zero means a simple majority.
+     * Like quorum, it only applies to proposals created afterwards.
+     * @param _approvalThresholdBps The share of yes votes among yes/no votes in basis points.
+     */
+    function setApprovalThreshold(uint256 _approvalThresholdBps) external onlyGovernance {
+        if (_approvalThresholdBps > BPS_DENOMINATOR) revert InvalidApprovalThreshold(_approvalThresholdBps);
+        
+        uint256 oldThreshold = approvalThresholdBps;
+        approvalThresholdBps = _approvalThresholdBps;
+        
+        emit ApprovalThresholdChanged(oldThreshold, _approvalThresholdBps);
+    }
+
+    /**
+     * @dev Sets the minimum voting power needed to create a proposal. Zero lets anyone propose.
+     * @param _proposalThreshold The new threshold in GOV.
+     */
+    function setProposalThreshold(uint256 _proposalThreshold) external onlyGovernance {
+        uint256 oldThreshold = proposalThreshold;
+        proposalThreshold = _proposalThreshold;
+        
+        emit ProposalThresholdChanged(oldThreshold, _proposalThreshold);
+    }
+
+    /**
+     * @dev Sets where voting power is read from for new proposals. Existing proposals keep
+     * the source they were created with.
+     * @param _votingPowerSource The new source, or the zero address to use GOV voting power only.
+     */
+    function setVotingPowerSource(address _votingPowerSource) external onlyGovernance {
+        address oldSource = address(votingPowerSource);
+        votingPowerSource = IVotingPowerSource(_votingPowerSource);
+        
+        emit VotingPowerSourceChanged(oldSource, _votingPowerSource);
+    }
+
+    /**
+     * @dev Upgrades follow the same rule as settings: the owner, or the DAO itself through an
+     * executed proposal.
+     */
+    function _authorizeUpgrade(address) internal override onlyGovernance {}
+
+    /**
+     * @dev Returns an account's voting power at a past block from the given source.
+     */
+    function _getVotingPower(
+        IVotingPowerSource _source,
+        address _account,
+        uint256 _timepoint
+    ) internal view returns (uint256) {
+        if (address(_source) == address(0)) return govToken.getPastVotes(_account, _timepoint);
+        return _source.getPastVotingPower(_account, _timepoint);
+    }
+
+    /**
+     * @dev Derives the lifecycle state of a proposal from its stored fields.
+     */
+    function _proposalState(Proposal storage proposal) internal view returns (ProposalState) {
+        if (proposal.canceled) return ProposalState.Canceled;
+        if (proposal.executed) return proposal.passed ? ProposalState.Executed : ProposalState.Defeated;
+        if (proposal.expired) return ProposalState.Expired;
+        if (block.timestamp < proposal.voteDeadline) return ProposalState.Active;
+        if (!_isSucceeded(proposal)) return ProposalState.Defeated;
+        if (proposal.eta == 0) return ProposalState.Succeeded;
+        if (block.timestamp > proposal.expiresAt) return ProposalState.Expired;
+        return ProposalState.Queued;
+    }
+
+    /**
+     * @dev Builds the summary of a proposal returned by the listing views.
+     */
+    function _summarize(uint256 _proposalId) internal view returns (ProposalSummary memory) {
+        Proposal storage proposal = proposals[_proposalId];
+        return ProposalSummary({
+            id: _proposalId,
+            proposer: proposal.proposer,
+            description: proposal.description,
+            createdAt: proposal.createdAt,
+            voteDeadline: proposal.voteDeadline,
+            yesVotes: proposal.yesVotes,
+            noVotes: proposal.noVotes,
+            abstainVotes: proposal.abstainVotes,
+            eta: proposal.eta,
+            state: _proposalState(proposal)
+        });
+    }
+
+    /**
+     * @dev Returns the number of votes needed to reach quorum under the current rules for a
+     * proposal with the given source and snapshot block.
+     */
+    function _quorum(IVotingPowerSource _source, uint256 _snapshotBlock) internal view returns (uint256) {
+        uint256 totalVotingPower = address(_source) == address(0)
+            ? govToken.getPastTotalSupply(_snapshotBlock)
+            : _source.getPastTotalVotingPower(_snapshotBlock);
+        uint256 supplyQuorum = (totalVotingPower * quorumBps) / BPS_DENOMINATOR;
+        return supplyQuorum > quorumVotes ? supplyQuorum : quorumVotes;
+    }
+
+    /**
+     * @dev Returns whether the votes cast on a proposal, abstentions included, reach its quorum.
+     */
+    function _quorumReached(Proposal storage proposal) internal view returns (bool) {
+        return proposal.yesVotes + proposal.noVotes + proposal.abstainVotes >= proposal.quorum;
+    }
+
+    /**
+     * @dev Returns whether the votes cast on a proposal make it succeed: quorum must be
+     * reached, yes must beat no, and yes must meet the proposal's approval threshold if it has one.
+     */
+    function _isSucceeded(Proposal storage proposal) internal view returns (bool) {
+        if (!_quorumReached(proposal)) return false;
+        if (proposal.yesVotes <= proposal.noVotes) return false;
+        return proposal.yesVotes * BPS_DENOMINATOR
+            >= (proposal.yesVotes + proposal.noVotes) * proposal.approvalThresholdBps;
+    }
+
+    /**
+     * @dev Accepts ETH so proposals can send value with their actions.
+     */
+    receive() external payable {}
 } 
\ No newline at end of file
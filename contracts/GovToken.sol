@@ -1,39 +1,225 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.28;
 
-import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/ERC20Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/ERC20BurnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/ERC20PermitUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/ERC20VotesUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/Ownable2StepUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
 
 /**
  * @title GovToken
- * @dev ERC20 token that can only be minted by the staking contract.
+ * @dev ERC20 token that can only be minted by holders of MINTER_ROLE, such as the staking
+ * contract, each within its own mint allowance. The owner holds the admin role and can
+ * upgrade the token's UUPS proxy; ownership is accepted in two steps.
  * Token holders have proportional voting power in DAO governance.
+ * Voting power is checkpointed per block so governance can read it at a past snapshot.
+ * Holders vote with their own balance by default and can delegate it to another address.
+ * The total supply can never exceed MAX_SUPPLY.
+ * Supports EIP-2612 permit approvals, and holders can burn their tokens.
+ * Governance can make the token non-transferable so voting power can only be earned, not
+ * bought: transfers between holders then revert unless one side is on the transfer allowlist,
+ * while minting and burning keep working.
  */
-contract GovToken is ERC20, Ownable {
+contract GovToken is
+    ERC20Upgradeable,
+    ERC20BurnableUpgradeable,
+    ERC20PermitUpgradeable,
+    ERC20VotesUpgradeable,
+    Ownable2StepUpgradeable,
+    AccessControlUpgradeable,
+    UUPSUpgradeable
+{
+    // Hard cap on the total supply
+    uint256 public constant MAX_SUPPLY = 100_000_000 ether;
+    // Role allowed to mint within its allowance
+    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
+
+    // The staking contract set through setStakingContract
     address public stakingContract;
+    // Remaining amount each minter may mint, type(uint256).max for no limit
+    mapping(address minter => uint256 allowance) public minterAllowance;
+    // Whether transfers between holders are restricted to allowlisted addresses
+    bool public transfersRestricted;
+    // Addresses that can still send and receive while transfers are restricted
+    mapping(address account => bool allowed) public transferAllowlist;
+
+    // Events
+    event MinterAllowanceChanged(address indexed minter, uint256 oldAllowance, uint256 newAllowance);
+    event TransfersRestrictedChanged(bool oldRestricted, bool newRestricted);
+    event TransferAllowlistChanged(address indexed account, bool allowed);
 
     // Custom errors
     error InvalidStakingContractAddress(address provided);
-    error OnlyStakingContractCanMint(address sender, address stakingContract);
+    error MinterAllowanceExceeded(address minter, uint256 amount, uint256 allowance);
+    error MaxSupplyExceeded(uint256 newSupply, uint256 maxSupply);
+    error TransferRestricted(address from, address to);
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
 
-    constructor() ERC20("GovToken", "GOV") Ownable(msg.sender) {}
+    /**
+     * @dev Initializes the proxy. The deployer becomes owner, and admin through _transferOwnership.
+     */
+    function initialize() external initializer {
+        __ERC20_init("GovToken", "GOV");
+        __ERC20Burnable_init();
+        __ERC20Permit_init("GovToken");
+        __ERC20Votes_init();
+        __Ownable_init(msg.sender);
+        __Ownable2Step_init();
+        __AccessControl_init();
+        __UUPSUpgradeable_init();
+    }
 
     /**
-     * @dev Sets the address of the staking contract that is allowed to mint tokens.
+     * @dev Sets the staking contract, making it a minter without a mint limit and removing
+     * the previous staking contract's minter role. Kept for compatibility with the
+     * single-minter setup; other minters are managed with grantRole and setMinterAllowance.
      * @param _stakingContract The address of the staking contract.
      */
     function setStakingContract(address _stakingContract) external onlyOwner {
         if (_stakingContract == address(0)) revert InvalidStakingContractAddress(_stakingContract);
+        
+        address oldStakingContract = stakingContract;
+        if (oldStakingContract != address(0)) {
+            _revokeRole(MINTER_ROLE, oldStakingContract);
+            _setMinterAllowance(oldStakingContract, 0);
+        }
+        
         stakingContract = _stakingContract;
+        _grantRole(MINTER_ROLE, _stakingContract);
+        _setMinterAllowance(_stakingContract, type(uint256).max);
     }
 
     /**
-     * @dev Mints new tokens. Can only be called by the staking contract.
+     * @dev Sets how much a minter may still mint. Callable by the admin.
+     * @param minter The minter address.
+     * @param allowance The remaining mint allowance, type(uint256).max for no limit.
+     */
+    function setMinterAllowance(address minter, uint256 allowance) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _setMinterAllowance(minter, allowance);
+    }
+
+    /**
+     * @dev Turns the non-transferable mode on or off. Callable by the owner (the DAO once
+     * ownership is handed over).
+     * @param restricted True to restrict transfers to allowlisted addresses.
+     */
+    function setTransfersRestricted(bool restricted) external onlyOwner {
+        bool oldRestricted = transfersRestricted;
+        transfersRestricted = restricted;
+        
+        emit TransfersRestrictedChanged(oldRestricted, restricted);
+    }
+
+    /**
+     * @dev Adds or removes an address, such as a treasury or vesting contract, from the
+     * transfer allowlist. Allowlisted addresses can send and receive while transfers are
+     * restricted.
+     * @param account The address to update.
+     * @param allowed Whether the address is allowlisted.
+     */
+    function setTransferAllowlist(address account, bool allowed) external onlyOwner {
+        transferAllowlist[account] = allowed;
+        
+        emit TransferAllowlistChanged(account, allowed);
+    }
+
+    /**
+     * @dev Mints new tokens. Can only be called by a minter, within its allowance.
+     * Reverts if the total supply would exceed MAX_SUPPLY.
      * @param to The address that will receive the minted tokens.
      * @param amount The amount of tokens to mint.
      */
-    function mint(address to, uint256 amount) external {
-        if (msg.sender != stakingContract) revert OnlyStakingContractCanMint(msg.sender, stakingContract);
+    function mint(address to, uint256 amount) external onlyRole(MINTER_ROLE) {
+        uint256 allowance = minterAllowance[msg.sender];
+        if (amount > allowance) revert MinterAllowanceExceeded(msg.sender, amount, allowance);
+        if (allowance != type(uint256).max) minterAllowance[msg.sender] = allowance - amount;
+        
+        uint256 newSupply = totalSupply() + amount;
+        if (newSupply > MAX_SUPPLY) revert MaxSupplyExceeded(newSupply, MAX_SUPPLY);
         _mint(to, amount);
     }
+
+    /**
+     * @dev Returns the address `account` delegates its voting power to.
+     * Accounts that never delegated, or revoked their delegation, vote for themselves.
+     * @param account The address to look up.
+     * @return The current delegate of the account.
+     */
+    function delegates(address account) public view override returns (address) {
+        address delegatee = super.delegates(account);
+        return delegatee == address(0) ? account : delegatee;
+    }
+
+    /**
+     * @dev Returns voting power to the caller by delegating to themselves.
+     */
+    function revokeDelegation() external {
+        _delegate(msg.sender, msg.sender);
+    }
+
+    /**
+     * @dev Delegating to the zero address is treated as a revocation, since voting power
+     * would otherwise be lost.
+     */
+    function _delegate(address account, address delegatee) internal override {
+        super._delegate(account, delegatee == address(0) ? account : delegatee);
+    }
+
+    /**
+     * @dev Moves voting power along with every mint, burn and transfer.
+     * While transfers are restricted, only mints, burns and transfers from or to an
+     * allowlisted address go through.
+     */
+    function _update(address from, address to, uint256 value) internal override(ERC20Upgradeable, ERC20VotesUpgradeable) {
+        if (
+            transfersRestricted &&
+            from != address(0) &&
+            to != address(0) &&
+            !transferAllowlist[from] &&
+            !transferAllowlist[to]
+        ) revert TransferRestricted(from, to);
+        
+        super._update(from, to, value);
+    }
+
+    /**
+     * @dev Permit signatures and delegation signatures share one nonce per account.
+     */
+    function nonces(address owner) public view override(ERC20PermitUpgradeable, NoncesUpgradeable) returns (uint256) {
+        return super.nonces(owner);
+    }
+
+    /**
+     * @dev Only the owner can upgrade the token.
+     */
+    function _authorizeUpgrade(address) internal override onlyOwner {}
+
+    /**
+     * @dev Moves the admin role along with ownership, so the DAO becomes admin once it
+     * accepts ownership.
+     */
+    function _transferOwnership(address newOwner) internal override {
+        address oldOwner = owner();
+        super._transferOwnership(newOwner);
+        
+        if (oldOwner != address(0)) _revokeRole(DEFAULT_ADMIN_ROLE, oldOwner);
+        if (newOwner != address(0)) _grantRole(DEFAULT_ADMIN_ROLE, newOwner);
+    }
+
+    /**
+     * @dev Updates a minter's remaining allowance.
+     */
+    function _setMinterAllowance(address minter, uint256 allowance) internal {
+        uint256 oldAllowance = minterAllowance[minter];
+        minterAllowance[minter] = allowance;
+        
+        emit MinterAllowanceChanged(minter, oldAllowance, allowance);
+    }
 } 
\ No newline at end of file
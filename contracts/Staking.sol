@@ -1,26 +1,103 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.28;
 
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts-upgradeable/access/Ownable2StepUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts/utils/structs/Checkpoints.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
 import "./GovToken.sol";
+import "./StakingReceipt.sol";
+import "./StakingPositions.sol";
+import "./StakingPools.sol";
+import "./interfaces/IStakeReceiptHook.sol";
 
 /**
  * @title Staking
  * @dev Contract for staking ETH and earning GovToken rewards.
+ * Stakes can be locked for a tier duration to earn a multiplier on their reward share.
+ * When an unbonding period is set, withdrawals go through an unstake request and a cooldown.
+ * Rewards are emitted in reward periods with a fixed GOV budget; the rate is derived from the
+ * budget and nothing accrues after the period ends.
+ * The owner or a guardian can pause staking and claiming; while paused, users can take their
+ * stake out with emergencyWithdraw and give up their pending rewards.
+ * Staked ETH is represented by a transferable receipt token; transferring the receipt moves
+ * the unlocked stake and its future rewards to the receiver.
+ * Position NFTs (StakingPositions) share the ETH pool's accumulator, and ERC20 pools
+ * (StakingPools) have their own; both mint their rewards through this contract.
+ * The owner (the DAO) or a slasher can slash a share of a staker's ETH to the treasury.
+ * Stakes and reward state live in the UUPS proxy and carry over when the owner upgrades it.
  */
-contract Staking is Ownable {
+contract Staking is
+    IStakeReceiptHook,
+    Ownable2StepUpgradeable,
+    PausableUpgradeable,
+    UUPSUpgradeable
+{
+    using Checkpoints for Checkpoints.Trace208;
+
+    // Denominator for lock multipliers in basis points (10_000 = 1x)
+    uint256 public constant BPS_DENOMINATOR = 10_000;
+    // Most active locks and pending unstake requests a user can have at once, which bounds
+    // the loops over them when slashing, withdrawing and emergency withdrawing
+    uint256 public constant MAX_ACTIVE_LOCKS = 32;
+    uint256 public constant MAX_PENDING_REQUESTS = 32;
+
+    // Stake locked until a given time in exchange for a reward multiplier
+    struct Lock {
+        uint256 amount;             // Locked ETH
+        uint256 weight;             // Reward share of the lock (amount * multiplier)
+        uint256 unlockTime;         // Timestamp when the lock can be released
+        bool released;              // Whether the lock has been released to the unlocked balance
+    }
+
+    // ETH taken out of the stake and waiting for its cooldown before it can be withdrawn
+    struct UnstakeRequest {
+        uint256 amount;             // Requested ETH, zero once withdrawn or canceled
+        uint256 availableAt;        // Timestamp when the ETH can be withdrawn
+    }
+
+    // History of a user's reward state, to compute their unclaimed rewards at past blocks
+    struct RewardCheckpoints {
+        Checkpoints.Trace208 unclaimedRewards;   // Settled unclaimed rewards
+        Checkpoints.Trace208 rewardPerTokenPaid; // Reward per token at the last settlement
+        Checkpoints.Trace208 weightedBalance;    // Reward share
+    }
 
     // The governance token earned as rewards
     GovToken public govToken;
+    // Receipt token minted 1:1 for staked ETH
+    StakingReceipt public receiptToken;
+    // NFT representing staking positions
+    StakingPositions public positionToken;
+    // ERC20 staking pools
+    StakingPools public pools;
 
     // Reward rate: how many GovTokens per ETH staked per second
     uint256 public rewardRate;
+    // Time the current reward period starts accruing
+    uint256 public periodStart;
+    // Time the current reward period stops accruing
+    uint256 public periodFinish;
+    // Total GOV budget of the current reward period, including top-ups
+    uint256 public rewardBudget;
     // Last time the reward calculation was updated
     uint256 public lastUpdateTime;
+    // Address allowed to pause the contract besides the owner
+    address public guardian;
+    // Address allowed to slash stakers besides the owner
+    address public slasher;
+    // Address that receives slashed ETH
+    address public treasury;
     // Accumulated rewards per token
     uint256 public rewardPerTokenStored;
-    // Total staked ETH
+    // Total staked ETH, excluding positions
     uint256 public totalStaked;
+    // Total reward shares: unlocked ETH plus locked ETH weighted by its multiplier
+    uint256 public totalWeightedStake;
+    // Cooldown between requesting an unstake and withdrawing it, zero for immediate unstaking
+    uint256 public unbondingPeriod;
 
     // Mapping of user address to staked amount
     mapping(address user => uint256 stakedAmount) public stakedBalance;
@@ -28,6 +105,34 @@ contract Staking is Ownable {
     mapping(address user => uint256 unclaimedAmount) public unclaimedRewards;
     // Mapping of user address to the reward per token at their last update
     mapping(address user => uint256 userRewardPerTokenPaid) public userRewardPerTokenPaid;
+    // Mapping of user address to the part of their stake held in active locks
+    mapping(address user => uint256 lockedAmount) public lockedBalance;
+    // Mapping of user address to their reward share
+    mapping(address user => uint256 weightedAmount) public weightedBalance;
+    // Mapping of user address to their locks
+    mapping(address user => Lock[] locks) private _locks;
+    // Mapping of user address to the ids of their locks that have not been released
+    mapping(address user => uint256[] lockIds) private _activeLockIds;
+    // Reward multiplier in basis points for each lock duration, zero if the tier is not offered
+    mapping(uint256 lockDuration => uint256 multiplierBps) public lockMultipliers;
+    // Mapping of user address and operator address to whether the operator may claim for the user
+    mapping(address user => mapping(address operator => bool approved)) public isOperator;
+    // Mapping of user address to the ETH in their pending unstake requests
+    mapping(address user => uint256 unbondingAmount) public unbondingBalance;
+    // Mapping of user address to their unstake requests
+    mapping(address user => UnstakeRequest[] requests) private _unstakeRequests;
+    // Mapping of user address to the ids of their pending unstake requests, oldest first
+    mapping(address user => uint256[] requestIds) private _pendingRequestIds;
+    // Historical staked amount of each user, keyed by block number
+    mapping(address user => Checkpoints.Trace208) private _stakeCheckpoints;
+    // Historical total staked amount, keyed by block number
+    Checkpoints.Trace208 private _totalStakedCheckpoints;
+    // Historical reward per token, keyed by the block of each accumulator update
+    Checkpoints.Trace208 private _rewardPerTokenCheckpoints;
+    // Historical reward state of each user, keyed by block number
+    mapping(address user => RewardCheckpoints checkpoints) private _rewardCheckpoints;
+    // Historical reward per token, keyed by the reward time of each accumulator update
+    Checkpoints.Trace208 private _rewardPerTokenTimeline;
  
 
     // Events
@@ -36,55 +141,213 @@ contract Staking is Ownable {
     event RewardClaimed(address indexed user, uint256 amount);
     event RewardPerTokenUpdated(uint256 rewardPerToken);
     event RewardRateChanged(uint256 oldRate, uint256 newRate);
+    event Locked(address indexed user, uint256 indexed lockId, uint256 amount, uint256 unlockTime, uint256 multiplierBps);
+    event LockReleased(address indexed user, uint256 indexed lockId, uint256 amount);
+    event LockTierChanged(uint256 lockDuration, uint256 multiplierBps);
+    event UnstakeRequested(address indexed user, uint256 indexed requestId, uint256 amount, uint256 availableAt);
+    event UnstakeRequestCanceled(address indexed user, uint256 indexed requestId, uint256 amount);
+    event Withdrawn(address indexed user, uint256 amount);
+    event UnbondingPeriodChanged(uint256 oldPeriod, uint256 newPeriod);
+    event RewardPeriodStarted(uint256 start, uint256 finish, uint256 budget, uint256 rewardRate);
+    event RewardPeriodUpdated(uint256 finish, uint256 budget, uint256 rewardRate);
+    event GuardianChanged(address oldGuardian, address newGuardian);
+    event EmergencyWithdrawn(address indexed user, uint256 amount, uint256 forfeitedRewards);
+    event StakeTransferred(address indexed from, address indexed to, uint256 amount);
+    event Slashed(
+        address indexed user,
+        uint256 slashBps,
+        uint256 stakeSlashed,
+        uint256 unbondingSlashed,
+        uint256 forfeitedRewards,
+        string evidence
+    );
+    event SlasherChanged(address oldSlasher, address newSlasher);
+    event TreasuryChanged(address oldTreasury, address newTreasury);
+    event RewardClaimedTo(address indexed user, address indexed recipient, uint256 amount);
+    event RewardClaimedByOperator(address indexed user, address indexed operator, uint256 amount);
+    event OperatorSet(address indexed user, address indexed operator, bool approved);
+    event Exited(address indexed user, uint256 amount, uint256 reward);
+    event TokensSet(address receiptToken, address positionToken);
+    event PoolsSet(address pools);
 
     // Errors
     error InvalidGovTokenAddress(address _govToken);
-    error InvalidRewardRate(uint256 _rewardRate);
     error InvalidStakeAmount(uint256 _amount);
     error NoRewardsAvailable();
     error ETHTransferFailed();
     error NotEnoughStaked(uint256 _amount);
+    error FutureLookup(uint256 _timepoint, uint256 _currentBlock);
+    error InvalidLockDuration(uint256 _lockDuration);
+    error InvalidLockMultiplier(uint256 _multiplierBps);
+    error StakeLocked(uint256 _amount, uint256 _unlockedBalance);
+    error LockDoesNotExist(address _user, uint256 _lockId);
+    error LockNotExpired(uint256 _unlockTime, uint256 _currentTime);
+    error LockAlreadyReleased(address _user, uint256 _lockId);
+    error UnbondingRequired(uint256 _unbondingPeriod);
+    error UnstakeRequestNotPending(address _user, uint256 _requestId);
+    error NothingToWithdraw();
+    error InvalidRewardPeriod(uint256 _start, uint256 _duration);
+    error InvalidRewardBudget(uint256 _budget);
+    error RewardPeriodActive(uint256 _periodFinish);
+    error NoActiveRewardPeriod();
+    error UnauthorizedPauser(address _caller);
+    error OnlyReceiptToken(address _caller);
+    error UnauthorizedSlasher(address _caller);
+    error InvalidSlashBps(uint256 _slashBps);
+    error InvalidTreasuryAddress(address _treasury);
+    error NothingToSlash(address _user);
+    error TooManyLocks(address _user, uint256 _maxLocks);
+    error TooManyUnstakeRequests(address _user, uint256 _maxRequests);
+    error InvalidRecipient(address _recipient);
+    error NotOperator(address _operator, address _user);
+    error NothingToExit(address _user);
+    error TokensAlreadySet(address _receiptToken, address _positionToken);
+    error InvalidStakingToken(address _token);
+    error PoolsAlreadySet(address _pools);
+    error InvalidStakingModule(address _module);
+    error OnlyStakingModule(address _caller);
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
 
     /**
-     * @dev Constructor sets the gov token address and reward rate in wei.
+     * @dev Initializes the proxy with the gov token address. No rewards accrue until the owner
+     * starts a reward period with startRewardPeriod. The receipt and position tokens are
+     * deployed separately and registered with setTokens.
      * @param _govToken The address of the governance token given as rewards.
-     * @param _rewardRate The number of gov tokens earned per ETH staked per second in wei.
      */
-    constructor(
-        address _govToken,
-        uint256 _rewardRate
-    ) Ownable(msg.sender) {
+    function initialize(address _govToken) external initializer {
         if (_govToken == address(0)) revert InvalidGovTokenAddress(_govToken);
-        if (_rewardRate == 0) revert InvalidRewardRate(_rewardRate);
+        __Ownable_init(msg.sender);
+        __Ownable2Step_init();
+        __Pausable_init();
+        __UUPSUpgradeable_init();
+
         govToken = GovToken(_govToken);
-        rewardRate = _rewardRate;
+        periodStart = block.timestamp;
+        periodFinish = block.timestamp;
         lastUpdateTime = block.timestamp;
+        _checkpointRewardTimeline();
+
+        // Default lock tiers: 30 days at 1.25x, 90 days at 1.5x, 365 days at 2x
+        lockMultipliers[30 days] = 12_500;
+        lockMultipliers[90 days] = 15_000;
+        lockMultipliers[365 days] = 20_000;
     }
 
     /**
-     * @dev Calculates the current reward per token.
+     * @dev Registers the receipt and position tokens, which must have been deployed for this
+     * contract. Can only be called once; staking reverts until the tokens are set.
+     * @param _receiptToken The stGOV-ETH receipt token.
+     * @param _positionToken The stGOV-POS position NFT.
+     */
+    function setTokens(address _receiptToken, address _positionToken) external onlyOwner {
+        if (address(receiptToken) != address(0)) {
+            revert TokensAlreadySet(address(receiptToken), address(positionToken));
+        }
+        if (StakingReceipt(_receiptToken).staking() != address(this)) revert InvalidStakingToken(_receiptToken);
+        if (address(StakingPositions(_positionToken).staking()) != address(this)) revert InvalidStakingToken(_positionToken);
+        
+        receiptToken = StakingReceipt(_receiptToken);
+        positionToken = StakingPositions(_positionToken);
+        
+        emit TokensSet(_receiptToken, _positionToken);
+    }
+
+    /**
+     * @dev Registers the ERC20 pools, which must have been deployed for this contract.
+     * Can only be called once.
+     * @param _pools The StakingPools contract.
+     */
+    function setPools(address _pools) external onlyOwner {
+        if (address(pools) != address(0)) revert PoolsAlreadySet(address(pools));
+        if (address(StakingPools(_pools).staking()) != address(this)) revert InvalidStakingModule(_pools);
+        
+        pools = StakingPools(_pools);
+        
+        emit PoolsSet(_pools);
+    }
+
+    /**
+     * @dev Returns the latest time rewards accrue up to: the current time, clamped to the
+     * current reward period.
+     * @return The timestamp rewards are accrued up to.
+     */
+    function lastTimeRewardApplicable() public view returns (uint256) {
+        if (block.timestamp < periodStart) return periodStart;
+        return block.timestamp < periodFinish ? block.timestamp : periodFinish;
+    }
+
+    /**
+     * @dev Calculates the current reward per token. Locked stake counts with its multiplier.
      * @return The current accumulated reward per token.
      */
     function rewardPerToken() public view returns (uint256) {
-        if (totalStaked == 0) {
+        if (totalWeightedStake == 0) {
             return rewardPerTokenStored;
         }
         
-        uint256 timeElapsed = block.timestamp - lastUpdateTime;
+        uint256 timeElapsed = lastTimeRewardApplicable() - lastUpdateTime;
         return rewardPerTokenStored + 
-            (timeElapsed * rewardRate * 1e18) / totalStaked;
+            (timeElapsed * rewardRate * 1e18) / totalWeightedStake;
     }
 
     /**
-     * @dev Calculates the amount of rewards earned by a user but not yet claimed.
+     * @dev Returns the reward per token at a past time, or the current one for a time that
+     * hasn't passed yet. Between two updates the accumulator grows linearly with reward time.
+     * @param _timestamp The time to look up.
+     * @return The accumulated reward per token at that time.
+     */
+    function rewardPerTokenAtTime(uint256 _timestamp) public view returns (uint256) {
+        if (_timestamp >= block.timestamp) return rewardPerToken();
+        
+        if (_timestamp >= lastUpdateTime) {
+            uint256 rewardTime = _timestamp < periodFinish ? _timestamp : periodFinish;
+            if (rewardTime <= lastUpdateTime || totalWeightedStake == 0) return rewardPerTokenStored;
+            return rewardPerTokenStored + 
+                ((rewardTime - lastUpdateTime) * rewardRate * 1e18) / totalWeightedStake;
+        }
+        
+        // Find the first update after the timestamp and interpolate from the one before it
+        uint256 low = 0;
+        uint256 high = _rewardPerTokenTimeline.length();
+        while (low < high) {
+            uint256 mid = Math.average(low, high);
+            if (_rewardPerTokenTimeline.at(SafeCast.toUint32(mid))._key > _timestamp) {
+                high = mid;
+            } else {
+                low = mid + 1;
+            }
+        }
+        Checkpoints.Checkpoint208 memory next = _rewardPerTokenTimeline.at(SafeCast.toUint32(high));
+        if (high == 0) return next._value;
+        Checkpoints.Checkpoint208 memory previous = _rewardPerTokenTimeline.at(SafeCast.toUint32(high - 1));
+        return previous._value + 
+            ((next._value - previous._value) * (_timestamp - previous._key)) / (next._key - previous._key);
+    }
+
+    /**
+     * @dev Calculates the amount of rewards earned by a user but not yet claimed. Locks that
+     * have ended earn with their multiplier only up to their unlock time, even if they
+     * haven't been released yet.
      * @param _user The address of the user.
      * @return The pending reward amount.
      */
     function earned(address _user) public view returns (uint256) {
-        return (
-            (stakedBalance[_user] * 
-                (rewardPerToken() - userRewardPerTokenPaid[_user])) / 1e18
-        ) + unclaimedRewards[_user];
+        uint256 currentRewardPerToken = rewardPerToken();
+        uint256 accrued = weightedBalance[_user] * (currentRewardPerToken - userRewardPerTokenPaid[_user]);
+        
+        uint256[] storage lockIds = _activeLockIds[_user];
+        for (uint256 i = 0; i < lockIds.length; i++) {
+            Lock storage lock = _locks[_user][lockIds[i]];
+            if (lock.unlockTime > block.timestamp) continue;
+            accrued -= (lock.weight - lock.amount) * 
+                (currentRewardPerToken - rewardPerTokenAtTime(lock.unlockTime));
+        }
+        
+        return accrued / 1e18 + unclaimedRewards[_user];
     }
 
     /**
@@ -92,12 +355,15 @@ contract Staking is Ownable {
      */
     function updateRewardMetrics() internal {
         rewardPerTokenStored = rewardPerToken();
-        lastUpdateTime = block.timestamp;
+        lastUpdateTime = lastTimeRewardApplicable();
+        _rewardPerTokenCheckpoints.push(SafeCast.toUint48(block.number), SafeCast.toUint208(rewardPerTokenStored));
+        _checkpointRewardTimeline();
         emit RewardPerTokenUpdated(rewardPerTokenStored);
     }
 
     /**
-     * @dev Updates a user's rewards and reward per token paid.
+     * @dev Updates a user's rewards and reward per token paid, then releases their locks that
+     * have ended.
      * @param _user The address of the user.
      */
     function updateReward(address _user) internal {
@@ -106,39 +372,82 @@ contract Staking is Ownable {
         if (_user != address(0)) {
             unclaimedRewards[_user] = earned(_user);
             userRewardPerTokenPaid[_user] = rewardPerTokenStored;
+            _releaseExpiredLocks(_user);
         }
     }
 
     /**
      * @dev Allows users to stake ETH.
      */
-    function stake() public payable {
+    function stake() public payable whenNotPaused {
         if (msg.value == 0) revert InvalidStakeAmount(msg.value);
         
+        _addStake(msg.sender, msg.value);
+        
+        emit Staked(msg.sender, msg.value);
+    }
+
+    /**
+     * @dev Allows users to stake ETH locked for one of the lock tiers. The locked stake
+     * earns rewards with the tier's multiplier and cannot be unstaked before the lock ends.
+     * @param _lockDuration The lock duration in seconds, e.g. 30, 90 or 365 days.
+     * @return lockId The index of the new lock in the user's locks.
+     */
+    function stakeLocked(uint256 _lockDuration) external payable whenNotPaused returns (uint256 lockId) {
+        if (msg.value == 0) revert InvalidStakeAmount(msg.value);
+        uint256 multiplier = lockMultipliers[_lockDuration];
+        if (multiplier == 0) revert InvalidLockDuration(_lockDuration);
+        if (_activeLockIds[msg.sender].length >= MAX_ACTIVE_LOCKS) revert TooManyLocks(msg.sender, MAX_ACTIVE_LOCKS);
+        
         // Update rewards before changing state
         updateReward(msg.sender);
         
         // Update state
+        uint256 weight = (msg.value * multiplier) / BPS_DENOMINATOR;
+        uint256 unlockTime = block.timestamp + _lockDuration;
+        lockId = _locks[msg.sender].length;
+        _locks[msg.sender].push(Lock(msg.value, weight, unlockTime, false));
+        _activeLockIds[msg.sender].push(lockId);
+        
         stakedBalance[msg.sender] += msg.value;
         totalStaked += msg.value;
+        lockedBalance[msg.sender] += msg.value;
+        weightedBalance[msg.sender] += weight;
+        totalWeightedStake += weight;
+        _checkpointStake(msg.sender);
+        receiptToken.mint(msg.sender, msg.value);
         
         emit Staked(msg.sender, msg.value);
+        emit Locked(msg.sender, lockId, msg.value, unlockTime, multiplier);
     }
 
     /**
-     * @dev Allows users to unstake their ETH.
+     * @dev Releases a user's expired locks into their unlocked balance, dropping the
+     * multipliers from the total reward shares. Locks are also released whenever their owner's
+     * rewards are settled; anyone can release them sooner so that stale multipliers stop
+     * diluting the other stakers.
+     * @param _user The owner of the lock.
+     * @param _lockId The index of an expired lock in the user's locks.
+     */
+    function releaseLock(address _user, uint256 _lockId) external {
+        if (_lockId >= _locks[_user].length) revert LockDoesNotExist(_user, _lockId);
+        Lock storage lock = _locks[_user][_lockId];
+        if (lock.released) revert LockAlreadyReleased(_user, _lockId);
+        if (block.timestamp < lock.unlockTime) revert LockNotExpired(lock.unlockTime, block.timestamp);
+        
+        // Settling the rewards releases the lock
+        updateReward(_user);
+    }
+
+    /**
+     * @dev Allows users to unstake their ETH immediately. Only available while the
+     * unbonding period is zero; otherwise use requestUnstake and withdraw.
      * @param _amount The amount of ETH to unstake.
      */
     function unstake(uint256 _amount) external {
-        if (_amount == 0) revert InvalidStakeAmount(_amount);
-        if (stakedBalance[msg.sender] < _amount) revert NotEnoughStaked(_amount);
-        
-        // Update rewards before changing state
-        updateReward(msg.sender);
+        if (unbondingPeriod != 0) revert UnbondingRequired(unbondingPeriod);
         
-        // Update state
-        stakedBalance[msg.sender] -= _amount;
-        totalStaked -= _amount;
+        _removeStake(msg.sender, _amount);
         
         // Transfer ETH back to user
         (bool success, ) = msg.sender.call{value: _amount}("");
@@ -147,23 +456,351 @@ contract Staking is Ownable {
         emit Unstaked(msg.sender, _amount);
     }
 
+    /**
+     * @dev Takes unlocked ETH out of the stake and starts its cooldown. The amount stops
+     * earning rewards and counting as stake right away, and can be withdrawn once
+     * the unbonding period has passed.
+     * @param _amount The amount of ETH to unstake.
+     * @return requestId The index of the new request in the user's unstake requests.
+     */
+    function requestUnstake(uint256 _amount) external returns (uint256 requestId) {
+        _removeStake(msg.sender, _amount);
+        requestId = _queueUnstake(msg.sender, _amount);
+        
+        emit Unstaked(msg.sender, _amount);
+    }
+
+    /**
+     * @dev Pays out all of the caller's unstake requests whose cooldown has finished.
+     * @return amount The total amount of ETH withdrawn.
+     */
+    function withdraw() external returns (uint256 amount) {
+        UnstakeRequest[] storage requests = _unstakeRequests[msg.sender];
+        uint256[] storage requestIds = _pendingRequestIds[msg.sender];
+        
+        // Pay out the finished requests and keep the others pending, in order
+        uint256 pending;
+        for (uint256 i = 0; i < requestIds.length; i++) {
+            UnstakeRequest storage request = requests[requestIds[i]];
+            if (request.availableAt <= block.timestamp) {
+                amount += request.amount;
+                request.amount = 0;
+            } else {
+                requestIds[pending++] = requestIds[i];
+            }
+        }
+        if (amount == 0) revert NothingToWithdraw();
+        
+        while (requestIds.length > pending) {
+            requestIds.pop();
+        }
+        unbondingBalance[msg.sender] -= amount;
+        
+        // Transfer ETH back to user
+        (bool success, ) = msg.sender.call{value: amount}("");
+        if (!success) revert ETHTransferFailed();
+        
+        emit Withdrawn(msg.sender, amount);
+    }
+
+    /**
+     * @dev Cancels a pending unstake request and stakes its amount again as unlocked stake.
+     * @param _requestId The index of the request in the caller's unstake requests.
+     */
+    function cancelUnstakeRequest(uint256 _requestId) external whenNotPaused {
+        UnstakeRequest[] storage requests = _unstakeRequests[msg.sender];
+        if (_requestId >= requests.length || requests[_requestId].amount == 0) {
+            revert UnstakeRequestNotPending(msg.sender, _requestId);
+        }
+        
+        uint256 amount = requests[_requestId].amount;
+        requests[_requestId].amount = 0;
+        _removeId(_pendingRequestIds[msg.sender], _requestId);
+        unbondingBalance[msg.sender] -= amount;
+        
+        _addStake(msg.sender, amount);
+        
+        emit UnstakeRequestCanceled(msg.sender, _requestId, amount);
+        emit Staked(msg.sender, amount);
+    }
+
     /**
      * @dev Allows users to claim their earned GovToken rewards.
      */
-    function claimGovToken() external {
-        // Update rewards before claiming
+    function claimGovToken() external whenNotPaused {
+        uint256 reward = _claim(msg.sender, msg.sender);
+        if (reward == 0) revert NoRewardsAvailable();
+        
+        emit RewardClaimed(msg.sender, reward);
+    }
+
+    /**
+     * @dev Allows users to claim their earned GovToken rewards to another address.
+     * @param _recipient The address that receives the rewards.
+     */
+    function claimTo(address _recipient) external whenNotPaused {
+        if (_recipient == address(0)) revert InvalidRecipient(_recipient);
+        
+        uint256 reward = _claim(msg.sender, _recipient);
+        if (reward == 0) revert NoRewardsAvailable();
+        
+        emit RewardClaimedTo(msg.sender, _recipient, reward);
+    }
+
+    /**
+     * @dev Allows an approved operator, such as a keeper, to claim a user's rewards. The
+     * rewards are always minted to the user, and operators can't touch the user's stake.
+     * @param _user The user to claim for.
+     */
+    function claimFor(address _user) external whenNotPaused {
+        if (!isOperator[_user][msg.sender]) revert NotOperator(msg.sender, _user);
+        
+        uint256 reward = _claim(_user, _user);
+        if (reward == 0) revert NoRewardsAvailable();
+        
+        emit RewardClaimedByOperator(_user, msg.sender, reward);
+    }
+
+    /**
+     * @dev Approves or revokes an operator that can claim rewards on the caller's behalf.
+     * @param _operator The operator address.
+     * @param _approved Whether the operator is approved.
+     */
+    function setOperator(address _operator, bool _approved) external {
+        isOperator[msg.sender][_operator] = _approved;
+        
+        emit OperatorSet(msg.sender, _operator, _approved);
+    }
+
+    /**
+     * @dev Unstakes all of the caller's unlocked ETH and claims their rewards in one call.
+     * Locked stake stays staked. When an unbonding period is set, the ETH goes through an
+     * unstake request instead of being sent right away.
+     */
+    function exit() external whenNotPaused {
+        // Release ended locks first so their stake exits too
         updateReward(msg.sender);
         
-        uint256 reward = unclaimedRewards[msg.sender];
+        uint256 amount = stakedBalance[msg.sender] - lockedBalance[msg.sender];
+        if (amount != 0) {
+            _removeStake(msg.sender, amount);
+            emit Unstaked(msg.sender, amount);
+        }
+        
+        uint256 reward = _claim(msg.sender, msg.sender);
+        if (amount == 0 && reward == 0) revert NothingToExit(msg.sender);
+        
+        emit Exited(msg.sender, amount, reward);
+        
+        if (amount != 0) {
+            if (unbondingPeriod != 0) {
+                _queueUnstake(msg.sender, amount);
+            } else {
+                // Transfer ETH back to user
+                (bool success, ) = msg.sender.call{value: amount}("");
+                if (!success) revert ETHTransferFailed();
+            }
+        }
+    }
+
+    /**
+     * @dev Claims the caller's GovToken rewards from the ETH pool and every ERC20 pool in a
+     * single mint. Rewards of position NFTs are claimed per position.
+     * @return reward The total amount of GovTokens claimed.
+     */
+    function claimAll() external whenNotPaused returns (uint256 reward) {
+        updateReward(msg.sender);
+        uint256 ethReward = unclaimedRewards[msg.sender];
+        if (ethReward != 0) {
+            unclaimedRewards[msg.sender] = 0;
+            _checkpointRewards(msg.sender);
+            reward = ethReward;
+            emit RewardClaimed(msg.sender, ethReward);
+        }
+        
+        if (address(pools) != address(0)) reward += pools.settleRewards(msg.sender);
         if (reward == 0) revert NoRewardsAvailable();
         
-        // Reset unclaimed rewards
+        govToken.mint(msg.sender, reward);
+    }
+
+    /**
+     * @dev Slashes a share of a staker's ETH, including locked stake and pending unstake
+     * requests, and sends it to the treasury. The staker's unclaimed rewards in the ETH pool
+     * are forfeited. Position NFTs are slashed by id with StakingPositions.slashPosition.
+     * Callable by the owner or the slasher.
+     * @param _user The staker to slash.
+     * @param _slashBps The share of the stake to slash in basis points.
+     * @param _evidence Reference to the evidence, e.g. a proposal or document link.
+     */
+    function slash(address _user, uint256 _slashBps, string calldata _evidence) external {
+        if (msg.sender != owner() && msg.sender != slasher) revert UnauthorizedSlasher(msg.sender);
+        if (_slashBps == 0 || _slashBps > BPS_DENOMINATOR) revert InvalidSlashBps(_slashBps);
+        if (treasury == address(0)) revert InvalidTreasuryAddress(treasury);
+        
+        // Settle rewards before changing state, then forfeit them
+        updateReward(_user);
+        uint256 forfeitedRewards = unclaimedRewards[_user];
+        unclaimedRewards[_user] = 0;
+        
+        // Slash each active lock and the unlocked stake by the same share
+        uint256 lockedSlashed;
+        uint256 weightSlashed;
+        uint256[] storage lockIds = _activeLockIds[_user];
+        for (uint256 i = 0; i < lockIds.length; i++) {
+            Lock storage lock = _locks[_user][lockIds[i]];
+            uint256 amountCut = (lock.amount * _slashBps) / BPS_DENOMINATOR;
+            uint256 weightCut = (lock.weight * _slashBps) / BPS_DENOMINATOR;
+            lock.amount -= amountCut;
+            lock.weight -= weightCut;
+            lockedSlashed += amountCut;
+            weightSlashed += weightCut;
+        }
+        uint256 unlockedSlashed = ((stakedBalance[_user] - lockedBalance[_user]) * _slashBps) / BPS_DENOMINATOR;
+        uint256 stakeSlashed = lockedSlashed + unlockedSlashed;
+        
+        stakedBalance[_user] -= stakeSlashed;
+        totalStaked -= stakeSlashed;
+        lockedBalance[_user] -= lockedSlashed;
+        weightedBalance[_user] -= weightSlashed + unlockedSlashed;
+        totalWeightedStake -= weightSlashed + unlockedSlashed;
+        _checkpointStake(_user);
+        if (stakeSlashed != 0) receiptToken.burn(_user, stakeSlashed);
+        
+        // Slash ETH waiting to be withdrawn so unstaking can't dodge a slash
+        uint256 unbondingSlashed;
+        uint256[] storage requestIds = _pendingRequestIds[_user];
+        for (uint256 i = 0; i < requestIds.length; i++) {
+            UnstakeRequest storage request = _unstakeRequests[_user][requestIds[i]];
+            uint256 cut = (request.amount * _slashBps) / BPS_DENOMINATOR;
+            request.amount -= cut;
+            unbondingSlashed += cut;
+        }
+        unbondingBalance[_user] -= unbondingSlashed;
+        
+        if (stakeSlashed + unbondingSlashed == 0) revert NothingToSlash(_user);
+        
+        // Transfer slashed ETH to the treasury
+        (bool success, ) = treasury.call{value: stakeSlashed + unbondingSlashed}("");
+        if (!success) revert ETHTransferFailed();
+        
+        emit Slashed(_user, _slashBps, stakeSlashed, unbondingSlashed, forfeitedRewards, _evidence);
+    }
+
+    /**
+     * @dev Returns all of the caller's staked ETH, including locked stake, while the contract
+     * is paused. Pending rewards are forfeited. Pending unstake requests are not affected.
+     */
+    function emergencyWithdraw() external whenPaused {
+        uint256 amount = stakedBalance[msg.sender];
+        if (amount == 0) revert NotEnoughStaked(amount);
+        
+        // Settle the accumulator so other stakers keep what they earned so far
+        updateRewardMetrics();
+        uint256 forfeitedRewards = earned(msg.sender);
+        
         unclaimedRewards[msg.sender] = 0;
+        userRewardPerTokenPaid[msg.sender] = rewardPerTokenStored;
         
-        // Mint governance tokens to the user
-        govToken.mint(msg.sender, reward);
+        uint256[] storage lockIds = _activeLockIds[msg.sender];
+        for (uint256 i = 0; i < lockIds.length; i++) {
+            _locks[msg.sender][lockIds[i]].released = true;
+        }
+        delete _activeLockIds[msg.sender];
         
-        emit RewardClaimed(msg.sender, reward);
+        stakedBalance[msg.sender] = 0;
+        totalStaked -= amount;
+        lockedBalance[msg.sender] = 0;
+        totalWeightedStake -= weightedBalance[msg.sender];
+        weightedBalance[msg.sender] = 0;
+        _checkpointStake(msg.sender);
+        receiptToken.burn(msg.sender, amount);
+        
+        // Transfer ETH back to user
+        (bool success, ) = msg.sender.call{value: amount}("");
+        if (!success) revert ETHTransferFailed();
+        
+        emit EmergencyWithdrawn(msg.sender, amount, forfeitedRewards);
+    }
+
+    /**
+     * @dev Moves unlocked stake along with a receipt token transfer. Rewards earned so far
+     * stay with the sender; the receiver earns on the stake from now on.
+     * @param _from The address the receipt tokens are sent from.
+     * @param _to The address the receipt tokens are sent to.
+     * @param _amount The amount of staked ETH moved.
+     */
+    function onReceiptTransfer(address _from, address _to, uint256 _amount) external {
+        if (msg.sender != address(receiptToken)) revert OnlyReceiptToken(msg.sender);
+        
+        // Settle both sides before the balances change, which also releases ended locks
+        updateReward(_from);
+        updateReward(_to);
+        
+        if (stakedBalance[_from] < _amount) revert NotEnoughStaked(_amount);
+        uint256 unlockedBalance = stakedBalance[_from] - lockedBalance[_from];
+        if (unlockedBalance < _amount) revert StakeLocked(_amount, unlockedBalance);
+        
+        stakedBalance[_from] -= _amount;
+        weightedBalance[_from] -= _amount;
+        stakedBalance[_to] += _amount;
+        weightedBalance[_to] += _amount;
+        _checkpointStake(_from);
+        _checkpointStake(_to);
+        
+        emit StakeTransferred(_from, _to, _amount);
+    }
+
+    /**
+     * @dev Settles the accumulator and replaces a position's reward share in the total.
+     * Called by the position token, which keeps the reward accounting of each position.
+     * @param _removedWeight The position's weight before the change.
+     * @param _addedWeight The position's weight after the change.
+     * @return The settled reward per token.
+     */
+    function updatePositionWeight(uint256 _removedWeight, uint256 _addedWeight) external returns (uint256) {
+        if (msg.sender != address(positionToken)) revert OnlyStakingModule(msg.sender);
+        
+        updateRewardMetrics();
+        totalWeightedStake = totalWeightedStake - _removedWeight + _addedWeight;
+        
+        return rewardPerTokenStored;
+    }
+
+    /**
+     * @dev Takes the ETH and pending rewards of an unstaked position. The rewards move to the
+     * owner's unclaimed rewards; the ETH goes through an unstake request when an unbonding
+     * period is set, and is sent to the owner otherwise. Called by the position token.
+     * @param _owner The owner of the unstaked position.
+     * @param _rewards The position's pending rewards.
+     */
+    function onPositionUnstaked(address _owner, uint256 _rewards) external payable {
+        if (msg.sender != address(positionToken)) revert OnlyStakingModule(msg.sender);
+        
+        unclaimedRewards[_owner] += _rewards;
+        _checkpointRewards(_owner);
+        
+        if (unbondingPeriod != 0) {
+            _queueUnstake(_owner, msg.value);
+            return;
+        }
+        
+        // Transfer ETH back to user
+        (bool success, ) = _owner.call{value: msg.value}("");
+        if (!success) revert ETHTransferFailed();
+    }
+
+    /**
+     * @dev Mints GovToken rewards earned in the position token or the ERC20 pools, which
+     * are the only callers.
+     * @param _to The address that receives the rewards.
+     * @param _amount The amount of GovTokens to mint.
+     */
+    function mintRewards(address _to, uint256 _amount) external {
+        if (msg.sender != address(positionToken) && msg.sender != address(pools)) {
+            revert OnlyStakingModule(msg.sender);
+        }
+        govToken.mint(_to, _amount);
     }
 
     /**
@@ -176,21 +813,400 @@ contract Staking is Ownable {
     }
 
     /**
-     * @dev Updates the reward rate.
-     * @param _rewardRate The new reward rate.
+     * @dev Returns all locks of a user, including released ones.
+     * @param _user The address of the user.
+     * @return The user's locks in creation order.
      */
-    function setRewardRate(uint256 _rewardRate) external onlyOwner {
-        if (_rewardRate == 0) revert InvalidRewardRate(_rewardRate);
+    function getLocks(address _user) external view returns (Lock[] memory) {
+        return _locks[_user];
+    }
+
+    /**
+     * @dev Returns the unstake requests of a user that have not been withdrawn or canceled.
+     * @param _user The address of the user.
+     * @return requestIds The indexes of the pending requests.
+     * @return requests The pending requests, in the same order.
+     */
+    function getUnstakeRequests(address _user)
+        external
+        view
+        returns (uint256[] memory requestIds, UnstakeRequest[] memory requests)
+    {
+        requestIds = _pendingRequestIds[_user];
+        requests = new UnstakeRequest[](requestIds.length);
+        for (uint256 i = 0; i < requestIds.length; i++) {
+            requests[i] = _unstakeRequests[_user][requestIds[i]];
+        }
+    }
+
+    /**
+     * @dev Returns the ETH a user had staked at the end of a past block.
+     * @param _user The address of the user.
+     * @param _blockNumber The block number to read the stake at. Must be in the past.
+     * @return The staked amount at that block.
+     */
+    function getPastStake(address _user, uint256 _blockNumber) external view returns (uint256) {
+        return _stakeCheckpoints[_user].upperLookupRecent(_validateBlockNumber(_blockNumber));
+    }
+
+    /**
+     * @dev Returns the ETH-pool rewards a user had earned but not claimed at the end of a past
+     * block. Rewards are counted up to the last reward update at or before that block, so
+     * accrual since then is left out until someone stakes, unstakes or claims.
+     * @param _user The address of the user.
+     * @param _blockNumber The block number to read the rewards at. Must be in the past.
+     * @return The unclaimed rewards at that block.
+     */
+    function getPastEarned(address _user, uint256 _blockNumber) external view returns (uint256) {
+        uint48 blockNumber = _validateBlockNumber(_blockNumber);
+        RewardCheckpoints storage checkpoints = _rewardCheckpoints[_user];
+        uint256 rewardPerTokenAt = _rewardPerTokenCheckpoints.upperLookupRecent(blockNumber);
         
-        // Update rewards with old rate before changing
+        return (
+            (checkpoints.weightedBalance.upperLookupRecent(blockNumber) *
+                (rewardPerTokenAt - checkpoints.rewardPerTokenPaid.upperLookupRecent(blockNumber))) / 1e18
+        ) + checkpoints.unclaimedRewards.upperLookupRecent(blockNumber);
+    }
+
+    /**
+     * @dev Returns the total staked ETH at the end of a past block.
+     * @param _blockNumber The block number to read the total at. Must be in the past.
+     * @return The total staked amount at that block.
+     */
+    function getPastTotalStaked(uint256 _blockNumber) external view returns (uint256) {
+        return _totalStakedCheckpoints.upperLookupRecent(_validateBlockNumber(_blockNumber));
+    }
+
+    /**
+     * @dev Records the current staked amount of a user and the total staked amount, along
+     * with the user's reward state.
+     * @param _user The address of the user.
+     */
+    function _checkpointStake(address _user) internal {
+        uint48 currentBlock = SafeCast.toUint48(block.number);
+        _stakeCheckpoints[_user].push(currentBlock, SafeCast.toUint208(stakedBalance[_user]));
+        _totalStakedCheckpoints.push(currentBlock, SafeCast.toUint208(totalStaked));
+        _checkpointRewards(_user);
+    }
+
+    /**
+     * @dev Records a user's unclaimed rewards, reward per token paid and reward share. Called
+     * whenever the share or the unclaimed rewards change; settling alone doesn't change what
+     * the user has earned, so it needs no checkpoint.
+     * @param _user The address of the user.
+     */
+    function _checkpointRewards(address _user) internal {
+        uint48 currentBlock = SafeCast.toUint48(block.number);
+        RewardCheckpoints storage checkpoints = _rewardCheckpoints[_user];
+        checkpoints.unclaimedRewards.push(currentBlock, SafeCast.toUint208(unclaimedRewards[_user]));
+        checkpoints.rewardPerTokenPaid.push(currentBlock, SafeCast.toUint208(userRewardPerTokenPaid[_user]));
+        checkpoints.weightedBalance.push(currentBlock, SafeCast.toUint208(weightedBalance[_user]));
+    }
+
+    /**
+     * @dev Records the reward per token at the time rewards were last accrued up to.
+     */
+    function _checkpointRewardTimeline() internal {
+        _rewardPerTokenTimeline.push(SafeCast.toUint48(lastUpdateTime), SafeCast.toUint208(rewardPerTokenStored));
+    }
+
+    /**
+     * @dev Releases a user's locks that have ended into their unlocked balance. Their rewards
+     * must have been settled first.
+     * @param _user The address of the user.
+     */
+    function _releaseExpiredLocks(address _user) internal {
+        uint256[] storage lockIds = _activeLockIds[_user];
+        bool released;
+        
+        // Walk backwards so removing an id doesn't skip the next one
+        for (uint256 i = lockIds.length; i > 0; i--) {
+            uint256 lockId = lockIds[i - 1];
+            Lock storage lock = _locks[_user][lockId];
+            if (lock.unlockTime > block.timestamp) continue;
+            
+            lock.released = true;
+            _removeId(lockIds, lockId);
+            lockedBalance[_user] -= lock.amount;
+            weightedBalance[_user] = weightedBalance[_user] - lock.weight + lock.amount;
+            totalWeightedStake = totalWeightedStake - lock.weight + lock.amount;
+            released = true;
+            
+            emit LockReleased(_user, lockId, lock.amount);
+        }
+        
+        if (released) _checkpointRewards(_user);
+    }
+
+    /**
+     * @dev Removes unlocked ETH from a user's stake after settling their rewards.
+     * @param _user The address of the user.
+     * @param _amount The amount of ETH to remove.
+     */
+    function _removeStake(address _user, uint256 _amount) internal {
+        if (_amount == 0) revert InvalidStakeAmount(_amount);
+        
+        // Update rewards before changing state, which also releases ended locks
+        updateReward(_user);
+        
+        if (stakedBalance[_user] < _amount) revert NotEnoughStaked(_amount);
+        uint256 unlockedBalance = stakedBalance[_user] - lockedBalance[_user];
+        if (unlockedBalance < _amount) revert StakeLocked(_amount, unlockedBalance);
+        
+        // Update state
+        stakedBalance[_user] -= _amount;
+        totalStaked -= _amount;
+        weightedBalance[_user] -= _amount;
+        totalWeightedStake -= _amount;
+        _checkpointStake(_user);
+        receiptToken.burn(_user, _amount);
+    }
+
+    /**
+     * @dev Settles a user's rewards in the ETH pool and mints them to a recipient.
+     * @param _user The user whose rewards are claimed.
+     * @param _recipient The address that receives the rewards.
+     * @return reward The amount minted, zero if there was nothing to claim.
+     */
+    function _claim(address _user, address _recipient) internal returns (uint256 reward) {
+        // Update rewards before claiming
+        updateReward(_user);
+        
+        reward = unclaimedRewards[_user];
+        if (reward == 0) return 0;
+        
+        // Reset unclaimed rewards
+        unclaimedRewards[_user] = 0;
+        _checkpointRewards(_user);
+        
+        // Mint governance tokens to the recipient
+        govToken.mint(_recipient, reward);
+    }
+
+    /**
+     * @dev Creates an unstake request for ETH already removed from the stake.
+     * @param _user The address of the user.
+     * @param _amount The amount of ETH to withdraw after the cooldown.
+     * @return requestId The index of the new request in the user's unstake requests.
+     */
+    function _queueUnstake(address _user, uint256 _amount) internal returns (uint256 requestId) {
+        if (_pendingRequestIds[_user].length >= MAX_PENDING_REQUESTS) {
+            revert TooManyUnstakeRequests(_user, MAX_PENDING_REQUESTS);
+        }
+        
+        uint256 availableAt = block.timestamp + unbondingPeriod;
+        requestId = _unstakeRequests[_user].length;
+        _unstakeRequests[_user].push(UnstakeRequest(_amount, availableAt));
+        _pendingRequestIds[_user].push(requestId);
+        unbondingBalance[_user] += _amount;
+        
+        emit UnstakeRequested(_user, requestId, _amount, availableAt);
+    }
+
+    /**
+     * @dev Removes an id from a user's active lock ids or pending request ids, keeping the
+     * others in order. The lists are capped, so the loop is bounded.
+     * @param _ids The list of ids.
+     * @param _id The id to remove.
+     */
+    function _removeId(uint256[] storage _ids, uint256 _id) internal {
+        uint256 length = _ids.length;
+        for (uint256 i = 0; i < length; i++) {
+            if (_ids[i] != _id) continue;
+            
+            for (uint256 j = i + 1; j < length; j++) {
+                _ids[j - 1] = _ids[j];
+            }
+            _ids.pop();
+            return;
+        }
+    }
+
+    /**
+     * @dev Adds unlocked ETH to a user's stake after settling their rewards.
+     * @param _user The address of the user.
+     * @param _amount The amount of ETH to add.
+     */
+    function _addStake(address _user, uint256 _amount) internal {
+        // Update rewards before changing state
+        updateReward(_user);
+        
+        // Update state
+        stakedBalance[_user] += _amount;
+        totalStaked += _amount;
+        weightedBalance[_user] += _amount;
+        totalWeightedStake += _amount;
+        _checkpointStake(_user);
+        receiptToken.mint(_user, _amount);
+    }
+
+    /**
+     * @dev Reverts unless the block number is strictly in the past.
+     * @param _blockNumber The block number to validate.
+     */
+    function _validateBlockNumber(uint256 _blockNumber) internal view returns (uint48) {
+        if (_blockNumber >= block.number) revert FutureLookup(_blockNumber, block.number);
+        return SafeCast.toUint48(_blockNumber);
+    }
+
+    /**
+     * @dev Starts a reward period that emits `_budget` GOV evenly between `_start` and
+     * `_start + _duration`. Rewards only accrue within reward periods, and a new period
+     * can only start once the current one has ended.
+     * @param _start The time the period starts accruing, now or in the future.
+     * @param _duration The length of the period in seconds.
+     * @param _budget The total GOV emitted over the period.
+     */
+    function startRewardPeriod(uint256 _start, uint256 _duration, uint256 _budget) external onlyOwner {
+        if (_start < block.timestamp || _duration == 0) revert InvalidRewardPeriod(_start, _duration);
+        if (_budget < _duration) revert InvalidRewardBudget(_budget);
+        if (_isRewardPeriodActive()) revert RewardPeriodActive(periodFinish);
+        
+        // Settle rewards of the previous rate before changing
+        updateRewardMetrics();
+        
+        uint256 oldRate = rewardRate;
+        rewardRate = _budget / _duration;
+        periodStart = _start;
+        periodFinish = _start + _duration;
+        rewardBudget = _budget;
+        lastUpdateTime = _start;
+        _checkpointRewardTimeline();
+        
+        emit RewardRateChanged(oldRate, rewardRate);
+        emit RewardPeriodStarted(_start, periodFinish, _budget, rewardRate);
+    }
+
+    /**
+     * @dev Adds GOV to the running reward period, spread over its remaining time.
+     * @param _amount The GOV added to the budget.
+     */
+    function topUpRewardPeriod(uint256 _amount) external onlyOwner {
+        if (_amount == 0) revert InvalidRewardBudget(_amount);
+        _updateRewardPeriod(0, _amount);
+    }
+
+    /**
+     * @dev Extends the running reward period. The unspent budget plus `_amount` is spread
+     * over the new remaining time.
+     * @param _extraDuration The seconds added to the period.
+     * @param _amount The GOV added to the budget, may be zero.
+     */
+    function extendRewardPeriod(uint256 _extraDuration, uint256 _amount) external onlyOwner {
+        if (_extraDuration == 0) revert InvalidRewardPeriod(periodStart, _extraDuration);
+        _updateRewardPeriod(_extraDuration, _amount);
+    }
+
+    /**
+     * @dev Re-derives the reward rate of the running period from its unspent budget.
+     * @param _extraDuration The seconds added to the period.
+     * @param _amount The GOV added to the budget.
+     */
+    function _updateRewardPeriod(uint256 _extraDuration, uint256 _amount) internal {
+        if (!_isRewardPeriodActive()) revert NoActiveRewardPeriod();
+        
+        // Settle rewards at the current rate before changing
         updateRewardMetrics();
         
+        uint256 remaining = periodFinish - lastTimeRewardApplicable();
         uint256 oldRate = rewardRate;
-        rewardRate = _rewardRate;
+        rewardRate = (oldRate * remaining + _amount) / (remaining + _extraDuration);
+        periodFinish += _extraDuration;
+        rewardBudget += _amount;
+        
+        emit RewardRateChanged(oldRate, rewardRate);
+        emit RewardPeriodUpdated(periodFinish, rewardBudget, rewardRate);
+    }
+
+    /**
+     * @dev Returns whether a reward period with a budget is scheduled or running.
+     */
+    function _isRewardPeriodActive() internal view returns (bool) {
+        return block.timestamp < periodFinish;
+    }
+
+    /**
+     * @dev Sets the reward multiplier of a lock tier. A zero multiplier stops offering the
+     * tier; existing locks keep the multiplier they were created with.
+     * @param _lockDuration The lock duration in seconds.
+     * @param _multiplierBps The multiplier in basis points, at least 10_000 (1x), or zero.
+     */
+    function setLockTier(uint256 _lockDuration, uint256 _multiplierBps) external onlyOwner {
+        if (_lockDuration == 0) revert InvalidLockDuration(_lockDuration);
+        if (_multiplierBps != 0 && _multiplierBps < BPS_DENOMINATOR) revert InvalidLockMultiplier(_multiplierBps);
+        
+        lockMultipliers[_lockDuration] = _multiplierBps;
+        
+        emit LockTierChanged(_lockDuration, _multiplierBps);
+    }
+
+    /**
+     * @dev Sets the cooldown for unstake requests. Zero re-enables immediate unstaking.
+     * Pending requests keep the withdrawal time they were created with.
+     * @param _unbondingPeriod The new unbonding period in seconds.
+     */
+    function setUnbondingPeriod(uint256 _unbondingPeriod) external onlyOwner {
+        uint256 oldPeriod = unbondingPeriod;
+        unbondingPeriod = _unbondingPeriod;
+        
+        emit UnbondingPeriodChanged(oldPeriod, _unbondingPeriod);
+    }
+
+    /**
+     * @dev Sets the slasher, who can slash stakers besides the owner.
+     * @param _slasher The new slasher, or the zero address to remove it.
+     */
+    function setSlasher(address _slasher) external onlyOwner {
+        address oldSlasher = slasher;
+        slasher = _slasher;
         
-        emit RewardRateChanged(oldRate, _rewardRate);
+        emit SlasherChanged(oldSlasher, _slasher);
     }
 
+    /**
+     * @dev Sets the address that receives slashed ETH.
+     * @param _treasury The new treasury.
+     */
+    function setTreasury(address _treasury) external onlyOwner {
+        if (_treasury == address(0)) revert InvalidTreasuryAddress(_treasury);
+        address oldTreasury = treasury;
+        treasury = _treasury;
+        
+        emit TreasuryChanged(oldTreasury, _treasury);
+    }
+
+    /**
+     * @dev Sets the guardian, who can pause the contract but not unpause it.
+     * @param _guardian The new guardian, or the zero address to remove it.
+     */
+    function setGuardian(address _guardian) external onlyOwner {
+        address oldGuardian = guardian;
+        guardian = _guardian;
+        
+        emit GuardianChanged(oldGuardian, _guardian);
+    }
+
+    /**
+     * @dev Pauses staking and claiming and enables emergencyWithdraw. Callable by the owner
+     * or the guardian.
+     */
+    function pause() external {
+        if (msg.sender != owner() && msg.sender != guardian) revert UnauthorizedPauser(msg.sender);
+        _pause();
+    }
+
+    /**
+     * @dev Unpauses the contract. Only the owner can unpause.
+     */
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+
+    /**
+     * @dev Only the owner can upgrade staking.
+     */
+    function _authorizeUpgrade(address) internal override onlyOwner {}
+
     /**
      * @dev Fallback function to accept ETH
      */
@@ -0,0 +1,330 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./Staking.sol";
+
+/**
+ * @title StakingPools
+ * @dev ERC20 staking pools, such as WETH or LP tokens, next to the ETH pool of the Staking
+ * contract. Each pool emits a fixed GOV budget over a reward period, with its own
+ * reward-per-token accumulator, and its rewards are minted through Staking. Pools are managed
+ * by the owner of Staking (the DAO) and are paused along with it.
+ */
+contract StakingPools is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    // ERC20 staking pool with its own reward accumulator
+    struct Pool {
+        IERC20 asset;                // Staked token, the zero address for the ETH pool
+        uint256 rewardRate;          // GovTokens emitted per second, shared by the pool's stakers
+        uint256 periodFinish;        // Time the pool's reward period stops accruing
+        uint256 lastUpdateTime;      // Last time the pool's accumulator was updated
+        uint256 rewardPerTokenStored; // Accumulated rewards per staked token
+        uint256 totalStaked;         // Total staked tokens
+        bool active;                 // Whether the pool accepts new stakes
+    }
+
+    // The staking contract that owns the ETH pool and mints the rewards
+    Staking public immutable staking;
+
+    // Number of pools, including the ETH pool with id 0
+    uint256 public poolCount;
+    // Mapping of pool id to the ERC20 pool (id 0 is the ETH pool, kept in Staking)
+    mapping(uint256 poolId => Pool pool) private _pools;
+    // Mapping of pool id and user address to staked tokens
+    mapping(uint256 poolId => mapping(address user => uint256 stakedAmount)) public poolStakedBalance;
+    // Mapping of pool id and user address to earned but unclaimed rewards
+    mapping(uint256 poolId => mapping(address user => uint256 unclaimedAmount)) public poolUnclaimedRewards;
+    // Mapping of pool id and user address to the pool's reward per token at their last update
+    mapping(uint256 poolId => mapping(address user => uint256 rewardPerTokenPaid)) public poolRewardPerTokenPaid;
+
+    // Events
+    event PoolAdded(uint256 indexed poolId, address indexed asset);
+    event PoolPeriodStarted(uint256 indexed poolId, uint256 finish, uint256 budget, uint256 rewardRate);
+    event PoolUpdated(uint256 indexed poolId, bool active);
+    event PoolStaked(uint256 indexed poolId, address indexed user, uint256 amount);
+    event PoolUnstaked(uint256 indexed poolId, address indexed user, uint256 amount);
+    event PoolRewardClaimed(uint256 indexed poolId, address indexed user, uint256 amount);
+
+    // Custom errors
+    error InvalidPoolAsset(address asset);
+    error InvalidPool(uint256 poolId);
+    error PoolNotActive(uint256 poolId);
+    error InvalidRewardPeriod(uint256 duration);
+    error InvalidRewardBudget(uint256 budget);
+    error PoolPeriodActive(uint256 poolId, uint256 periodFinish);
+    error InvalidStakeAmount(uint256 amount);
+    error NotEnoughStaked(uint256 amount);
+    error NoRewardsAvailable();
+    error OnlyStakingOwner(address sender);
+    error OnlyStakingContract(address sender, address staking);
+    error EnforcedPause();
+
+    /**
+     * @dev Reverts unless the caller is the owner of the staking contract.
+     */
+    modifier onlyStakingOwner() {
+        if (msg.sender != staking.owner()) revert OnlyStakingOwner(msg.sender);
+        _;
+    }
+
+    /**
+     * @dev Reverts while the staking contract is paused.
+     */
+    modifier whenStakingNotPaused() {
+        if (staking.paused()) revert EnforcedPause();
+        _;
+    }
+
+    /**
+     * @dev Sets the Staking contract (its proxy) that the pools belong to.
+     * @param _staking The address of the staking contract.
+     */
+    constructor(address _staking) {
+        staking = Staking(payable(_staking));
+        poolCount = 1;
+    }
+
+    /**
+     * @dev Stakes tokens in an ERC20 pool.
+     * @param _poolId The id of the pool, starting at 1.
+     * @param _amount The amount of tokens to stake.
+     */
+    function stakeToken(uint256 _poolId, uint256 _amount) external whenStakingNotPaused nonReentrant {
+        Pool storage pool = _getPool(_poolId);
+        if (!pool.active) revert PoolNotActive(_poolId);
+        if (_amount == 0) revert InvalidStakeAmount(_amount);
+
+        // Update rewards before changing state
+        _updatePoolReward(_poolId, msg.sender);
+
+        // Count what actually arrived, for tokens that take a fee on transfer
+        uint256 balanceBefore = pool.asset.balanceOf(address(this));
+        pool.asset.safeTransferFrom(msg.sender, address(this), _amount);
+        uint256 received = pool.asset.balanceOf(address(this)) - balanceBefore;
+
+        poolStakedBalance[_poolId][msg.sender] += received;
+        pool.totalStaked += received;
+
+        emit PoolStaked(_poolId, msg.sender, received);
+    }
+
+    /**
+     * @dev Unstakes tokens from an ERC20 pool. Token pools have no lockups or unbonding.
+     * @param _poolId The id of the pool, starting at 1.
+     * @param _amount The amount of tokens to unstake.
+     */
+    function unstakeToken(uint256 _poolId, uint256 _amount) external nonReentrant {
+        Pool storage pool = _getPool(_poolId);
+        if (_amount == 0) revert InvalidStakeAmount(_amount);
+        if (poolStakedBalance[_poolId][msg.sender] < _amount) revert NotEnoughStaked(_amount);
+
+        // Update rewards before changing state
+        _updatePoolReward(_poolId, msg.sender);
+
+        poolStakedBalance[_poolId][msg.sender] -= _amount;
+        pool.totalStaked -= _amount;
+
+        pool.asset.safeTransfer(msg.sender, _amount);
+
+        emit PoolUnstaked(_poolId, msg.sender, _amount);
+    }
+
+    /**
+     * @dev Claims the caller's GovToken rewards from an ERC20 pool.
+     * @param _poolId The id of the pool, starting at 1.
+     */
+    function claimPoolRewards(uint256 _poolId) external whenStakingNotPaused {
+        _getPool(_poolId);
+        uint256 reward = _settlePoolRewards(_poolId, msg.sender);
+        if (reward == 0) revert NoRewardsAvailable();
+
+        staking.mintRewards(msg.sender, reward);
+    }
+
+    /**
+     * @dev Settles and resets a user's rewards in every ERC20 pool, for Staking.claimAll to
+     * mint them together with the ETH pool's rewards.
+     * @param _user The address of the user.
+     * @return reward The total settled rewards.
+     */
+    function settleRewards(address _user) external returns (uint256 reward) {
+        if (msg.sender != address(staking)) revert OnlyStakingContract(msg.sender, address(staking));
+
+        for (uint256 poolId = 1; poolId < poolCount; poolId++) {
+            reward += _settlePoolRewards(poolId, _user);
+        }
+    }
+
+    /**
+     * @dev Returns the latest time a pool's rewards accrue up to: the current time, clamped
+     * to the end of the pool's reward period.
+     * @param _poolId The id of the pool, starting at 1.
+     * @return The timestamp the pool's rewards are accrued up to.
+     */
+    function poolLastTimeRewardApplicable(uint256 _poolId) public view returns (uint256) {
+        uint256 periodFinish = _getPool(_poolId).periodFinish;
+        return block.timestamp < periodFinish ? block.timestamp : periodFinish;
+    }
+
+    /**
+     * @dev Calculates the current reward per token of a pool.
+     * @param _poolId The id of the pool; 0 returns rewardPerToken() of the ETH pool.
+     * @return The pool's current accumulated reward per token.
+     */
+    function poolRewardPerToken(uint256 _poolId) public view returns (uint256) {
+        if (_poolId == 0) return staking.rewardPerToken();
+        Pool storage pool = _getPool(_poolId);
+        if (pool.totalStaked == 0) {
+            return pool.rewardPerTokenStored;
+        }
+
+        uint256 timeElapsed = poolLastTimeRewardApplicable(_poolId) - pool.lastUpdateTime;
+        return pool.rewardPerTokenStored +
+            (timeElapsed * pool.rewardRate * 1e18) / pool.totalStaked;
+    }
+
+    /**
+     * @dev Calculates the rewards earned by a user in a pool but not yet claimed.
+     * @param _poolId The id of the pool; 0 returns earned() in the ETH pool.
+     * @param _user The address of the user.
+     * @return The pending reward amount.
+     */
+    function poolEarned(uint256 _poolId, address _user) public view returns (uint256) {
+        if (_poolId == 0) return staking.earned(_user);
+        return (
+            (poolStakedBalance[_poolId][_user] *
+                (poolRewardPerToken(_poolId) - poolRewardPerTokenPaid[_poolId][_user])) / 1e18
+        ) + poolUnclaimedRewards[_poolId][_user];
+    }
+
+    /**
+     * @dev Returns a pool. Pool 0 is the ETH pool, built from the staking contract's variables.
+     * @param _poolId The id of the pool.
+     * @return The pool.
+     */
+    function getPool(uint256 _poolId) external view returns (Pool memory) {
+        if (_poolId == 0) {
+            return Pool(
+                IERC20(address(0)),
+                staking.rewardRate(),
+                staking.periodFinish(),
+                staking.lastUpdateTime(),
+                staking.rewardPerTokenStored(),
+                staking.totalStaked(),
+                !staking.paused()
+            );
+        }
+        return _getPool(_poolId);
+    }
+
+    /**
+     * @dev Adds an ERC20 staking pool that emits `_budget` GOV evenly over `_duration`
+     * seconds from now.
+     * @param _asset The token staked in the pool.
+     * @param _duration The length of the pool's first reward period in seconds.
+     * @param _budget The total GOV emitted over the period, shared by the pool's stakers.
+     * @return poolId The id of the new pool.
+     */
+    function addPool(address _asset, uint256 _duration, uint256 _budget) external onlyStakingOwner returns (uint256 poolId) {
+        if (_asset == address(0) || _asset == address(staking.govToken())) revert InvalidPoolAsset(_asset);
+
+        poolId = poolCount++;
+        _pools[poolId].asset = IERC20(_asset);
+        _pools[poolId].active = true;
+
+        emit PoolAdded(poolId, _asset);
+
+        _startPoolPeriod(poolId, _duration, _budget);
+    }
+
+    /**
+     * @dev Starts a new reward period for a pool whose previous period has ended, emitting
+     * `_budget` GOV evenly over `_duration` seconds from now.
+     * @param _poolId The id of the pool, starting at 1.
+     * @param _duration The length of the period in seconds.
+     * @param _budget The total GOV emitted over the period.
+     */
+    function startPoolPeriod(uint256 _poolId, uint256 _duration, uint256 _budget) external onlyStakingOwner {
+        Pool storage pool = _getPool(_poolId);
+        if (block.timestamp < pool.periodFinish) revert PoolPeriodActive(_poolId, pool.periodFinish);
+
+        // Settle rewards of the previous period before changing
+        _updatePoolReward(_poolId, address(0));
+
+        _startPoolPeriod(_poolId, _duration, _budget);
+    }
+
+    /**
+     * @dev Sets whether an ERC20 pool accepts new stakes. Stakers can always leave, and the
+     * pool keeps emitting until its reward period ends.
+     * @param _poolId The id of the pool, starting at 1.
+     * @param _active Whether the pool accepts new stakes.
+     */
+    function setPool(uint256 _poolId, bool _active) external onlyStakingOwner {
+        _getPool(_poolId).active = _active;
+
+        emit PoolUpdated(_poolId, _active);
+    }
+
+    /**
+     * @dev Sets a pool's reward rate from a budget and starts accruing it now.
+     * @param _poolId The id of the pool.
+     * @param _duration The length of the period in seconds.
+     * @param _budget The total GOV emitted over the period.
+     */
+    function _startPoolPeriod(uint256 _poolId, uint256 _duration, uint256 _budget) internal {
+        if (_duration == 0) revert InvalidRewardPeriod(_duration);
+        if (_budget < _duration) revert InvalidRewardBudget(_budget);
+
+        Pool storage pool = _pools[_poolId];
+        pool.rewardRate = _budget / _duration;
+        pool.periodFinish = block.timestamp + _duration;
+        pool.lastUpdateTime = block.timestamp;
+
+        emit PoolPeriodStarted(_poolId, pool.periodFinish, _budget, pool.rewardRate);
+    }
+
+    /**
+     * @dev Returns an ERC20 pool, reverting for the ETH pool and unknown ids.
+     * @param _poolId The id of the pool.
+     */
+    function _getPool(uint256 _poolId) internal view returns (Pool storage) {
+        if (_poolId == 0 || _poolId >= poolCount) revert InvalidPool(_poolId);
+        return _pools[_poolId];
+    }
+
+    /**
+     * @dev Settles a pool's accumulator and, unless `_user` is zero, the user's rewards in it.
+     * @param _poolId The id of the pool.
+     * @param _user The address of the user.
+     */
+    function _updatePoolReward(uint256 _poolId, address _user) internal {
+        Pool storage pool = _pools[_poolId];
+        pool.rewardPerTokenStored = poolRewardPerToken(_poolId);
+        pool.lastUpdateTime = poolLastTimeRewardApplicable(_poolId);
+
+        if (_user != address(0)) {
+            poolUnclaimedRewards[_poolId][_user] = poolEarned(_poolId, _user);
+            poolRewardPerTokenPaid[_poolId][_user] = pool.rewardPerTokenStored;
+        }
+    }
+
+    /**
+     * @dev Settles and resets a user's rewards in a pool. The caller mints them.
+     * @param _poolId The id of the pool.
+     * @param _user The address of the user.
+     * @return reward The settled rewards.
+     */
+    function _settlePoolRewards(uint256 _poolId, address _user) internal returns (uint256 reward) {
+        _updatePoolReward(_poolId, _user);
+
+        reward = poolUnclaimedRewards[_poolId][_user];
+        if (reward != 0) {
+            poolUnclaimedRewards[_poolId][_user] = 0;
+            emit PoolRewardClaimed(_poolId, _user, reward);
+        }
+    }
+}
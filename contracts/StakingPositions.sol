@@ -0,0 +1,487 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "./Staking.sol";
+
+/**
+ * @title StakingPositions
+ * @dev ERC721 staking positions for the Staking contract. Each position holds its own ETH,
+ * lock and rewards, and can be merged, split and transferred. Positions earn from the ETH
+ * pool's reward-per-token accumulator in Staking, weighted by the multiplier of their lock tier.
+ * Each token's metadata, including an SVG image, is generated on-chain from the live position.
+ * Positions are slashed one by one by id, by the same owner or slasher as Staking.
+ */
+contract StakingPositions is ERC721 {
+    using Strings for uint256;
+
+    // Denominator for lock multipliers in basis points (10_000 = 1x)
+    uint256 public constant BPS_DENOMINATOR = 10_000;
+
+    // Stake held as a position NFT, with its own reward accounting
+    struct Position {
+        uint256 amount;             // Staked ETH
+        uint256 weight;             // Reward share of the position (amount * multiplier)
+        uint256 multiplierBps;      // Reward multiplier in basis points
+        uint256 startTime;          // Timestamp when the position was created
+        uint256 unlockTime;         // Timestamp when the position can be unstaked
+        uint256 rewardPerTokenPaid; // Reward per token at the position's last update
+        uint256 unclaimedRewards;   // Earned but unclaimed rewards of the position
+    }
+
+    // The staking contract whose lock tiers, accumulator and pause positions follow
+    Staking public immutable staking;
+
+    // Total ETH staked in positions
+    uint256 public totalStaked;
+    // Id of the next position NFT
+    uint256 public nextPositionId;
+    // Mapping of position id to the position
+    mapping(uint256 positionId => Position position) private _positions;
+
+    // Events
+    event PositionCreated(address indexed owner, uint256 indexed positionId, uint256 amount, uint256 unlockTime, uint256 multiplierBps);
+    event PositionUnstaked(address indexed owner, uint256 indexed positionId, uint256 amount);
+    event PositionRewardClaimed(address indexed owner, uint256 indexed positionId, uint256 amount);
+    event PositionsMerged(uint256 indexed positionId, uint256 indexed mergedPositionId);
+    event PositionSplit(uint256 indexed positionId, uint256 indexed newPositionId, uint256 amount);
+    event PositionLockReleased(uint256 indexed positionId);
+    event EmergencyWithdrawn(address indexed user, uint256 amount, uint256 forfeitedRewards);
+    event PositionSlashed(
+        address indexed owner,
+        uint256 indexed positionId,
+        uint256 slashBps,
+        uint256 amountSlashed,
+        uint256 forfeitedRewards,
+        string evidence
+    );
+
+    // Custom errors
+    error InvalidStakeAmount(uint256 amount);
+    error InvalidLockDuration(uint256 lockDuration);
+    error NotPositionOwner(address caller, uint256 positionId);
+    error PositionLocked(uint256 positionId, uint256 unlockTime);
+    error InvalidSplitAmount(uint256 positionId, uint256 amount);
+    error CannotMergePosition(uint256 positionId);
+    error LockNotExpired(uint256 unlockTime, uint256 currentTime);
+    error LockAlreadyReleased(address user, uint256 positionId);
+    error NoRewardsAvailable();
+    error UnauthorizedSlasher(address caller);
+    error InvalidSlashBps(uint256 slashBps);
+    error InvalidTreasuryAddress(address treasury);
+    error NothingToSlash(uint256 positionId);
+    error ETHTransferFailed();
+    error EnforcedPause();
+    error ExpectedPause();
+
+    /**
+     * @dev Reverts while the staking contract is paused.
+     */
+    modifier whenStakingNotPaused() {
+        if (staking.paused()) revert EnforcedPause();
+        _;
+    }
+
+    /**
+     * @dev Reverts unless the staking contract is paused.
+     */
+    modifier whenStakingPaused() {
+        if (!staking.paused()) revert ExpectedPause();
+        _;
+    }
+
+    /**
+     * @dev Sets the Staking contract (its proxy) that positions earn rewards from.
+     * @param _staking The address of the staking contract.
+     */
+    constructor(address _staking) ERC721("GOV Staking Position", "stGOV-POS") {
+        staking = Staking(payable(_staking));
+        nextPositionId = 1;
+    }
+
+    /**
+     * @dev Stakes ETH as a new position NFT owned by the caller. The position accrues rewards
+     * on its own, with the multiplier of its lock tier.
+     * @param _lockDuration The lock duration in seconds, or zero for an unlocked position.
+     * @return positionId The id of the new position NFT.
+     */
+    function stakePosition(uint256 _lockDuration) external payable whenStakingNotPaused returns (uint256 positionId) {
+        if (msg.value == 0) revert InvalidStakeAmount(msg.value);
+        uint256 multiplier = _lockDuration == 0 ? BPS_DENOMINATOR : staking.lockMultipliers(_lockDuration);
+        if (multiplier == 0) revert InvalidLockDuration(_lockDuration);
+
+        positionId = _createPosition(
+            msg.sender,
+            msg.value,
+            multiplier,
+            block.timestamp,
+            block.timestamp + _lockDuration
+        );
+
+        emit PositionCreated(msg.sender, positionId, msg.value, block.timestamp + _lockDuration, multiplier);
+    }
+
+    /**
+     * @dev Unstakes a whole position once its lock has ended and burns the NFT. Its pending
+     * rewards move to the owner's unclaimed rewards in Staking, and the ETH is paid out by
+     * Staking, through an unstake request when an unbonding period is set.
+     * @param _positionId The id of the position.
+     */
+    function unstakePosition(uint256 _positionId) external {
+        _requirePositionOwner(_positionId);
+        Position storage position = _positions[_positionId];
+        if (block.timestamp < position.unlockTime) revert PositionLocked(_positionId, position.unlockTime);
+
+        _updatePosition(_positionId, 0);
+        uint256 amount = position.amount;
+        uint256 rewards = position.unclaimedRewards;
+        _removePosition(_positionId);
+
+        emit PositionUnstaked(msg.sender, _positionId, amount);
+
+        staking.onPositionUnstaked{value: amount}(msg.sender, rewards);
+    }
+
+    /**
+     * @dev Claims the GovToken rewards earned by a position.
+     * @param _positionId The id of the position.
+     */
+    function claimPositionRewards(uint256 _positionId) external whenStakingNotPaused {
+        _requirePositionOwner(_positionId);
+        _releaseExpiredLock(_positionId);
+        _updatePosition(_positionId, _positions[_positionId].weight);
+
+        uint256 reward = _positions[_positionId].unclaimedRewards;
+        if (reward == 0) revert NoRewardsAvailable();
+
+        _positions[_positionId].unclaimedRewards = 0;
+        staking.mintRewards(msg.sender, reward);
+
+        emit PositionRewardClaimed(msg.sender, _positionId, reward);
+    }
+
+    /**
+     * @dev Merges a position into another one owned by the caller and burns the merged NFT.
+     * The result keeps the later unlock time and the lower multiplier of the two, so merging
+     * can't extend a multiplier to more stake or shorten a lock.
+     * @param _positionId The position that receives the stake.
+     * @param _mergedPositionId The position merged into it.
+     */
+    function mergePositions(uint256 _positionId, uint256 _mergedPositionId) external whenStakingNotPaused {
+        if (_positionId == _mergedPositionId) revert CannotMergePosition(_mergedPositionId);
+        _requirePositionOwner(_positionId);
+        _requirePositionOwner(_mergedPositionId);
+        _releaseExpiredLock(_positionId);
+        _releaseExpiredLock(_mergedPositionId);
+
+        _updatePosition(_mergedPositionId, 0);
+        Position memory merged = _positions[_mergedPositionId];
+        _removePosition(_mergedPositionId);
+
+        Position storage position = _positions[_positionId];
+        uint256 multiplier = merged.multiplierBps < position.multiplierBps
+            ? merged.multiplierBps
+            : position.multiplierBps;
+        uint256 amount = position.amount + merged.amount;
+        _updatePosition(_positionId, (amount * multiplier) / BPS_DENOMINATOR);
+
+        totalStaked += merged.amount;
+        position.amount = amount;
+        position.multiplierBps = multiplier;
+        if (merged.unlockTime > position.unlockTime) position.unlockTime = merged.unlockTime;
+        position.unclaimedRewards += merged.unclaimedRewards;
+
+        emit PositionsMerged(_positionId, _mergedPositionId);
+    }
+
+    /**
+     * @dev Splits part of a position into a new position NFT with the same lock. Pending
+     * rewards stay with the original position.
+     * @param _positionId The position to split.
+     * @param _amount The ETH moved to the new position.
+     * @return newPositionId The id of the new position NFT.
+     */
+    function splitPosition(uint256 _positionId, uint256 _amount) external whenStakingNotPaused returns (uint256 newPositionId) {
+        _requirePositionOwner(_positionId);
+        Position storage position = _positions[_positionId];
+        if (_amount == 0 || _amount >= position.amount) revert InvalidSplitAmount(_positionId, _amount);
+        _releaseExpiredLock(_positionId);
+
+        _updatePosition(_positionId, ((position.amount - _amount) * position.multiplierBps) / BPS_DENOMINATOR);
+        totalStaked -= _amount;
+        position.amount -= _amount;
+
+        newPositionId = _createPosition(
+            msg.sender,
+            _amount,
+            position.multiplierBps,
+            position.startTime,
+            position.unlockTime
+        );
+
+        emit PositionSplit(_positionId, newPositionId, _amount);
+    }
+
+    /**
+     * @dev Drops the multiplier of a position whose lock has ended from Staking's total reward
+     * shares. The position itself earns with the multiplier only up to its unlock time, and
+     * its lock is also released on its next claim, merge, split or slash. Anyone can call it,
+     * as with Staking.releaseLock.
+     * @param _positionId The id of the position.
+     */
+    function releasePositionLock(uint256 _positionId) external {
+        Position storage position = _positions[_positionId];
+        if (position.amount == 0 || position.multiplierBps == BPS_DENOMINATOR) {
+            revert LockAlreadyReleased(ownerOf(_positionId), _positionId);
+        }
+        if (block.timestamp < position.unlockTime) revert LockNotExpired(position.unlockTime, block.timestamp);
+
+        _releaseExpiredLock(_positionId);
+    }
+
+    /**
+     * @dev Returns the ETH of a position, locked or not, while staking is paused and burns
+     * the NFT. The position's pending rewards are forfeited.
+     * @param _positionId The id of the position.
+     */
+    function emergencyWithdrawPosition(uint256 _positionId) external whenStakingPaused {
+        _requirePositionOwner(_positionId);
+
+        // Settle the accumulator so other stakers keep what they earned so far
+        _updatePosition(_positionId, 0);
+        uint256 amount = _positions[_positionId].amount;
+        uint256 forfeitedRewards = _positions[_positionId].unclaimedRewards;
+        _removePosition(_positionId);
+
+        // Transfer ETH back to user
+        (bool success, ) = msg.sender.call{value: amount}("");
+        if (!success) revert ETHTransferFailed();
+
+        emit EmergencyWithdrawn(msg.sender, amount, forfeitedRewards);
+    }
+
+    /**
+     * @dev Slashes a share of a position's ETH, locked or not, and sends it to the treasury of
+     * Staking. The position's pending rewards are forfeited and it keeps its lock; a fully
+     * slashed position is burned. Callable by the owner or the slasher of Staking.
+     * @param _positionId The id of the position.
+     * @param _slashBps The share of the position to slash in basis points.
+     * @param _evidence Reference to the evidence, e.g. a proposal or document link.
+     */
+    function slashPosition(uint256 _positionId, uint256 _slashBps, string calldata _evidence) external {
+        if (msg.sender != staking.owner() && msg.sender != staking.slasher()) revert UnauthorizedSlasher(msg.sender);
+        if (_slashBps == 0 || _slashBps > BPS_DENOMINATOR) revert InvalidSlashBps(_slashBps);
+        address treasury = staking.treasury();
+        if (treasury == address(0)) revert InvalidTreasuryAddress(treasury);
+        address positionOwner = ownerOf(_positionId);
+        _releaseExpiredLock(_positionId);
+
+        Position storage position = _positions[_positionId];
+        uint256 amountSlashed = (position.amount * _slashBps) / BPS_DENOMINATOR;
+        if (amountSlashed == 0) revert NothingToSlash(_positionId);
+
+        // Settle rewards at the old weight, then forfeit them
+        uint256 amount = position.amount - amountSlashed;
+        _updatePosition(_positionId, (amount * position.multiplierBps) / BPS_DENOMINATOR);
+        uint256 forfeitedRewards = position.unclaimedRewards;
+        position.unclaimedRewards = 0;
+
+        totalStaked -= amountSlashed;
+        position.amount = amount;
+        if (amount == 0) _removePosition(_positionId);
+
+        // Transfer slashed ETH to the treasury
+        (bool success, ) = treasury.call{value: amountSlashed}("");
+        if (!success) revert ETHTransferFailed();
+
+        emit PositionSlashed(positionOwner, _positionId, _slashBps, amountSlashed, forfeitedRewards, _evidence);
+    }
+
+    /**
+     * @dev Calculates the rewards earned by a position but not yet claimed. A position whose
+     * lock has ended earns with its multiplier only up to its unlock time.
+     * @param _positionId The id of the position.
+     * @return The pending reward amount.
+     */
+    function positionEarned(uint256 _positionId) public view returns (uint256) {
+        Position storage position = _positions[_positionId];
+        return _accruedRewards(position, staking.rewardPerToken()) + position.unclaimedRewards;
+    }
+
+    /**
+     * @dev Returns a position. Burned or unknown positions have a zero amount.
+     * @param _positionId The id of the position.
+     * @return The position.
+     */
+    function getPosition(uint256 _positionId) external view returns (Position memory) {
+        return _positions[_positionId];
+    }
+
+    /**
+     * @dev Returns the position's metadata as a base64 encoded JSON data URI.
+     * @param positionId The id of the position.
+     * @return The token URI.
+     */
+    function tokenURI(uint256 positionId) public view override returns (string memory) {
+        _requireOwned(positionId);
+        Position memory position = _positions[positionId];
+        uint256 pendingRewards = positionEarned(positionId);
+
+        string memory amount = _formatEther(position.amount);
+        string memory rewards = _formatEther(pendingRewards);
+        string memory multiplier = _formatBps(position.multiplierBps);
+
+        string memory image = Base64.encode(
+            abi.encodePacked(
+                '<svg xmlns="http://www.w3.org/2000/svg" width="300" height="200">',
+                '<rect width="100%" height="100%" fill="#1b1f3b"/>',
+                '<text x="20" y="40" fill="#fff" font-size="18">Staking Position #', positionId.toString(), '</text>',
+                '<text x="20" y="90" fill="#fff" font-size="16">', amount, ' ETH</text>',
+                '<text x="20" y="125" fill="#aaa" font-size="14">', multiplier, 'x rewards</text>',
+                '<text x="20" y="160" fill="#aaa" font-size="14">', rewards, ' GOV pending</text>',
+                '</svg>'
+            )
+        );
+
+        bytes memory json = abi.encodePacked(
+            '{"name":"Staking Position #', positionId.toString(),
+            '","description":"ETH staked in the GOV Staking contract.",',
+            '"attributes":[',
+            '{"trait_type":"Staked ETH","value":"', amount, '"},',
+            '{"trait_type":"Pending GOV","value":"', rewards, '"},',
+            '{"trait_type":"Multiplier","value":"', multiplier, '"},',
+            '{"display_type":"date","trait_type":"Start","value":', position.startTime.toString(), '},',
+            '{"display_type":"date","trait_type":"Unlock","value":', position.unlockTime.toString(), '}',
+            '],"image":"data:image/svg+xml;base64,', image, '"}'
+        );
+
+        return string(abi.encodePacked("data:application/json;base64,", Base64.encode(json)));
+    }
+
+    /**
+     * @dev Creates a position, adds its weight to the staking accumulator and mints its NFT.
+     * @param _owner The owner of the new position.
+     * @param _amount The staked ETH.
+     * @param _multiplierBps The reward multiplier in basis points.
+     * @param _startTime The start time recorded for the position.
+     * @param _unlockTime The time the position can be unstaked.
+     * @return positionId The id of the new position NFT.
+     */
+    function _createPosition(
+        address _owner,
+        uint256 _amount,
+        uint256 _multiplierBps,
+        uint256 _startTime,
+        uint256 _unlockTime
+    ) internal returns (uint256 positionId) {
+        uint256 weight = (_amount * _multiplierBps) / BPS_DENOMINATOR;
+        uint256 rewardPerToken = staking.updatePositionWeight(0, weight);
+
+        positionId = nextPositionId++;
+        _positions[positionId] = Position(
+            _amount,
+            weight,
+            _multiplierBps,
+            _startTime,
+            _unlockTime,
+            rewardPerToken,
+            0
+        );
+        totalStaked += _amount;
+
+        _safeMint(_owner, positionId);
+    }
+
+    /**
+     * @dev Deletes a position and burns its NFT. Its weight must have been removed from the
+     * accumulator with _updatePosition first.
+     * @param _positionId The id of the position.
+     */
+    function _removePosition(uint256 _positionId) internal {
+        totalStaked -= _positions[_positionId].amount;
+        delete _positions[_positionId];
+
+        _burn(_positionId);
+    }
+
+    /**
+     * @dev Settles the rewards of a position at its current weight, then changes its weight.
+     * @param _positionId The id of the position.
+     * @param _newWeight The reward share of the position from now on.
+     */
+    function _updatePosition(uint256 _positionId, uint256 _newWeight) internal {
+        Position storage position = _positions[_positionId];
+        uint256 rewardPerToken = staking.updatePositionWeight(position.weight, _newWeight);
+
+        position.unclaimedRewards += _accruedRewards(position, rewardPerToken);
+        position.rewardPerTokenPaid = rewardPerToken;
+        position.weight = _newWeight;
+    }
+
+    /**
+     * @dev Drops the multiplier of a position whose lock has ended, after settling its
+     * rewards. Does nothing for unlocked, released or still locked positions.
+     * @param _positionId The id of the position.
+     */
+    function _releaseExpiredLock(uint256 _positionId) internal {
+        Position storage position = _positions[_positionId];
+        if (position.multiplierBps == BPS_DENOMINATOR || block.timestamp < position.unlockTime) return;
+
+        _updatePosition(_positionId, position.amount);
+        position.multiplierBps = BPS_DENOMINATOR;
+
+        emit PositionLockReleased(_positionId);
+    }
+
+    /**
+     * @dev Calculates the rewards a position earned since its last update, counting the part
+     * of its weight that comes from the multiplier only up to its unlock time.
+     * @param _position The position.
+     * @param _rewardPerToken The current reward per token.
+     * @return The rewards earned since the last update.
+     */
+    function _accruedRewards(Position storage _position, uint256 _rewardPerToken) internal view returns (uint256) {
+        uint256 accrued = _position.weight * (_rewardPerToken - _position.rewardPerTokenPaid);
+        if (_position.weight > _position.amount && _position.unlockTime <= block.timestamp) {
+            accrued -= (_position.weight - _position.amount) *
+                (_rewardPerToken - staking.rewardPerTokenAtTime(_position.unlockTime));
+        }
+        return accrued / 1e18;
+    }
+
+    /**
+     * @dev Reverts unless the caller owns the position NFT.
+     * @param _positionId The id of the position.
+     */
+    function _requirePositionOwner(uint256 _positionId) internal view {
+        if (ownerOf(_positionId) != msg.sender) revert NotPositionOwner(msg.sender, _positionId);
+    }
+
+    /**
+     * @dev Formats a wei amount as a decimal with 4 decimals, e.g. 1.5 ether as "1.5000".
+     */
+    function _formatEther(uint256 amount) internal pure returns (string memory) {
+        uint256 decimals = (amount % 1 ether) / 1e14;
+        return string(abi.encodePacked((amount / 1 ether).toString(), ".", _padDecimals(decimals, 4)));
+    }
+
+    /**
+     * @dev Formats a basis point multiplier, e.g. 12_500 as "1.25".
+     */
+    function _formatBps(uint256 bps) internal pure returns (string memory) {
+        return string(abi.encodePacked((bps / 10_000).toString(), ".", _padDecimals((bps % 10_000) / 100, 2)));
+    }
+
+    /**
+     * @dev Left-pads the decimals with zeros to the given number of digits.
+     */
+    function _padDecimals(uint256 value, uint256 digits) internal pure returns (string memory) {
+        bytes memory result = bytes(value.toString());
+        while (result.length < digits) {
+            result = abi.encodePacked("0", result);
+        }
+        return string(result);
+    }
+}
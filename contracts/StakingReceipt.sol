@@ -0,0 +1,57 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "./interfaces/IStakeReceiptHook.sol";
+
+/**
+ * @title StakingReceipt
+ * @dev Transferable ERC20 receipt for ETH staked in the Staking contract, minted and burned 1:1
+ * with the stake. Transfers move the underlying stake and its rewards to the receiver.
+ */
+contract StakingReceipt is ERC20 {
+    // The staking contract that mints and burns this token
+    address public immutable staking;
+
+    // Custom errors
+    error OnlyStakingContract(address sender, address staking);
+
+    /**
+     * @dev Sets the Staking contract (its proxy), which becomes the only minter and burner.
+     * @param _staking The address of the staking contract.
+     */
+    constructor(address _staking) ERC20("Staked GOV ETH", "stGOV-ETH") {
+        staking = _staking;
+    }
+
+    /**
+     * @dev Mints receipt tokens for newly staked ETH. Can only be called by the staking contract.
+     * @param to The staker receiving the receipt.
+     * @param amount The amount of ETH staked.
+     */
+    function mint(address to, uint256 amount) external {
+        if (msg.sender != staking) revert OnlyStakingContract(msg.sender, staking);
+        _mint(to, amount);
+    }
+
+    /**
+     * @dev Burns receipt tokens for unstaked ETH. Can only be called by the staking contract.
+     * @param from The staker whose receipt is burned.
+     * @param amount The amount of ETH unstaked.
+     */
+    function burn(address from, uint256 amount) external {
+        if (msg.sender != staking) revert OnlyStakingContract(msg.sender, staking);
+        _burn(from, amount);
+    }
+
+    /**
+     * @dev Lets the staking contract move the stake on transfers. Mints and burns are
+     * already accounted for by the staking contract.
+     */
+    function _update(address from, address to, uint256 value) internal override {
+        if (from != address(0) && to != address(0)) {
+            IStakeReceiptHook(staking).onReceiptTransfer(from, to, value);
+        }
+        super._update(from, to, value);
+    }
+}
@@ -0,0 +1,78 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/access/Ownable2Step.sol";
+import "./GovToken.sol";
+import "./Staking.sol";
+import "./interfaces/IVotingPowerSource.sol";
+
+/**
+ * @title StakingVotingPower
+ * @dev Voting power source that gives stakers a voice before they claim their rewards.
+ * Voting power combines GOV voting power, unclaimed staking rewards and, optionally,
+ * staked ETH weighted by a factor set by governance.
+ */
+contract StakingVotingPower is IVotingPowerSource, Ownable2Step {
+    // The governance token whose voting power is counted
+    GovToken public govToken;
+    // The staking contract whose rewards and stakes are counted
+    Staking public staking;
+    // Voting power per staked ETH, scaled by 1e18 (zero to ignore staked ETH)
+    uint256 public stakeWeight;
+
+    // Events
+    event StakeWeightChanged(uint256 oldWeight, uint256 newWeight);
+
+    // Errors
+    error InvalidGovTokenAddress(address govToken);
+    error InvalidStakingAddress(address staking);
+
+    /**
+     * @dev Constructor sets the token and staking contracts read for voting power.
+     * @param _govToken The address of the governance token.
+     * @param _staking The address of the staking contract.
+     * @param _stakeWeight Voting power per staked ETH, scaled by 1e18.
+     */
+    constructor(address _govToken, address _staking, uint256 _stakeWeight) Ownable(msg.sender) {
+        if (_govToken == address(0)) revert InvalidGovTokenAddress(_govToken);
+        if (_staking == address(0)) revert InvalidStakingAddress(_staking);
+        govToken = GovToken(_govToken);
+        staking = Staking(payable(_staking));
+        stakeWeight = _stakeWeight;
+    }
+
+    /**
+     * @dev Returns GOV voting power, unclaimed rewards and weighted staked ETH, all read at the
+     * given block, so stake or rewards gained after the snapshot don't count.
+     * @param _account The address to look up.
+     * @param _timepoint The block number to read the voting power at.
+     * @return The combined voting power of the account.
+     */
+    function getPastVotingPower(address _account, uint256 _timepoint) external view returns (uint256) {
+        return govToken.getPastVotes(_account, _timepoint)
+            + staking.getPastEarned(_account, _timepoint)
+            + (staking.getPastStake(_account, _timepoint) * stakeWeight) / 1e18;
+    }
+
+    /**
+     * @dev Returns the GOV supply and weighted total staked ETH at the given block.
+     * Unclaimed rewards are not tracked in aggregate and are left out of the total.
+     * @param _timepoint The block number to read the total voting power at.
+     * @return The total voting power.
+     */
+    function getPastTotalVotingPower(uint256 _timepoint) external view returns (uint256) {
+        return govToken.getPastTotalSupply(_timepoint)
+            + (staking.getPastTotalStaked(_timepoint) * stakeWeight) / 1e18;
+    }
+
+    /**
+     * @dev Sets the voting power granted per staked ETH.
+     * @param _stakeWeight The new weight, scaled by 1e18 (zero to ignore staked ETH).
+     */
+    function setStakeWeight(uint256 _stakeWeight) external onlyOwner {
+        uint256 oldWeight = stakeWeight;
+        stakeWeight = _stakeWeight;
+        
+        emit StakeWeightChanged(oldWeight, _stakeWeight);
+    }
+}
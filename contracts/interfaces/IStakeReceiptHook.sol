@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+/**
+ * @title IStakeReceiptHook
+ * @dev Called by StakingReceipt on every transfer so the staking contract can move the
+ * underlying stake and its reward accounting with the receipt.
+ */
+interface IStakeReceiptHook {
+    /**
+     * @dev Moves staked ETH from one holder to another. Reverts to block the transfer.
+     * @param from The address the receipt tokens are sent from.
+     * @param to The address the receipt tokens are sent to.
+     * @param amount The amount of receipt tokens, equal to the staked ETH moved.
+     */
+    function onReceiptTransfer(address from, address to, uint256 amount) external;
+}
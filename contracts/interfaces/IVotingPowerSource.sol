@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+/**
+ * @title IVotingPowerSource
+ * @dev Source of voting power read by DAOGovernance at a proposal's snapshot block.
+ */
+interface IVotingPowerSource {
+    /**
+     * @dev Returns the voting power of an account at the end of a past block.
+     * @param account The address to look up.
+     * @param timepoint The block number to read the voting power at.
+     * @return The voting power of the account.
+     */
+    function getPastVotingPower(address account, uint256 timepoint) external view returns (uint256);
+
+    /**
+     * @dev Returns the total voting power at the end of a past block, used to compute quorum.
+     * @param timepoint The block number to read the total voting power at.
+     * @return The total voting power.
+     */
+    function getPastTotalVotingPower(uint256 timepoint) external view returns (uint256);
+}
@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "../DAOGovernance.sol";
+
+/**
+ * @title DAOGovernanceV2
+ * @dev DAOGovernance with a version getter, used as the new implementation in upgrade tests.
+ * It adds no state, so it needs no initializer of its own.
+ * @custom:oz-upgrades-unsafe-allow missing-initializer
+ */
+contract DAOGovernanceV2 is DAOGovernance {
+    /**
+     * @dev Returns the implementation version.
+     */
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+}
@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "../Staking.sol";
+
+/**
+ * @title StakingV2
+ * @dev Staking with a version getter, used as the new implementation in upgrade tests.
+ * It adds no state, so it needs no initializer of its own.
+ * @custom:oz-upgrades-unsafe-allow missing-initializer
+ */
+contract StakingV2 is Staking {
+    /**
+     * @dev Returns the implementation version.
+     */
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+}
@@ -4,6 +4,7 @@ require("@nomicfoundation/hardhat-network-helpers");
 require("hardhat-gas-reporter");
 // require("solidity-coverage");
 require("@nomicfoundation/hardhat-verify");
+require("@openzeppelin/hardhat-upgrades");
 require("dotenv").config();
 
 // Default to prevent errors if .env file is missing
@@ -14,21 +15,23 @@ const ETHERSCAN_API_KEY = process.env.ETHERSCAN_API_KEY || "";
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
-  solidity: "0.8.28",
-  settings: {
-    optimizer: {
-      enabled: true,
-      runs: 600,
-      // details: {
-      //   yul: true,
-      //   yulDetails: {
-      //     stackAllocation: true,
-      //     optimizerSteps: "dhfoDgvulfnTUtnIf",
-      //   },
-      // },
+  solidity: {
+    version: "0.8.28",
+    settings: {
+      optimizer: {
+        enabled: true,
+        runs: 600,
+        // details: {
+        //   yul: true,
+        //   yulDetails: {
+        //     stackAllocation: true,
+        //     optimizerSteps: "dhfoDgvulfnTUtnIf",
+        //   },
+        // },
+      },
+      viaIR: true,
     },
   },
-  viaIR: true,
   networks: {
     hardhat: {
       chainId: 31337,
@@ -1,100 +1,207 @@
+// This script deploys the DAO ecosystem with the parameters in deploy-config/<network>.json.
+// Every deployed contract and completed setup step is recorded in the network's manifest
+// (deployments/<network>.json), so a rerun after a failure skips what was already done.
 // We require the Hardhat Runtime Environment explicitly here.
-const { ethers, network, run } = require("hardhat");
+const { ethers, upgrades, network, run } = require("hardhat");
+const { manifestPath, loadConfig, loadManifest, saveManifest } = require("./lib/deployments");
 
-async function main() {
-  console.log("Deploying DAO Ecosystem contracts...");
+/**
+ * Deploys or resumes the deployment on the current network.
+ * @param {object} [options]
+ * @param {Function} [options.log] Progress logger, console.log by default.
+ * @returns The manifest of the deployment, as written to the manifest file.
+ */
+async function deploy({ log = console.log } = {}) {
+  const config = loadConfig(network.name);
+  const [deployer] = await ethers.getSigners();
+  const chainId = (await ethers.provider.getNetwork()).chainId.toString();
 
-  // Deploy GovToken
-  const GovToken = await ethers.getContractFactory("GovToken");
-  const govToken = await GovToken.deploy();
-  await govToken.waitForDeployment();
-  const govTokenAddress = await govToken.getAddress();
-  console.log("GovToken deployed to:", govTokenAddress);
+  // Resuming only makes sense if the recorded contracts still exist, which is not the case
+  // after restarting a local node
+  let manifest = loadManifest(network.name);
+  if (manifest && !(await isDeployed(manifest, chainId))) {
+    log(`Contracts in ${manifestPath(network.name)} are not on this chain, starting a new deployment`);
+    manifest = null;
+  }
+  if (manifest) {
+    log(`Resuming the deployment recorded in ${manifestPath(network.name)}`);
+  } else {
+    manifest = { network: network.name, chainId, deployer: deployer.address, contracts: {}, steps: {} };
+  }
+  manifest.config = config;
+  saveManifest(network.name, manifest);
+
+  // Deploys a contract, or a UUPS proxy for it, unless the manifest already has it
+  async function deployContract(name, args, { proxy = false } = {}) {
+    const Factory = await ethers.getContractFactory(name);
+    const recorded = manifest.contracts[name];
+    if (recorded) {
+      log(`${name} already deployed to: ${recorded.address}`);
+      return Factory.attach(recorded.address);
+    }
+
+    const contract = proxy
+      ? await upgrades.deployProxy(Factory, args, { kind: "uups" })
+      : await Factory.deploy(...args);
+    await contract.waitForDeployment();
+    const receipt = await contract.deploymentTransaction().wait();
+    const address = await contract.getAddress();
 
-  // Define reward rate - 1 GOV token per ETH staked per day
-  // Assuming 86400 seconds in a day, this gives approximately 1.15e-5 tokens per second
-  const rewardRate = ethers.parseEther("0.0000115");
+    manifest.contracts[name] = proxy
+      ? {
+          address,
+          implementation: await upgrades.erc1967.getImplementationAddress(address),
+          initializerArgs: args,
+          txHash: receipt.hash,
+          blockNumber: receipt.blockNumber,
+        }
+      : { address, constructorArgs: args, txHash: receipt.hash, blockNumber: receipt.blockNumber };
+    saveManifest(network.name, manifest);
+    log(`${name} deployed to: ${address}`);
+    return contract;
+  }
+
+  // Sends a setup transaction unless the manifest records it as done
+  async function runStep(name, description, sendTx) {
+    if (manifest.steps[name]) {
+      log(`${description} (already done)`);
+      return;
+    }
 
-  // Deploy Staking contract (now accepts ETH directly)
-  const Staking = await ethers.getContractFactory("Staking");
-  const staking = await Staking.deploy(govTokenAddress, rewardRate);
-  await staking.waitForDeployment();
+    const tx = await sendTx();
+    const receipt = await tx.wait();
+    manifest.steps[name] = { txHash: receipt.hash, blockNumber: receipt.blockNumber };
+    saveManifest(network.name, manifest);
+    log(description);
+  }
+
+  // GovToken, Staking and DAO Governance are deployed behind UUPS proxies so they can be
+  // upgraded later with scripts/upgrade.js
+  const govToken = await deployContract("GovToken", [], { proxy: true });
+  const govTokenAddress = await govToken.getAddress();
+
+  const staking = await deployContract("Staking", [govTokenAddress], { proxy: true });
   const stakingAddress = await staking.getAddress();
-  console.log("Staking contract deployed to:", stakingAddress);
 
-  // Set staking contract in GovToken
-  const setStakingTx = await govToken.setStakingContract(stakingAddress);
-  await setStakingTx.wait();
-  console.log("Staking contract set in GovToken");
+  // Deploy the receipt token and position NFT for the Staking proxy and register them
+  const receiptToken = await deployContract("StakingReceipt", [stakingAddress]);
+  const positionToken = await deployContract("StakingPositions", [stakingAddress]);
+  await runStep("setTokens", "Receipt and position tokens set in Staking", async () =>
+    staking.setTokens(await receiptToken.getAddress(), await positionToken.getAddress())
+  );
+
+  // Deploy the ERC20 staking pools for the Staking proxy and register them
+  const pools = await deployContract("StakingPools", [stakingAddress]);
+  await runStep("setPools", "ERC20 pools set in Staking", async () => staking.setPools(await pools.getAddress()));
+
+  // Withdrawals go through an unbonding queue so stake can't be used to vote and exit at once
+  await runStep("setUnbondingPeriod", `Staking unbonding period set to ${config.unbondingPeriod} seconds`, () =>
+    staking.setUnbondingPeriod(config.unbondingPeriod)
+  );
+
+  await runStep("setStakingContract", "Staking contract set in GovToken", () =>
+    govToken.setStakingContract(stakingAddress)
+  );
+
+  // Staking emits nothing until a reward period starts. The period spreads its GOV budget evenly
+  // over its duration, starting rewardStartDelay seconds from now so the transaction can land
+  // before the start time
+  const rewardBudget = ethers.parseEther(config.rewardBudget);
+  await runStep(
+    "startRewardPeriod",
+    `Staking reward period started: ${config.rewardBudget} GOV over ${config.rewardDuration} seconds`,
+    async () => {
+      const start = (await ethers.provider.getBlock("latest")).timestamp + config.rewardStartDelay;
+      return staking.startRewardPeriod(start, config.rewardDuration, rewardBudget);
+    }
+  );
+
+  // Non-transferable mode makes GOV only obtainable through staking. Governance can lift it later
+  if (config.govTransfersRestricted) {
+    await runStep("setTransfersRestricted", "GovToken transfers restricted (non-transferable mode)", () =>
+      govToken.setTransfersRestricted(true)
+    );
+  } else {
+    log("GovToken transfers unrestricted");
+  }
 
-  // Deploy DAO Governance contract
-  const DAOGovernance = await ethers.getContractFactory("DAOGovernance");
-  const daoGovernance = await DAOGovernance.deploy(govTokenAddress);
-  await daoGovernance.waitForDeployment();
+  const daoGovernance = await deployContract("DAOGovernance", [govTokenAddress], { proxy: true });
   const daoGovernanceAddress = await daoGovernance.getAddress();
-  console.log("DAO Governance contract deployed to:", daoGovernanceAddress);
 
+  // Slashed ETH goes to the DAO treasury
+  await runStep("setTreasury", "Staking treasury set to the DAO", () => staking.setTreasury(daoGovernanceAddress));
+
+  // Deploy the staking-aware voting power source. Staked ETH is not counted until
+  // governance sets a weight, and the DAO switches to it through setVotingPowerSource
+  const stakeWeight = ethers.parseEther(config.stakeWeight);
+  const stakingVotingPower = await deployContract("StakingVotingPower", [govTokenAddress, stakingAddress, stakeWeight]);
+
+  // Propose the DAO as owner of the stake weight so it can only change through proposals.
+  // The DAO accepts it with the other contracts through scripts/migrate-ownership.js
+  await runStep("offerStakingVotingPowerToDao", "StakingVotingPower ownership offered to the DAO", () =>
+    stakingVotingPower.transferOwnership(daoGovernanceAddress)
+  );
+
+  // Returning the manifest as written, with BigInt arguments as strings
+  return loadManifest(network.name);
+}
+
+// Checks that the manifest belongs to this chain and its contracts are deployed
+async function isDeployed(manifest, chainId) {
+  if (manifest.chainId !== chainId) return false;
+  for (const { address } of Object.values(manifest.contracts)) {
+    if ((await ethers.provider.getCode(address)) === "0x") return false;
+  }
+  return true;
+}
+
+async function main() {
+  console.log(`Deploying DAO Ecosystem contracts to ${network.name}...`);
+  const manifest = await deploy();
   console.log("All contracts deployed successfully!");
 
   // Output all contract addresses for easy reference
   console.log("\nContract Addresses:");
   console.log("-------------------");
-  console.log("GovToken:", govTokenAddress);
-  console.log("Staking:", stakingAddress);
-  console.log("DAO Governance:", daoGovernanceAddress);
+  for (const [name, { address, implementation }] of Object.entries(manifest.contracts)) {
+    console.log(`${name}: ${address}${implementation ? ` (implementation ${implementation})` : ""}`);
+  }
+  console.log(`\nDeployment manifest written to ${manifestPath(network.name)}`);
 
-  // Verify contracts on Etherscan if not on a local network
-  if (network.name !== "hardhat" && network.name !== "localhost") {
+  // Verify contracts on Etherscan if the network config asks for it
+  if (manifest.config.verify) {
     console.log("\nVerifying contracts on Etherscan...");
-    
+
     // Give Etherscan some time to index the contracts
     console.log("Waiting for 30 seconds before verification...");
     await new Promise(resolve => setTimeout(resolve, 30000));
-    
-    // Verify GovToken
-    console.log("Verifying GovToken...");
-    try {
-      await run("verify:verify", {
-        address: govTokenAddress,
-        constructorArguments: []
-      });
-      console.log("GovToken verified successfully ✅");
-    } catch (error) {
-      console.log("Failed to verify GovToken:", error.message);
-    }
-    
-    // Verify Staking Contract
-    console.log("Verifying Staking contract...");
-    try {
-      await run("verify:verify", {
-        address: stakingAddress,
-        constructorArguments: [govTokenAddress, rewardRate]
-      });
-      console.log("Staking contract verified successfully ✅");
-    } catch (error) {
-      console.log("Failed to verify Staking contract:", error.message);
-    }
-    
-    // Verify DAO Governance Contract
-    console.log("Verifying DAO Governance contract...");
-    try {
-      await run("verify:verify", {
-        address: daoGovernanceAddress,
-        constructorArguments: [govTokenAddress]
-      });
-      console.log("DAO Governance contract verified successfully ✅");
-    } catch (error) {
-      console.log("Failed to verify DAO Governance contract:", error.message);
+
+    // Verifying a proxy address verifies its implementation and links the two on Etherscan
+    for (const [name, { address, constructorArgs }] of Object.entries(manifest.contracts)) {
+      console.log(`Verifying ${name}...`);
+      try {
+        await run("verify:verify", {
+          address,
+          constructorArguments: constructorArgs || []
+        });
+        console.log(`${name} verified successfully ✅`);
+      } catch (error) {
+        console.log(`Failed to verify ${name}:`, error.message);
+      }
     }
-    
+
     console.log("Contract verification process completed!");
   }
 }
 
-// Execute the deployment
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error(error);
-    process.exit(1);
-  }); 
\ No newline at end of file
+module.exports = { deploy };
+
+// Execute the deployment when run as a script
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
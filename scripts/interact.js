@@ -1,17 +1,21 @@
 // This script can be used to interact with the deployed contracts
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
+const { loadAddresses } = require("./lib/deployments");
+const { PROPOSAL_STATES } = require("./lib/proposals");
 
 async function main() {
   const [deployer] = await ethers.getSigners();
   console.log("Interacting with contracts as:", deployer.address);
 
-  // Replace these addresses with your deployed contract addresses on .env file or you can use the default ones that i already set
-  const govTokenAddress = process.env.GOV_TOKEN_ADDRESS;
-  const stakingAddress = process.env.STAKING_ADDRESS;
-  const daoGovAddress = process.env.DAO_GOV_ADDRESS;
+  // Addresses come from the network's deployment manifest written by scripts/deploy.js,
+  // or from the .env file if this network has no manifest
+  const addresses = loadAddresses(network.name);
+  const govTokenAddress = addresses.govToken;
+  const stakingAddress = addresses.staking;
+  const daoGovAddress = addresses.daoGovernance;
 
   if (!govTokenAddress || !stakingAddress || !daoGovAddress) {
-    console.error("Please set the contract addresses in your .env file");
+    console.error("Please deploy the contracts with scripts/deploy.js or set their addresses in your .env file");
     return;
   }
 
@@ -48,41 +52,51 @@ async function main() {
     console.log("\nProposal Details:");
     console.log("----------------");
     
-    for (let i = 0; i < proposalCount; i++) {
-      // Getting proposal details
-      const proposal = await daoGovernance.getProposalStatus(i);
+    // Fetching proposal summaries in pages instead of one call per proposal
+    const pageSize = 50n;
+    for (let offset = 0n; offset < proposalCount; offset += pageSize) {
+      const summaries = await daoGovernance.getProposals(offset, pageSize);
       
-      // Format timestamp to readable date - converting BigInt to Number first
-      const votingEndTimestamp = Number(proposal.voteDeadline);
-      const votingEndTime = new Date(votingEndTimestamp * 1000);
-      const isActive = votingEndTimestamp > Math.floor(Date.now() / 1000);
-      
-      console.log(`\nProposal #${i}:`);
-      console.log(`Description: ${proposal.description}`);
-      console.log(`Voting Ends: ${votingEndTime.toLocaleString()}`);
-      console.log(`Status: ${isActive ? "Active" : proposal.executed ? "Executed" : "Ended (not executed)"}`);
-      console.log(`Yes Votes: ${ethers.formatEther(proposal.yesVotes)}`);
-      console.log(`No Votes: ${ethers.formatEther(proposal.noVotes)}`);
-      
-      // Calculating result if voting has ended
-      if (!isActive) {
-        const totalVotes = BigInt(proposal.yesVotes) + BigInt(proposal.noVotes);
-        if (totalVotes > 0n) {
-          const yesPercentage = (Number(ethers.formatEther(proposal.yesVotes)) / 
-                               Number(ethers.formatEther(totalVotes)) * 100).toFixed(2);
-          console.log(`Result: ${yesPercentage}% in favor`);
-          console.log(`Outcome: ${BigInt(proposal.yesVotes) > BigInt(proposal.noVotes) ? "Passed" : "Rejected"}`);
-        } else {
-          console.log("No votes were cast");
+      for (const proposal of summaries) {
+        const i = proposal.id;
+        const state = PROPOSAL_STATES[Number(proposal.state)];
+        
+        // Format timestamps to readable dates - converting BigInt to Number first
+        const createdTime = new Date(Number(proposal.createdAt) * 1000);
+        const votingEndTime = new Date(Number(proposal.voteDeadline) * 1000);
+        
+        console.log(`\nProposal #${i}:`);
+        console.log(`Description: ${proposal.description}`);
+        console.log(`Proposer: ${proposal.proposer}`);
+        console.log(`Created: ${createdTime.toLocaleString()}`);
+        console.log(`Voting Ends: ${votingEndTime.toLocaleString()}`);
+        console.log(`Status: ${state}`);
+        if (state === "Queued") {
+          console.log(`Executable after: ${new Date(Number(proposal.eta) * 1000).toLocaleString()}`);
+        }
+        console.log(`Yes Votes: ${ethers.formatEther(proposal.yesVotes)}`);
+        console.log(`No Votes: ${ethers.formatEther(proposal.noVotes)}`);
+        console.log(`Abstain Votes: ${ethers.formatEther(proposal.abstainVotes)}`);
+        
+        // Calculating result if voting has ended
+        if (state !== "Active") {
+          const totalVotes = BigInt(proposal.yesVotes) + BigInt(proposal.noVotes);
+          if (totalVotes > 0n) {
+            const yesPercentage = (Number(ethers.formatEther(proposal.yesVotes)) / 
+                                 Number(ethers.formatEther(totalVotes)) * 100).toFixed(2);
+            console.log(`Result: ${yesPercentage}% in favor`);
+          } else {
+            console.log("No votes were cast");
+          }
+        }
+        
+        // Checking if current user has voted
+        const hasVoted = await daoGovernance.hasVoted(i, deployer.address);
+        if (hasVoted) {
+          console.log("You have voted on this proposal");
+        } else if (state === "Active") {
+          console.log("You have not voted on this proposal yet");
         }
-      }
-      
-      // Checking if current user has voted
-      const hasVoted = await daoGovernance.hasVoted(i, deployer.address);
-      if (hasVoted) {
-        console.log("You have voted on this proposal");
-      } else if (isActive) {
-        console.log("You have not voted on this proposal yet");
       }
     }
   }
@@ -0,0 +1,66 @@
+// Helpers for the per-network deployment config and manifest.
+// Config files live in deploy-config/<network>.json and hold the deployment parameters.
+// Manifests live in deployments/<network>.json (or DEPLOYMENTS_DIR) and record every deployed
+// contract and completed setup step, so scripts can find the contracts and reruns can resume.
+const fs = require("fs");
+const path = require("path");
+
+const ROOT_DIR = path.join(__dirname, "..", "..");
+const CONFIG_DIR = path.join(ROOT_DIR, "deploy-config");
+
+// Directory of the manifests, read on every call so tests can point it elsewhere
+function deploymentsDir() {
+  return process.env.DEPLOYMENTS_DIR || path.join(ROOT_DIR, "deployments");
+}
+
+function manifestPath(networkName) {
+  return path.join(deploymentsDir(), `${networkName}.json`);
+}
+
+// Loads the deployment parameters of a network
+function loadConfig(networkName) {
+  const configPath = path.join(CONFIG_DIR, `${networkName}.json`);
+  if (!fs.existsSync(configPath)) {
+    throw new Error(`No deployment config for network "${networkName}", expected ${configPath}`);
+  }
+  return JSON.parse(fs.readFileSync(configPath, "utf8"));
+}
+
+// Loads the manifest of a network, or null if nothing was deployed there yet
+function loadManifest(networkName) {
+  const file = manifestPath(networkName);
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+// Writes the manifest, converting BigInt arguments to strings
+function saveManifest(networkName, manifest) {
+  fs.mkdirSync(deploymentsDir(), { recursive: true });
+  const json = JSON.stringify(manifest, (key, value) => (typeof value === "bigint" ? value.toString() : value), 2);
+  fs.writeFileSync(manifestPath(networkName), `${json}\n`);
+}
+
+// Returns the contract addresses of a network: from its manifest if there is one, otherwise
+// from the GOV_TOKEN_ADDRESS, STAKING_ADDRESS, DAO_GOV_ADDRESS and STAKING_VOTING_POWER_ADDRESS
+// environment variables
+function loadAddresses(networkName) {
+  const manifest = loadManifest(networkName);
+  if (manifest) {
+    const address = (name) => manifest.contracts[name] && manifest.contracts[name].address;
+    return {
+      govToken: address("GovToken"),
+      staking: address("Staking"),
+      daoGovernance: address("DAOGovernance"),
+      stakingVotingPower: address("StakingVotingPower"),
+    };
+  }
+
+  return {
+    govToken: process.env.GOV_TOKEN_ADDRESS,
+    staking: process.env.STAKING_ADDRESS,
+    daoGovernance: process.env.DAO_GOV_ADDRESS,
+    stakingVotingPower: process.env.STAKING_VOTING_POWER_ADDRESS,
+  };
+}
+
+module.exports = { manifestPath, loadConfig, loadManifest, saveManifest, loadAddresses };
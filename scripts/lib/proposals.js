@@ -0,0 +1,39 @@
+// Helpers for scripts that act on DAO proposals, such as the ownership migration and upgrades.
+
+// Names of the DAOGovernance.ProposalState enum values, in order
+const PROPOSAL_STATES = ["Active", "Canceled", "Defeated", "Succeeded", "Queued", "Expired", "Executed"];
+
+// Returns the name of a proposal's current state
+async function proposalState(daoGovernance, proposalId) {
+  return PROPOSAL_STATES[Number(await daoGovernance.state(proposalId))];
+}
+
+// Moves a passed proposal one step forward: queues it once it has succeeded, and executes it
+// once it is queued and its timelock has ended. Returns the state the proposal was found in
+async function advanceProposal(daoGovernance, proposalId, { log = console.log } = {}) {
+  const state = await proposalState(daoGovernance, proposalId);
+  log(`Proposal #${proposalId} is ${state}`);
+
+  if (state === "Succeeded") {
+    const tx = await daoGovernance.queueProposal(proposalId);
+    await tx.wait();
+    const eta = (await daoGovernance.getProposals(proposalId, 1))[0].eta;
+    log(`Queued proposal #${proposalId}, executable after ${new Date(Number(eta) * 1000).toLocaleString()}`);
+    log("Run this script again after that time to execute it");
+  } else if (state === "Queued") {
+    const eta = (await daoGovernance.getProposals(proposalId, 1))[0].eta;
+    const now = (await daoGovernance.runner.provider.getBlock("latest")).timestamp;
+
+    if (BigInt(now) >= eta) {
+      const tx = await daoGovernance.executeProposal(proposalId);
+      await tx.wait();
+      log(`Executed proposal #${proposalId} in tx ${tx.hash}`);
+    } else {
+      log(`Timelock ends at ${new Date(Number(eta) * 1000).toLocaleString()}`);
+    }
+  }
+
+  return state;
+}
+
+module.exports = { PROPOSAL_STATES, proposalState, advanceProposal };
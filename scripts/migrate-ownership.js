@@ -0,0 +1,115 @@
+// This script hands ownership of the protocol contracts from the deployer to the DAO.
+// Ownership moves in two steps: the deployer proposes the DAO as the new owner, then the DAO
+// accepts through a passed proposal. Run it once to start the migration and create the
+// acceptance proposal, then again with MIGRATION_PROPOSAL_ID to queue and execute it.
+const { ethers, network } = require("hardhat");
+const { loadAddresses } = require("./lib/deployments");
+const { advanceProposal } = require("./lib/proposals");
+
+async function main() {
+  const [deployer] = await ethers.getSigners();
+  console.log("Migrating ownership as:", deployer.address);
+
+  // Addresses come from the network's deployment manifest, or from the .env file
+  const addresses = loadAddresses(network.name);
+  const govTokenAddress = addresses.govToken;
+  const stakingAddress = addresses.staking;
+  const daoGovAddress = addresses.daoGovernance;
+  // Optional: StakingVotingPower is only migrated when its address is known
+  const stakingVotingPowerAddress = addresses.stakingVotingPower;
+
+  if (!govTokenAddress || !stakingAddress || !daoGovAddress) {
+    console.error("Please deploy the contracts with scripts/deploy.js or set their addresses in your .env file");
+    return;
+  }
+
+  const daoGovernance = await ethers.getContractAt("DAOGovernance", daoGovAddress);
+  const contracts = [
+    { name: "GovToken", contract: await ethers.getContractAt("GovToken", govTokenAddress) },
+    { name: "Staking", contract: await ethers.getContractAt("Staking", stakingAddress) },
+    { name: "DAOGovernance", contract: daoGovernance },
+  ];
+  if (stakingVotingPowerAddress) {
+    contracts.push({
+      name: "StakingVotingPower",
+      contract: await ethers.getContractAt("StakingVotingPower", stakingVotingPowerAddress),
+    });
+  }
+
+  // Step 1: propose the DAO as the new owner of every contract the deployer still owns
+  console.log("\nStep 1: Proposing the DAO as owner");
+  for (const { name, contract } of contracts) {
+    const currentOwner = await contract.owner();
+    const pendingOwner = await contract.pendingOwner();
+
+    if (currentOwner === daoGovAddress) {
+      console.log(`${name}: already owned by the DAO`);
+    } else if (pendingOwner === daoGovAddress) {
+      console.log(`${name}: DAO already proposed, waiting for acceptance`);
+    } else if (currentOwner === deployer.address) {
+      const tx = await contract.transferOwnership(daoGovAddress);
+      await tx.wait();
+      console.log(`${name}: DAO proposed as owner in tx ${tx.hash}`);
+    } else {
+      console.log(`${name}: owned by ${currentOwner}, which is not the deployer. Skipping`);
+    }
+  }
+
+  // Step 2: the DAO accepts ownership through a proposal
+  console.log("\nStep 2: Accepting ownership through a DAO proposal");
+  const proposalId = process.env.MIGRATION_PROPOSAL_ID;
+
+  if (proposalId === undefined) {
+    const pending = [];
+    for (const entry of contracts) {
+      if ((await entry.contract.pendingOwner()) === daoGovAddress) pending.push(entry);
+    }
+
+    if (pending.length > 0) {
+      const targets = await Promise.all(pending.map(({ contract }) => contract.getAddress()));
+      const acceptCall = daoGovernance.interface.encodeFunctionData("acceptOwnership");
+      const votingPeriod = process.env.MIGRATION_VOTING_PERIOD || (await daoGovernance.minimumVotingPeriod());
+
+      // The deployer needs to hold GOV (and meet the proposal threshold) to create the proposal
+      const tx = await daoGovernance["createProposal(string,uint256,address[],uint256[],bytes[])"](
+        `Accept ownership of ${pending.map(({ name }) => name).join(", ")}`,
+        votingPeriod,
+        targets,
+        targets.map(() => 0),
+        targets.map(() => acceptCall)
+      );
+      const receipt = await tx.wait();
+      const event = receipt.logs
+        .map((log) => daoGovernance.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "ProposalCreated");
+
+      console.log(`Created proposal #${event.args.proposalId} in tx ${tx.hash}`);
+      console.log("Once it has passed, run this script again with MIGRATION_PROPOSAL_ID set to queue and execute it");
+    } else {
+      console.log("No contract is waiting for the DAO to accept ownership");
+    }
+  } else {
+    await advanceProposal(daoGovernance, proposalId);
+  }
+
+  // Checking the result
+  console.log("\nOwnership:");
+  let migrated = true;
+  for (const { name, contract } of contracts) {
+    const currentOwner = await contract.owner();
+    const isDao = currentOwner === daoGovAddress;
+    if (!isDao) migrated = false;
+    console.log(`${name}: ${currentOwner} ${isDao ? "(DAO) ✅" : "(not the DAO yet)"}`);
+  }
+
+  console.log(migrated
+    ? "\nMigration complete: parameters can now only change through passed proposals"
+    : "\nMigration not complete yet");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,118 @@
+// This script relays EIP-712 signed ballots to DAOGovernance so voters don't have to pay gas
+const fs = require("fs");
+const path = require("path");
+const { ethers, network } = require("hardhat");
+const { loadAddresses } = require("./lib/deployments");
+
+// Ballots file: a JSON array of { proposalId, support, nonce, deadline, signature }
+// where support is 0 (Against), 1 (For) or 2 (Abstain)
+const BALLOTS_FILE = process.env.BALLOTS_FILE || "ballots.json";
+// Number of transactions sent before waiting for them to be mined
+const BATCH_SIZE = Number(process.env.RELAY_BATCH_SIZE || 10);
+
+// EIP-712 type of a ballot, as signed by voters
+const BALLOT_TYPES = {
+  Ballot: [
+    { name: "proposalId", type: "uint256" },
+    { name: "support", type: "uint8" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+async function main() {
+  const [relayer] = await ethers.getSigners();
+  console.log("Relaying ballots as:", relayer.address);
+
+  // The address comes from the network's deployment manifest, or from the .env file
+  const daoGovAddress = loadAddresses(network.name).daoGovernance;
+  if (!daoGovAddress) {
+    console.error("Please deploy the contracts with scripts/deploy.js or set DAO_GOV_ADDRESS in your .env file");
+    return;
+  }
+
+  const ballotsPath = path.resolve(BALLOTS_FILE);
+  if (!fs.existsSync(ballotsPath)) {
+    console.error(`Ballots file not found: ${ballotsPath}`);
+    return;
+  }
+  const ballots = JSON.parse(fs.readFileSync(ballotsPath, "utf8"));
+  console.log(`Loaded ${ballots.length} ballots from ${ballotsPath}`);
+
+  const daoGovernance = await ethers.getContractAt("DAOGovernance", daoGovAddress);
+
+  // Each voter's nonces have to be used in order, so ballots are grouped by the voter who
+  // signed them and sorted by nonce
+  const { name, version, chainId, verifyingContract } = await daoGovernance.eip712Domain();
+  const domain = { name, version, chainId, verifyingContract };
+  const queues = new Map();
+  for (const [index, ballot] of ballots.entries()) {
+    let voter;
+    try {
+      voter = ethers.verifyTypedData(domain, BALLOT_TYPES, ballot, ballot.signature);
+    } catch (error) {
+      console.log(`Skipping ballot #${index}: invalid signature`);
+      continue;
+    }
+    if (!queues.has(voter)) queues.set(voter, []);
+    queues.get(voter).push({ index, args: [ballot.proposalId, ballot.support, ballot.nonce, ballot.deadline, ballot.signature] });
+  }
+  for (const queue of queues.values()) {
+    queue.sort((a, b) => (BigInt(a.args[2]) < BigInt(b.args[2]) ? -1 : 1));
+  }
+
+  // Relaying in rounds with the first pending ballot of every voter. Only those can be simulated
+  // against the current nonces, and a voter's next ballot waits for the previous one to be mined
+  let relayed = 0;
+  for (let round = 1; queues.size > 0; round++) {
+    // Simulating first so invalid ballots (expired, replayed, forged) are skipped instead of
+    // failing on-chain and wasting the relayer's gas
+    const valid = [];
+    for (const [voter, queue] of queues) {
+      const { index, args } = queue.shift();
+      if (queue.length === 0) queues.delete(voter);
+      try {
+        await daoGovernance.voteBySig.staticCall(...args);
+        valid.push({ index, args });
+      } catch (error) {
+        const decoded = daoGovernance.interface.parseError(error.data || "0x");
+        console.log(`Skipping ballot #${index}: ${decoded ? decoded.name : error.shortMessage || error.message}`);
+      }
+    }
+    console.log(`\nRound ${round}: ${valid.length} valid ballots`);
+
+    // Submitting in batches: send a batch of transactions, then wait for all of them to be mined
+    for (let start = 0; start < valid.length; start += BATCH_SIZE) {
+      const batch = valid.slice(start, start + BATCH_SIZE);
+      console.log(`Submitting batch ${start / BATCH_SIZE + 1} (${batch.length} ballots)...`);
+
+      const txs = [];
+      for (const { index, args } of batch) {
+        try {
+          txs.push({ index, tx: await daoGovernance.voteBySig(...args) });
+        } catch (error) {
+          console.log(`Failed to submit ballot #${index}:`, error.shortMessage || error.message);
+        }
+      }
+
+      const results = await Promise.allSettled(txs.map(({ tx }) => tx.wait()));
+      results.forEach((result, i) => {
+        if (result.status === "fulfilled") {
+          relayed++;
+          console.log(`Ballot #${txs[i].index} relayed in tx ${txs[i].tx.hash}`);
+        } else {
+          console.log(`Ballot #${txs[i].index} failed:`, result.reason.shortMessage || result.reason.message);
+        }
+      });
+    }
+  }
+
+  console.log(`\nRelayed ${relayed} of ${ballots.length} ballots`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
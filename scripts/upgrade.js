@@ -0,0 +1,118 @@
+// This script upgrades the GovToken, Staking and DAOGovernance proxies to new implementations.
+// For every proxy it validates that the new implementation is upgrade safe and keeps the storage
+// layout of the current one, then deploys it. Proxies still owned by the deployer are upgraded
+// directly; proxies owned by the DAO are upgraded through a proposal. Run it once to create the
+// proposal, then again with UPGRADE_PROPOSAL_ID to queue and execute it.
+const { ethers, upgrades, network } = require("hardhat");
+const { loadAddresses } = require("./lib/deployments");
+const { advanceProposal } = require("./lib/proposals");
+
+// Contracts to upgrade, as a comma-separated list of names. A name can be followed by the
+// contract to upgrade to, e.g. "Staking:StakingV2"; by default a proxy is upgraded to the
+// current source of its own contract
+const UPGRADE_CONTRACTS = process.env.UPGRADE_CONTRACTS || "GovToken,Staking,DAOGovernance";
+
+async function main() {
+  const [deployer] = await ethers.getSigners();
+  console.log("Upgrading contracts as:", deployer.address);
+
+  // Addresses come from the network's deployment manifest, or from the .env file
+  const addresses = loadAddresses(network.name);
+  const daoGovAddress = addresses.daoGovernance;
+  const proxies = {
+    GovToken: addresses.govToken,
+    Staking: addresses.staking,
+    DAOGovernance: daoGovAddress,
+  };
+
+  if (!proxies.GovToken || !proxies.Staking || !daoGovAddress) {
+    console.error("Please deploy the contracts with scripts/deploy.js or set their addresses in your .env file");
+    return;
+  }
+
+  const daoGovernance = await ethers.getContractAt("DAOGovernance", daoGovAddress);
+  const proposalId = process.env.UPGRADE_PROPOSAL_ID;
+
+  if (proposalId === undefined) {
+    // Step 1: validate and deploy the new implementations, upgrading what the deployer owns
+    console.log("\nStep 1: Deploying new implementations");
+    const daoUpgrades = [];
+
+    for (const entry of UPGRADE_CONTRACTS.split(",")) {
+      const [name, implementationName = name] = entry.trim().split(":");
+      const proxyAddress = proxies[name];
+      if (!proxyAddress) {
+        console.log(`${name}: not an upgradeable contract. Skipping`);
+        continue;
+      }
+
+      const proxy = await ethers.getContractAt(name, proxyAddress);
+      const currentImplementation = await upgrades.erc1967.getImplementationAddress(proxyAddress);
+      const Implementation = await ethers.getContractFactory(implementationName);
+
+      // Throws if the new implementation is unsafe or its storage layout is incompatible
+      await upgrades.validateUpgrade(proxyAddress, Implementation, { kind: "uups" });
+      console.log(`${name}: ${implementationName} is compatible with the current implementation`);
+
+      const currentOwner = await proxy.owner();
+      if (currentOwner === deployer.address) {
+        await upgrades.upgradeProxy(proxyAddress, Implementation, { kind: "uups" });
+        const newImplementation = await upgrades.erc1967.getImplementationAddress(proxyAddress);
+        console.log(`${name}: upgraded from ${currentImplementation} to ${newImplementation}`);
+      } else if (currentOwner === daoGovAddress) {
+        const newImplementation = await upgrades.prepareUpgrade(proxyAddress, Implementation, { kind: "uups" });
+        if (newImplementation === currentImplementation) {
+          console.log(`${name}: already on this implementation`);
+          continue;
+        }
+        console.log(`${name}: deployed ${implementationName} to ${newImplementation}, the DAO has to upgrade`);
+        daoUpgrades.push({ name, proxyAddress, newImplementation });
+      } else {
+        console.log(`${name}: owned by ${currentOwner}, which is neither the deployer nor the DAO. Skipping`);
+      }
+    }
+
+    // Step 2: the DAO upgrades the proxies it owns through a proposal
+    console.log("\nStep 2: Upgrading DAO-owned contracts through a proposal");
+    if (daoUpgrades.length > 0) {
+      const upgradeCalls = daoUpgrades.map(({ newImplementation }) =>
+        daoGovernance.interface.encodeFunctionData("upgradeToAndCall", [newImplementation, "0x"])
+      );
+      const votingPeriod = process.env.UPGRADE_VOTING_PERIOD || (await daoGovernance.minimumVotingPeriod());
+
+      // The deployer needs to hold GOV (and meet the proposal threshold) to create the proposal
+      const tx = await daoGovernance["createProposal(string,uint256,address[],uint256[],bytes[])"](
+        `Upgrade ${daoUpgrades.map(({ name, newImplementation }) => `${name} to ${newImplementation}`).join(", ")}`,
+        votingPeriod,
+        daoUpgrades.map(({ proxyAddress }) => proxyAddress),
+        daoUpgrades.map(() => 0),
+        upgradeCalls
+      );
+      const receipt = await tx.wait();
+      const event = receipt.logs
+        .map((log) => daoGovernance.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "ProposalCreated");
+
+      console.log(`Created proposal #${event.args.proposalId} in tx ${tx.hash}`);
+      console.log("Once it has passed, run this script again with UPGRADE_PROPOSAL_ID set to queue and execute it");
+    } else {
+      console.log("No DAO-owned contract needs an upgrade");
+    }
+  } else {
+    console.log("\nStep 2: Executing the upgrade proposal");
+    await advanceProposal(daoGovernance, proposalId);
+  }
+
+  // Checking the result
+  console.log("\nImplementations:");
+  for (const [name, proxyAddress] of Object.entries(proxies)) {
+    console.log(`${name}: ${await upgrades.erc1967.getImplementationAddress(proxyAddress)}`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -1,5 +1,7 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const { ethers, upgrades } = require("hardhat");
+const { deployStaking } = require("./helpers/deployStaking");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
 
 describe("DAOGovernance", function () {
   let govToken;
@@ -16,7 +18,7 @@ describe("DAOGovernance", function () {
 
     // Deploy GovToken
     const GovToken = await ethers.getContractFactory("GovToken");
-    govToken = await GovToken.deploy();
+    govToken = await upgrades.deployProxy(GovToken, [], { kind: "uups" });
     await govToken.waitForDeployment();
 
     // Set a mock staking contract (using owner for simplicity in tests)
@@ -29,10 +31,20 @@ describe("DAOGovernance", function () {
 
     // Deploy DAOGovernance
     const DAOGovernance = await ethers.getContractFactory("DAOGovernance");
-    daoGovernance = await DAOGovernance.deploy(await govToken.getAddress());
+    daoGovernance = await upgrades.deployProxy(DAOGovernance, [await govToken.getAddress()], { kind: "uups" });
     await daoGovernance.waitForDeployment();
   });
 
+  // Accepts a pending ownership transfer as the DAO without going through a proposal.
+  // The full handover through a proposal is covered in "Ownership Handover"
+  async function acceptOwnershipAsDao(contract) {
+    const daoAddress = await daoGovernance.getAddress();
+    const daoSigner = await ethers.getImpersonatedSigner(daoAddress);
+    await ethers.provider.send("hardhat_setBalance", [daoAddress, "0xDE0B6B3A7640000"]);
+    await contract.connect(daoSigner).acceptOwnership();
+    await ethers.provider.send("hardhat_setBalance", [daoAddress, "0x0"]);
+  }
+
   describe("Deployment", function () {
     it("Should set the right owner", async function () {
       expect(await daoGovernance.owner()).to.equal(owner.address);
@@ -79,14 +91,14 @@ describe("DAOGovernance", function () {
       expect(Number(proposal.voteDeadline)).to.be.closeTo(expectedDeadline, 10);
     });
 
-    it("Should not allow non-token holders to create proposals", async function () {
+    it("Should not allow accounts without voting power to create proposals", async function () {
       const description = "Bad Proposal";
       const votingPeriod = 7 * 24 * 60 * 60; // 7 days
       
       await expect(
         daoGovernance.connect(nonVoter).createProposal(description, votingPeriod)
-      ).to.be.revertedWithCustomError(daoGovernance, "NoGovTokensHeld")
-      .withArgs(nonVoter.address);
+      ).to.be.revertedWithCustomError(daoGovernance, "ProposalThresholdNotMet")
+      .withArgs(0, await daoGovernance.proposalThreshold());
     });
 
     it("Should not allow proposals with too short voting periods", async function () {
@@ -178,6 +190,49 @@ describe("DAOGovernance", function () {
     });
   });
 
+  describe("Snapshot Voting Power", function () {
+    let proposalId;
+
+    beforeEach(async function () {
+      const votingPeriod = 7 * 24 * 60 * 60; // 7 days
+      await daoGovernance.connect(voter1).createProposal("Snapshot Proposal", votingPeriod);
+      proposalId = 0;
+    });
+
+    it("Should record the snapshot block when a proposal is created", async function () {
+      const creationBlock = await ethers.provider.getBlockNumber();
+      const proposal = await daoGovernance.proposals(proposalId);
+      expect(proposal.snapshotBlock).to.equal(creationBlock - 1);
+    });
+
+    it("Should not let tokens transferred after the snapshot vote twice", async function () {
+      // voter1 votes, then moves their tokens to a fresh wallet which tries to vote again
+      await daoGovernance.connect(voter1).vote(proposalId, true);
+      await govToken.connect(voter1).transfer(nonVoter.address, ethers.parseEther("100"));
+
+      await expect(
+        daoGovernance.connect(nonVoter).vote(proposalId, true)
+      ).to.be.revertedWithCustomError(daoGovernance, "NoVotingPower")
+      .withArgs(nonVoter.address);
+
+      const proposal = await daoGovernance.getProposalStatus(proposalId);
+      expect(proposal.yesVotes).to.equal(ethers.parseEther("100"));
+      expect(proposal.noVotes).to.equal(0);
+    });
+
+    it("Should not add tokens received after the snapshot to a holder's vote", async function () {
+      // voter2 sends its tokens to voter3 after the snapshot, then both vote
+      await govToken.connect(voter2).transfer(voter3.address, ethers.parseEther("200"));
+
+      await daoGovernance.connect(voter2).vote(proposalId, false);
+      await daoGovernance.connect(voter3).vote(proposalId, false);
+
+      const proposal = await daoGovernance.getProposalStatus(proposalId);
+      expect(proposal.yesVotes).to.equal(0);
+      expect(proposal.noVotes).to.equal(ethers.parseEther("500")); // 200 + 300 at the snapshot
+    });
+  });
+
   describe("Proposal Execution", function () {
     let proposalId;
 
@@ -263,6 +318,11 @@ describe("DAOGovernance", function () {
       await ethers.provider.send("evm_increaseTime", [15]); // Add 15 seconds
       await ethers.provider.send("evm_mine");
       
+      // Queue the proposal and wait out the timelock
+      await daoGovernance.queueProposal(proposalId);
+      await ethers.provider.send("evm_increaseTime", [Number(await daoGovernance.timelockDelay())]);
+      await ethers.provider.send("evm_mine");
+      
       // Execute proposal
       await daoGovernance.executeProposal(proposalId);
       
@@ -272,4 +332,1146 @@ describe("DAOGovernance", function () {
       expect(proposal.passed).to.be.true; // Should pass as yes votes (400) > no votes (200)
     });
   });
+  describe("Proposal Actions", function () {
+    const createWithActions = "createProposal(string,uint256,address[],uint256[],bytes[])";
+    let staking;
+
+    beforeEach(async function () {
+      await daoGovernance.setMinimumVotingPeriod(5);
+
+      // Deploy a Staking contract owned by the DAO so proposals can configure it
+      staking = await deployStaking(await govToken.getAddress(), ethers.parseEther("0.0000115"));
+      await staking.transferOwnership(await daoGovernance.getAddress());
+      await acceptOwnershipAsDao(staking);
+    });
+
+    async function passAndExecute(proposalId) {
+      await daoGovernance.connect(voter3).vote(proposalId, true);
+      await ethers.provider.send("evm_increaseTime", [15]);
+      await ethers.provider.send("evm_mine");
+      await daoGovernance.queueProposal(proposalId);
+      await ethers.provider.send("evm_increaseTime", [Number(await daoGovernance.timelockDelay())]);
+      await ethers.provider.send("evm_mine");
+      return daoGovernance.executeProposal(proposalId);
+    }
+
+    it("Should store and expose the proposal actions", async function () {
+      const target = await staking.getAddress();
+      const calldata = staking.interface.encodeFunctionData("topUpRewardPeriod", [ethers.parseEther("100")]);
+
+      await expect(
+        daoGovernance.connect(voter1)[createWithActions]("Top up staking rewards", 10, [target], [0], [calldata])
+      ).to.emit(daoGovernance, "ProposalCreated")
+      .withArgs(0, "Top up staking rewards", anyValue, [target], [0], [calldata]);
+
+      const [targets, values, calldatas] = await daoGovernance.getProposalActions(0);
+      expect(targets).to.deep.equal([target]);
+      expect(values).to.deep.equal([0n]);
+      expect(calldatas).to.deep.equal([calldata]);
+    });
+
+    it("Should run the actions of a passed proposal", async function () {
+      const topUp = ethers.parseEther("100");
+      const budget = await staking.rewardBudget();
+      const stakingCall = staking.interface.encodeFunctionData("topUpRewardPeriod", [topUp]);
+      const daoCall = daoGovernance.interface.encodeFunctionData("setMinimumVotingPeriod", [3600]);
+
+      await daoGovernance.connect(voter1)[createWithActions](
+        "Configure the DAO",
+        10,
+        [await staking.getAddress(), await daoGovernance.getAddress()],
+        [0, 0],
+        [stakingCall, daoCall]
+      );
+
+      await expect(passAndExecute(0))
+        .to.emit(daoGovernance, "ActionExecuted")
+        .withArgs(0, 1, await daoGovernance.getAddress(), 0, daoCall);
+
+      expect(await staking.rewardBudget()).to.equal(budget + topUp);
+      expect(await daoGovernance.minimumVotingPeriod()).to.equal(3600);
+    });
+
+    it("Should slash a staker through an executed proposal", async function () {
+      await staking.connect(nonVoter).stake({ value: ethers.parseEther("1.0") });
+      const daoAddress = await daoGovernance.getAddress();
+
+      await daoGovernance.connect(voter1)[createWithActions](
+        "Slash a misbehaving staker",
+        10,
+        [await staking.getAddress(), await staking.getAddress()],
+        [0, 0],
+        [
+          staking.interface.encodeFunctionData("setTreasury", [daoAddress]),
+          staking.interface.encodeFunctionData("slash", [nonVoter.address, 5000, "forum post #42"]),
+        ]
+      );
+
+      const tx = passAndExecute(0);
+      await expect(tx)
+        .to.emit(staking, "Slashed")
+        .withArgs(nonVoter.address, 5000, ethers.parseEther("0.5"), 0, anyValue, "forum post #42");
+      await expect(tx).to.changeEtherBalance(daoGovernance, ethers.parseEther("0.5"));
+
+      expect(await staking.stakedBalance(nonVoter.address)).to.equal(ethers.parseEther("0.5"));
+    });
+
+    it("Should send ETH held by the DAO with an action", async function () {
+      await owner.sendTransaction({ to: await daoGovernance.getAddress(), value: ethers.parseEther("1.0") });
+
+      await daoGovernance.connect(voter1)[createWithActions](
+        "Fund a grant",
+        10,
+        [nonVoter.address],
+        [ethers.parseEther("1.0")],
+        ["0x"]
+      );
+
+      await expect(passAndExecute(0)).to.changeEtherBalance(nonVoter, ethers.parseEther("1.0"));
+    });
+
+    it("Should not run the actions of a rejected proposal", async function () {
+      const budget = await staking.rewardBudget();
+      const calldata = staking.interface.encodeFunctionData("topUpRewardPeriod", [ethers.parseEther("100")]);
+      await daoGovernance.connect(voter1)[createWithActions]("Rejected", 10, [await staking.getAddress()], [0], [calldata]);
+
+      await daoGovernance.connect(voter3).vote(0, false);
+      await ethers.provider.send("evm_increaseTime", [15]);
+      await ethers.provider.send("evm_mine");
+
+      await expect(daoGovernance.executeProposal(0)).to.not.emit(daoGovernance, "ActionExecuted");
+      expect(await staking.rewardBudget()).to.equal(budget);
+    });
+
+    it("Should revert the whole execution if any action fails", async function () {
+      const goodCall = daoGovernance.interface.encodeFunctionData("setMinimumVotingPeriod", [3600]);
+      const badCall = staking.interface.encodeFunctionData("topUpRewardPeriod", [0]); // reverts with InvalidRewardBudget
+
+      await daoGovernance.connect(voter1)[createWithActions](
+        "Half broken",
+        10,
+        [await daoGovernance.getAddress(), await staking.getAddress()],
+        [0, 0],
+        [goodCall, badCall]
+      );
+
+      await expect(passAndExecute(0))
+        .to.be.revertedWithCustomError(daoGovernance, "ActionFailed")
+        .withArgs(0, 1, staking.interface.encodeErrorResult("InvalidRewardBudget", [0]));
+
+      // Nothing was applied and the proposal can be executed again later
+      expect(await daoGovernance.minimumVotingPeriod()).to.equal(5);
+      expect((await daoGovernance.getProposalStatus(0)).executed).to.be.false;
+    });
+
+    it("Should reject mismatched action arrays", async function () {
+      await expect(
+        daoGovernance.connect(voter1)[createWithActions]("Mismatched", 10, [nonVoter.address], [], ["0x"])
+      ).to.be.revertedWithCustomError(daoGovernance, "InvalidProposalActions")
+      .withArgs(1, 0, 1);
+    });
+
+    it("Should only allow the owner or the DAO to change governance settings", async function () {
+      await expect(
+        daoGovernance.connect(voter1).setMinimumVotingPeriod(1)
+      ).to.be.revertedWithCustomError(daoGovernance, "UnauthorizedGovernanceCall")
+      .withArgs(voter1.address);
+    });
+  });
+  describe("Timelock", function () {
+    const timelockDelay = 2 * 24 * 60 * 60; // 2 days
+    const gracePeriod = 14 * 24 * 60 * 60; // 14 days
+    let proposalId;
+
+    async function increaseTime(seconds) {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine");
+    }
+
+    beforeEach(async function () {
+      await daoGovernance.setMinimumVotingPeriod(5);
+      await daoGovernance.connect(voter1).createProposal("Timelocked Proposal", 10);
+      proposalId = 0;
+    });
+
+    describe("Queueing", function () {
+      it("Should queue a succeeded proposal with an ETA", async function () {
+        await daoGovernance.connect(voter3).vote(proposalId, true);
+        await increaseTime(15);
+
+        const tx = await daoGovernance.queueProposal(proposalId);
+        const block = await ethers.provider.getBlock(tx.blockNumber);
+        const expectedEta = block.timestamp + timelockDelay;
+
+        await expect(tx).to.emit(daoGovernance, "ProposalQueued").withArgs(proposalId, expectedEta);
+        expect((await daoGovernance.proposals(proposalId)).eta).to.equal(expectedEta);
+      });
+
+      it("Should not queue before voting ends", async function () {
+        await daoGovernance.connect(voter3).vote(proposalId, true);
+
+        await expect(
+          daoGovernance.queueProposal(proposalId)
+        ).to.be.revertedWithCustomError(daoGovernance, "VotingPeriodNotEnded");
+      });
+
+      it("Should not queue a defeated proposal", async function () {
+        await daoGovernance.connect(voter3).vote(proposalId, false);
+        await increaseTime(15);
+
+        await expect(
+          daoGovernance.queueProposal(proposalId)
+        ).to.be.revertedWithCustomError(daoGovernance, "ProposalNotSucceeded")
+        .withArgs(proposalId);
+      });
+
+      it("Should not queue a proposal twice", async function () {
+        await daoGovernance.connect(voter3).vote(proposalId, true);
+        await increaseTime(15);
+        await daoGovernance.queueProposal(proposalId);
+        const eta = (await daoGovernance.proposals(proposalId)).eta;
+
+        await expect(
+          daoGovernance.queueProposal(proposalId)
+        ).to.be.revertedWithCustomError(daoGovernance, "ProposalAlreadyQueued")
+        .withArgs(proposalId, eta);
+      });
+    });
+
+    describe("Execution", function () {
+      beforeEach(async function () {
+        await daoGovernance.connect(voter3).vote(proposalId, true);
+        await increaseTime(15);
+      });
+
+      it("Should not execute a succeeded proposal that was not queued", async function () {
+        await expect(
+          daoGovernance.executeProposal(proposalId)
+        ).to.be.revertedWithCustomError(daoGovernance, "ProposalNotQueued")
+        .withArgs(proposalId);
+      });
+
+      it("Should not execute before the timelock delay has elapsed", async function () {
+        await daoGovernance.queueProposal(proposalId);
+        const eta = (await daoGovernance.proposals(proposalId)).eta;
+
+        await expect(
+          daoGovernance.executeProposal(proposalId)
+        ).to.be.revertedWithCustomError(daoGovernance, "TimelockNotElapsed")
+        .withArgs(eta, anyValue);
+      });
+
+      it("Should execute once the timelock delay has elapsed", async function () {
+        await daoGovernance.queueProposal(proposalId);
+        await increaseTime(timelockDelay);
+
+        await expect(daoGovernance.executeProposal(proposalId))
+          .to.emit(daoGovernance, "ProposalExecuted")
+          .withArgs(proposalId, true);
+      });
+
+      it("Should not execute after the grace period has ended", async function () {
+        await daoGovernance.queueProposal(proposalId);
+        const eta = (await daoGovernance.proposals(proposalId)).eta;
+        await increaseTime(timelockDelay + gracePeriod + 1);
+
+        await expect(
+          daoGovernance.executeProposal(proposalId)
+        ).to.be.revertedWithCustomError(daoGovernance, "GracePeriodEnded")
+        .withArgs(eta + BigInt(gracePeriod), anyValue);
+      });
+    });
+
+    describe("Expiry", function () {
+      beforeEach(async function () {
+        await daoGovernance.connect(voter3).vote(proposalId, true);
+        await increaseTime(15);
+        await daoGovernance.queueProposal(proposalId);
+      });
+
+      it("Should not expire a proposal during its grace period", async function () {
+        await increaseTime(timelockDelay);
+
+        await expect(
+          daoGovernance.expireProposal(proposalId)
+        ).to.be.revertedWithCustomError(daoGovernance, "GracePeriodNotEnded");
+      });
+
+      it("Should expire a queued proposal after its grace period", async function () {
+        const eta = (await daoGovernance.proposals(proposalId)).eta;
+        await increaseTime(timelockDelay + gracePeriod + 1);
+
+        await expect(daoGovernance.expireProposal(proposalId))
+          .to.emit(daoGovernance, "ProposalExpired")
+          .withArgs(proposalId, eta + BigInt(gracePeriod));
+        expect((await daoGovernance.proposals(proposalId)).expired).to.be.true;
+      });
+
+      it("Should keep an expired proposal from executing even if the grace period grows", async function () {
+        await increaseTime(timelockDelay + gracePeriod + 1);
+        await daoGovernance.expireProposal(proposalId);
+        await daoGovernance.setGracePeriod(365 * 24 * 60 * 60);
+
+        await expect(
+          daoGovernance.executeProposal(proposalId)
+        ).to.be.revertedWithCustomError(daoGovernance, "ProposalAlreadyExpired")
+        .withArgs(proposalId);
+        await expect(
+          daoGovernance.expireProposal(proposalId)
+        ).to.be.revertedWithCustomError(daoGovernance, "ProposalAlreadyExpired")
+        .withArgs(proposalId);
+      });
+
+      it("Should keep the grace period a proposal was queued with", async function () {
+        const eta = (await daoGovernance.proposals(proposalId)).eta;
+        expect((await daoGovernance.proposals(proposalId)).expiresAt).to.equal(eta + BigInt(gracePeriod));
+
+        // A shorter grace period doesn't expire the queued proposal
+        await daoGovernance.setGracePeriod(60);
+        await increaseTime(timelockDelay + 3600);
+        expect(await daoGovernance.state(proposalId)).to.equal(4); // Queued
+        await expect(
+          daoGovernance.expireProposal(proposalId)
+        ).to.be.revertedWithCustomError(daoGovernance, "GracePeriodNotEnded");
+
+        await expect(daoGovernance.executeProposal(proposalId))
+          .to.emit(daoGovernance, "ProposalExecuted")
+          .withArgs(proposalId, true);
+      });
+
+      it("Should not expire a proposal that was never queued", async function () {
+        await daoGovernance.connect(voter1).createProposal("Unqueued", 10);
+
+        await expect(
+          daoGovernance.expireProposal(1)
+        ).to.be.revertedWithCustomError(daoGovernance, "ProposalNotQueued")
+        .withArgs(1);
+      });
+    });
+
+    describe("Configuration", function () {
+      it("Should let governance change the timelock delay and grace period", async function () {
+        await expect(daoGovernance.setTimelockDelay(3600))
+          .to.emit(daoGovernance, "TimelockDelayChanged")
+          .withArgs(timelockDelay, 3600);
+        await expect(daoGovernance.setGracePeriod(7200))
+          .to.emit(daoGovernance, "GracePeriodChanged")
+          .withArgs(gracePeriod, 7200);
+      });
+
+      it("Should reject a zero grace period", async function () {
+        await expect(
+          daoGovernance.setGracePeriod(0)
+        ).to.be.revertedWithCustomError(daoGovernance, "InvalidGracePeriod")
+        .withArgs(0);
+      });
+
+      it("Should not let other accounts change the timelock settings", async function () {
+        await expect(
+          daoGovernance.connect(voter1).setTimelockDelay(0)
+        ).to.be.revertedWithCustomError(daoGovernance, "UnauthorizedGovernanceCall")
+        .withArgs(voter1.address);
+      });
+    });
+  });
+  describe("Quorum and Approval Threshold", function () {
+    async function endVoting() {
+      await ethers.provider.send("evm_increaseTime", [15]);
+      await ethers.provider.send("evm_mine");
+    }
+
+    // Creates a proposal under the rules currently set and returns its ID
+    async function propose() {
+      await daoGovernance.connect(voter1).createProposal("Quorum Proposal", 10);
+      return (await daoGovernance.proposalCount()) - 1n;
+    }
+
+    beforeEach(async function () {
+      await daoGovernance.setMinimumVotingPeriod(5);
+    });
+
+    it("Should default to a 4% quorum of the supply at the snapshot", async function () {
+      const proposalId = await propose();
+
+      // 4% of the 600 GOV minted before the proposal was created
+      expect(await daoGovernance.quorum(proposalId)).to.equal(ethers.parseEther("24"));
+    });
+
+    it("Should not count supply minted after the snapshot toward quorum", async function () {
+      const proposalId = await propose();
+
+      await govToken.mint(nonVoter.address, ethers.parseEther("10000"));
+      expect(await daoGovernance.quorum(proposalId)).to.equal(ethers.parseEther("24"));
+    });
+
+    it("Should record a proposal that misses quorum as defeated", async function () {
+      // Require 50% of the supply (300 GOV); voter1 alone only has 100
+      await daoGovernance.setQuorum(5000, 0);
+      const proposalId = await propose();
+      await daoGovernance.connect(voter1).vote(proposalId, true);
+      await endVoting();
+
+      expect((await daoGovernance.getProposalStatus(proposalId)).quorumReached).to.be.false;
+      await expect(
+        daoGovernance.queueProposal(proposalId)
+      ).to.be.revertedWithCustomError(daoGovernance, "ProposalNotSucceeded")
+      .withArgs(proposalId);
+
+      await expect(daoGovernance.executeProposal(proposalId))
+        .to.emit(daoGovernance, "ProposalExecuted")
+        .withArgs(proposalId, false);
+    });
+
+    it("Should apply the higher of the percentage and absolute quorum", async function () {
+      await daoGovernance.setQuorum(400, ethers.parseEther("350"));
+      const proposalId = await propose();
+      expect(await daoGovernance.quorum(proposalId)).to.equal(ethers.parseEther("350"));
+
+      await daoGovernance.connect(voter3).vote(proposalId, true); // 300 GOV
+      expect((await daoGovernance.getProposalStatus(proposalId)).quorumReached).to.be.false;
+
+      await daoGovernance.connect(voter1).vote(proposalId, false); // 100 GOV
+      expect((await daoGovernance.getProposalStatus(proposalId)).quorumReached).to.be.true;
+    });
+
+    it("Should require the approval threshold when one is set", async function () {
+      await daoGovernance.setApprovalThreshold(6600); // 66%
+      const proposalId = await propose();
+
+      // 300 yes vs 200 no is 60% approval, below the 66% threshold
+      await daoGovernance.connect(voter3).vote(proposalId, true);
+      await daoGovernance.connect(voter2).vote(proposalId, false);
+      await endVoting();
+
+      await expect(
+        daoGovernance.queueProposal(proposalId)
+      ).to.be.revertedWithCustomError(daoGovernance, "ProposalNotSucceeded");
+    });
+
+    it("Should pass a proposal that meets the approval threshold", async function () {
+      await daoGovernance.setApprovalThreshold(6600); // 66%
+      const proposalId = await propose();
+
+      // 300 yes vs 100 no is 75% approval
+      await daoGovernance.connect(voter3).vote(proposalId, true);
+      await daoGovernance.connect(voter1).vote(proposalId, false);
+      await endVoting();
+
+      await expect(daoGovernance.queueProposal(proposalId))
+        .to.emit(daoGovernance, "ProposalQueued");
+    });
+
+    it("Should keep the rules a proposal was created with", async function () {
+      const proposalId = await propose();
+      await daoGovernance.connect(voter3).vote(proposalId, true); // 300 GOV
+      await endVoting();
+      await daoGovernance.queueProposal(proposalId);
+
+      // Stricter rules don't turn the queued proposal into a defeated one
+      await daoGovernance.setQuorum(6000, 0);
+      await daoGovernance.setApprovalThreshold(10000);
+      expect(await daoGovernance.quorum(proposalId)).to.equal(ethers.parseEther("24"));
+      expect(await daoGovernance.state(proposalId)).to.equal(4); // Queued
+
+      await ethers.provider.send("evm_increaseTime", [Number(await daoGovernance.timelockDelay())]);
+      await ethers.provider.send("evm_mine");
+      await expect(daoGovernance.executeProposal(proposalId))
+        .to.emit(daoGovernance, "ProposalExecuted")
+        .withArgs(proposalId, true);
+
+      // Proposals created afterwards use the new rules
+      const newProposalId = await propose();
+      expect(await daoGovernance.quorum(newProposalId)).to.equal(ethers.parseEther("360"));
+    });
+
+    it("Should emit events when the rules change", async function () {
+      await expect(daoGovernance.setQuorum(1000, 5))
+        .to.emit(daoGovernance, "QuorumChanged")
+        .withArgs(1000, 5);
+      await expect(daoGovernance.setApprovalThreshold(6600))
+        .to.emit(daoGovernance, "ApprovalThresholdChanged")
+        .withArgs(0, 6600);
+    });
+
+    it("Should reject percentages above 100%", async function () {
+      await expect(
+        daoGovernance.setQuorum(10001, 0)
+      ).to.be.revertedWithCustomError(daoGovernance, "InvalidQuorum")
+      .withArgs(10001);
+      await expect(
+        daoGovernance.setApprovalThreshold(10001)
+      ).to.be.revertedWithCustomError(daoGovernance, "InvalidApprovalThreshold")
+      .withArgs(10001);
+    });
+
+    it("Should let an executed proposal change the rules", async function () {
+      const calldata = daoGovernance.interface.encodeFunctionData("setApprovalThreshold", [6600]);
+      await daoGovernance.connect(voter1)[
+        "createProposal(string,uint256,address[],uint256[],bytes[])"
+      ]("Require a supermajority", 10, [await daoGovernance.getAddress()], [0], [calldata]);
+
+      await daoGovernance.connect(voter3).vote(0, true);
+      await endVoting();
+      await daoGovernance.queueProposal(0);
+      await ethers.provider.send("evm_increaseTime", [Number(await daoGovernance.timelockDelay())]);
+      await ethers.provider.send("evm_mine");
+      await daoGovernance.executeProposal(0);
+
+      expect(await daoGovernance.approvalThresholdBps()).to.equal(6600);
+    });
+
+    it("Should not let other accounts change the rules", async function () {
+      await expect(
+        daoGovernance.connect(voter1).setQuorum(0, 0)
+      ).to.be.revertedWithCustomError(daoGovernance, "UnauthorizedGovernanceCall")
+      .withArgs(voter1.address);
+    });
+  });
+  describe("Abstain Votes and Reasons", function () {
+    const VoteType = { Against: 0, For: 1, Abstain: 2 };
+    let proposalId;
+
+    beforeEach(async function () {
+      await daoGovernance.setMinimumVotingPeriod(5);
+      await daoGovernance.connect(voter1).createProposal("Proposal with reasons", 10);
+      proposalId = 0;
+    });
+
+    it("Should emit the reason with the vote", async function () {
+      await expect(
+        daoGovernance.connect(voter2).voteWithReason(proposalId, VoteType.For, "Good for the treasury")
+      ).to.emit(daoGovernance, "VoteCast")
+      .withArgs(proposalId, voter2.address, VoteType.For, ethers.parseEther("200"), "Good for the treasury");
+
+      const proposal = await daoGovernance.getProposalStatus(proposalId);
+      expect(proposal.yesVotes).to.equal(ethers.parseEther("200"));
+    });
+
+    it("Should tally against, for and abstain votes separately", async function () {
+      await daoGovernance.connect(voter1).voteWithReason(proposalId, VoteType.Against, "");
+      await daoGovernance.connect(voter2).voteWithReason(proposalId, VoteType.For, "");
+      await daoGovernance.connect(voter3).voteWithReason(proposalId, VoteType.Abstain, "Conflict of interest");
+
+      const proposal = await daoGovernance.getProposalStatus(proposalId);
+      expect(proposal.noVotes).to.equal(ethers.parseEther("100"));
+      expect(proposal.yesVotes).to.equal(ethers.parseEther("200"));
+      expect(proposal.abstainVotes).to.equal(ethers.parseEther("300"));
+
+      // Abstain votes come after the fields callers already decode by position
+      expect(proposal[3]).to.equal(ethers.parseEther("100"));
+      expect(proposal[4]).to.equal(false);
+      expect(proposal[proposal.length - 1]).to.equal(ethers.parseEther("300"));
+    });
+
+    it("Should count abstain votes toward quorum", async function () {
+      // Quorum of 50% is 300 GOV; voter1 (100) and voter3 abstaining (300) reach it
+      await daoGovernance.setQuorum(5000, 0);
+      await daoGovernance.connect(voter1).createProposal("Proposal with a 50% quorum", 10);
+      const quorumProposalId = 1;
+      await daoGovernance.connect(voter1).vote(quorumProposalId, true);
+      expect((await daoGovernance.getProposalStatus(quorumProposalId)).quorumReached).to.be.false;
+
+      await daoGovernance.connect(voter3).voteWithReason(quorumProposalId, VoteType.Abstain, "");
+      expect((await daoGovernance.getProposalStatus(quorumProposalId)).quorumReached).to.be.true;
+
+      await ethers.provider.send("evm_increaseTime", [15]);
+      await ethers.provider.send("evm_mine");
+      await expect(daoGovernance.queueProposal(quorumProposalId))
+        .to.emit(daoGovernance, "ProposalQueued");
+    });
+
+    it("Should not count abstain votes toward the yes/no comparison", async function () {
+      await daoGovernance.connect(voter3).voteWithReason(proposalId, VoteType.Abstain, "");
+      await ethers.provider.send("evm_increaseTime", [15]);
+      await ethers.provider.send("evm_mine");
+
+      await expect(
+        daoGovernance.queueProposal(proposalId)
+      ).to.be.revertedWithCustomError(daoGovernance, "ProposalNotSucceeded");
+    });
+
+    it("Should keep the yes/no vote entry point working", async function () {
+      await expect(daoGovernance.connect(voter1).vote(proposalId, false))
+        .to.emit(daoGovernance, "Voted")
+        .withArgs(proposalId, voter1.address, false, ethers.parseEther("100"));
+
+      await expect(
+        daoGovernance.connect(voter1).voteWithReason(proposalId, VoteType.Abstain, "")
+      ).to.be.revertedWithCustomError(daoGovernance, "AlreadyVoted")
+      .withArgs(voter1.address, proposalId);
+    });
+  });
+  describe("Gasless Voting", function () {
+    const VoteType = { Against: 0, For: 1, Abstain: 2 };
+    let proposalId;
+    let deadline;
+
+    async function signBallot(signer, ballot, verifyingContract) {
+      const { chainId } = await ethers.provider.getNetwork();
+      const domain = {
+        name: "DAOGovernance",
+        version: "1",
+        chainId,
+        verifyingContract: verifyingContract || await daoGovernance.getAddress(),
+      };
+      const types = {
+        Ballot: [
+          { name: "proposalId", type: "uint256" },
+          { name: "support", type: "uint8" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" },
+        ],
+      };
+      return signer.signTypedData(domain, types, ballot);
+    }
+
+    beforeEach(async function () {
+      await daoGovernance.connect(voter1).createProposal("Gasless Proposal", 7 * 24 * 60 * 60);
+      proposalId = 0;
+      deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+    });
+
+    it("Should count a relayed ballot for the signer", async function () {
+      const ballot = { proposalId, support: VoteType.For, nonce: 0, deadline };
+      const signature = await signBallot(voter2, ballot);
+
+      // nonVoter relays the ballot and pays the gas
+      await expect(
+        daoGovernance.connect(nonVoter).voteBySig(proposalId, VoteType.For, 0, deadline, signature)
+      ).to.emit(daoGovernance, "VoteCast")
+      .withArgs(proposalId, voter2.address, VoteType.For, ethers.parseEther("200"), "");
+
+      expect(await daoGovernance.hasVoted(proposalId, voter2.address)).to.be.true;
+      expect(await daoGovernance.hasVoted(proposalId, nonVoter.address)).to.be.false;
+      expect(await daoGovernance.nonces(voter2.address)).to.equal(1);
+      expect((await daoGovernance.getProposalStatus(proposalId)).yesVotes).to.equal(ethers.parseEther("200"));
+    });
+
+    it("Should reject a replayed ballot", async function () {
+      const ballot = { proposalId, support: VoteType.For, nonce: 0, deadline };
+      const signature = await signBallot(voter2, ballot);
+      await daoGovernance.voteBySig(proposalId, VoteType.For, 0, deadline, signature);
+
+      await expect(
+        daoGovernance.voteBySig(proposalId, VoteType.For, 0, deadline, signature)
+      ).to.be.revertedWithCustomError(daoGovernance, "InvalidAccountNonce")
+      .withArgs(voter2.address, 1);
+    });
+
+    it("Should reject a replay on another proposal once the nonce is used", async function () {
+      await daoGovernance.connect(voter1).createProposal("Second Proposal", 7 * 24 * 60 * 60);
+      const signature = await signBallot(voter2, { proposalId, support: VoteType.For, nonce: 0, deadline });
+      await daoGovernance.voteBySig(proposalId, VoteType.For, 0, deadline, signature);
+
+      const secondSignature = await signBallot(voter2, { proposalId: 1, support: VoteType.For, nonce: 0, deadline });
+      await expect(
+        daoGovernance.voteBySig(1, VoteType.For, 0, deadline, secondSignature)
+      ).to.be.revertedWithCustomError(daoGovernance, "InvalidAccountNonce")
+      .withArgs(voter2.address, 1);
+    });
+
+    it("Should reject an expired ballot", async function () {
+      const signature = await signBallot(voter2, { proposalId, support: VoteType.For, nonce: 0, deadline });
+      await ethers.provider.send("evm_increaseTime", [3601]);
+      await ethers.provider.send("evm_mine");
+
+      await expect(
+        daoGovernance.voteBySig(proposalId, VoteType.For, 0, deadline, signature)
+      ).to.be.revertedWithCustomError(daoGovernance, "SignatureExpired")
+      .withArgs(deadline, anyValue);
+    });
+
+    it("Should not count a ballot whose support was tampered with for the signer", async function () {
+      // The relayer flips the vote; the signature then recovers to an unrelated address
+      const signature = await signBallot(voter2, { proposalId, support: VoteType.For, nonce: 0, deadline });
+
+      await expect(
+        daoGovernance.voteBySig(proposalId, VoteType.Against, 0, deadline, signature)
+      ).to.be.revertedWithCustomError(daoGovernance, "NoVotingPower");
+      expect(await daoGovernance.hasVoted(proposalId, voter2.address)).to.be.false;
+    });
+
+    it("Should reject a ballot signed for another contract", async function () {
+      const signature = await signBallot(
+        voter2,
+        { proposalId, support: VoteType.For, nonce: 0, deadline },
+        await govToken.getAddress()
+      );
+
+      await expect(
+        daoGovernance.voteBySig(proposalId, VoteType.For, 0, deadline, signature)
+      ).to.be.revertedWithCustomError(daoGovernance, "NoVotingPower");
+    });
+
+    it("Should reject a malformed signature", async function () {
+      await expect(
+        daoGovernance.voteBySig(proposalId, VoteType.For, 0, deadline, "0x1234")
+      ).to.be.revertedWithCustomError(daoGovernance, "ECDSAInvalidSignatureLength")
+      .withArgs(2);
+    });
+
+    it("Should not let a signer vote again after voting directly", async function () {
+      await daoGovernance.connect(voter2).vote(proposalId, false);
+      const signature = await signBallot(voter2, { proposalId, support: VoteType.For, nonce: 0, deadline });
+
+      await expect(
+        daoGovernance.voteBySig(proposalId, VoteType.For, 0, deadline, signature)
+      ).to.be.revertedWithCustomError(daoGovernance, "AlreadyVoted")
+      .withArgs(voter2.address, proposalId);
+    });
+  });
+  describe("Delegated Voting", function () {
+    let proposalId;
+
+    async function createProposal() {
+      const tx = await daoGovernance.connect(voter3).createProposal("Delegated Proposal", 7 * 24 * 60 * 60);
+      await tx.wait();
+      return (await daoGovernance.proposalCount()) - 1n;
+    }
+
+    it("Should count delegated power when the delegate votes", async function () {
+      await govToken.connect(voter1).delegate(voter2.address);
+      proposalId = await createProposal();
+
+      await daoGovernance.connect(voter2).vote(proposalId, true);
+
+      const proposal = await daoGovernance.getProposalStatus(proposalId);
+      expect(proposal.yesVotes).to.equal(ethers.parseEther("300")); // 200 own + 100 delegated
+    });
+
+    it("Should let a delegate without tokens vote with delegated power", async function () {
+      await govToken.connect(voter1).delegate(nonVoter.address);
+      proposalId = await createProposal();
+
+      await expect(daoGovernance.connect(nonVoter).vote(proposalId, false))
+        .to.emit(daoGovernance, "Voted")
+        .withArgs(proposalId, nonVoter.address, false, ethers.parseEther("100"));
+    });
+
+    it("Should stop a delegator from voting with power already delegated", async function () {
+      await govToken.connect(voter1).delegate(voter2.address);
+      proposalId = await createProposal();
+
+      await daoGovernance.connect(voter2).vote(proposalId, true);
+      await expect(
+        daoGovernance.connect(voter1).vote(proposalId, true)
+      ).to.be.revertedWithCustomError(daoGovernance, "NoVotingPower")
+      .withArgs(voter1.address);
+    });
+
+    it("Should not let delegation after the snapshot double count votes", async function () {
+      proposalId = await createProposal();
+
+      // voter1 votes with its own power, then delegates to voter2 who votes too
+      await daoGovernance.connect(voter1).vote(proposalId, true);
+      await govToken.connect(voter1).delegate(voter2.address);
+      await daoGovernance.connect(voter2).vote(proposalId, true);
+
+      const proposal = await daoGovernance.getProposalStatus(proposalId);
+      expect(proposal.yesVotes).to.equal(ethers.parseEther("300")); // 100 + 200, not 100 + 300
+    });
+
+    it("Should restore a delegator's power after revoking before the snapshot", async function () {
+      await govToken.connect(voter1).delegate(voter2.address);
+      await govToken.connect(voter1).revokeDelegation();
+      proposalId = await createProposal();
+
+      await daoGovernance.connect(voter1).vote(proposalId, true);
+      await daoGovernance.connect(voter2).vote(proposalId, true);
+
+      const proposal = await daoGovernance.getProposalStatus(proposalId);
+      expect(proposal.yesVotes).to.equal(ethers.parseEther("300"));
+    });
+  });
+  describe("Proposal Threshold and Cancellation", function () {
+    let proposalId;
+
+    beforeEach(async function () {
+      await daoGovernance.setMinimumVotingPeriod(5);
+    });
+
+    describe("Proposal Threshold", function () {
+      it("Should reject proposers below the threshold", async function () {
+        await daoGovernance.setProposalThreshold(ethers.parseEther("150"));
+
+        await expect(
+          daoGovernance.connect(voter1).createProposal("Spam", 10)
+        ).to.be.revertedWithCustomError(daoGovernance, "ProposalThresholdNotMet")
+        .withArgs(ethers.parseEther("100"), ethers.parseEther("150"));
+      });
+
+      it("Should allow proposers at or above the threshold", async function () {
+        await daoGovernance.setProposalThreshold(ethers.parseEther("200"));
+
+        await daoGovernance.connect(voter2).createProposal("Valid", 10);
+        const proposal = await daoGovernance.proposals(0);
+        expect(proposal.proposer).to.equal(voter2.address);
+      });
+
+      it("Should let a delegate without a GOV balance propose", async function () {
+        await daoGovernance.setProposalThreshold(ethers.parseEther("100"));
+        await govToken.connect(voter1).delegate(nonVoter.address);
+
+        expect(await govToken.balanceOf(nonVoter.address)).to.equal(0);
+        await expect(daoGovernance.connect(nonVoter).createProposal("Delegated only", 10))
+          .to.emit(daoGovernance, "ProposalCreated");
+      });
+
+      it("Should count delegated voting power toward the threshold", async function () {
+        await daoGovernance.setProposalThreshold(ethers.parseEther("250"));
+        await govToken.connect(voter1).delegate(voter2.address);
+
+        await expect(daoGovernance.connect(voter2).createProposal("Delegated", 10))
+          .to.emit(daoGovernance, "ProposalCreated");
+      });
+
+      it("Should let governance change the threshold", async function () {
+        await expect(daoGovernance.setProposalThreshold(ethers.parseEther("10")))
+          .to.emit(daoGovernance, "ProposalThresholdChanged")
+          .withArgs(1, ethers.parseEther("10"));
+
+        await expect(
+          daoGovernance.connect(voter1).setProposalThreshold(0)
+        ).to.be.revertedWithCustomError(daoGovernance, "UnauthorizedGovernanceCall")
+        .withArgs(voter1.address);
+      });
+    });
+
+    describe("Cancellation", function () {
+      beforeEach(async function () {
+        await daoGovernance.setProposalThreshold(ethers.parseEther("100"));
+        await daoGovernance.connect(voter1).createProposal("Cancelable", 10);
+        proposalId = 0;
+      });
+
+      it("Should let the proposer cancel before voting ends", async function () {
+        await expect(daoGovernance.connect(voter1).cancelProposal(proposalId))
+          .to.emit(daoGovernance, "ProposalCanceled")
+          .withArgs(proposalId, voter1.address);
+
+        expect((await daoGovernance.getProposalStatus(proposalId)).canceled).to.be.true;
+      });
+
+      it("Should not let the proposer cancel after voting ends", async function () {
+        await ethers.provider.send("evm_increaseTime", [15]);
+        await ethers.provider.send("evm_mine");
+
+        await expect(
+          daoGovernance.connect(voter1).cancelProposal(proposalId)
+        ).to.be.revertedWithCustomError(daoGovernance, "VotingPeriodEnded");
+      });
+
+      it("Should not let others cancel while the proposer meets the threshold", async function () {
+        await expect(
+          daoGovernance.connect(voter2).cancelProposal(proposalId)
+        ).to.be.revertedWithCustomError(daoGovernance, "UnauthorizedCancel")
+        .withArgs(voter2.address, proposalId);
+      });
+
+      it("Should let anyone cancel once the proposer falls below the threshold", async function () {
+        await govToken.connect(voter1).transfer(voter2.address, ethers.parseEther("1"));
+
+        await expect(daoGovernance.connect(nonVoter).cancelProposal(proposalId))
+          .to.emit(daoGovernance, "ProposalCanceled")
+          .withArgs(proposalId, nonVoter.address);
+      });
+
+      it("Should let anyone cancel a queued proposal whose proposer fell below the threshold", async function () {
+        await daoGovernance.connect(voter3).vote(proposalId, true);
+        await ethers.provider.send("evm_increaseTime", [15]);
+        await ethers.provider.send("evm_mine");
+        await daoGovernance.queueProposal(proposalId);
+
+        await govToken.connect(voter1).delegate(voter2.address);
+        await daoGovernance.connect(nonVoter).cancelProposal(proposalId);
+
+        await ethers.provider.send("evm_increaseTime", [Number(await daoGovernance.timelockDelay())]);
+        await ethers.provider.send("evm_mine");
+        await expect(
+          daoGovernance.executeProposal(proposalId)
+        ).to.be.revertedWithCustomError(daoGovernance, "ProposalAlreadyCanceled")
+        .withArgs(proposalId);
+      });
+
+      it("Should reject votes on a canceled proposal", async function () {
+        await daoGovernance.connect(voter1).cancelProposal(proposalId);
+
+        await expect(
+          daoGovernance.connect(voter2).vote(proposalId, true)
+        ).to.be.revertedWithCustomError(daoGovernance, "ProposalAlreadyCanceled")
+        .withArgs(proposalId);
+      });
+
+      it("Should reject queueing and executing a canceled proposal", async function () {
+        await daoGovernance.connect(voter3).vote(proposalId, true);
+        await daoGovernance.connect(voter1).cancelProposal(proposalId);
+        await ethers.provider.send("evm_increaseTime", [15]);
+        await ethers.provider.send("evm_mine");
+
+        await expect(
+          daoGovernance.queueProposal(proposalId)
+        ).to.be.revertedWithCustomError(daoGovernance, "ProposalAlreadyCanceled")
+        .withArgs(proposalId);
+        await expect(
+          daoGovernance.executeProposal(proposalId)
+        ).to.be.revertedWithCustomError(daoGovernance, "ProposalAlreadyCanceled")
+        .withArgs(proposalId);
+      });
+
+      it("Should not cancel a proposal twice or after execution", async function () {
+        await daoGovernance.connect(voter1).cancelProposal(proposalId);
+        await expect(
+          daoGovernance.connect(voter1).cancelProposal(proposalId)
+        ).to.be.revertedWithCustomError(daoGovernance, "ProposalAlreadyCanceled")
+        .withArgs(proposalId);
+
+        await daoGovernance.connect(voter1).createProposal("Executed", 10);
+        await ethers.provider.send("evm_increaseTime", [15]);
+        await ethers.provider.send("evm_mine");
+        await daoGovernance.executeProposal(1);
+        await govToken.connect(voter1).transfer(voter2.address, ethers.parseEther("100"));
+
+        await expect(
+          daoGovernance.connect(nonVoter).cancelProposal(1)
+        ).to.be.revertedWithCustomError(daoGovernance, "ProposalAlreadyExecuted")
+        .withArgs(1);
+      });
+    });
+  });
+  describe("Proposal State and Listing", function () {
+    const ProposalState = {
+      Active: 0,
+      Canceled: 1,
+      Defeated: 2,
+      Succeeded: 3,
+      Queued: 4,
+      Expired: 5,
+      Executed: 6,
+    };
+
+    async function increaseTime(seconds) {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine");
+    }
+
+    beforeEach(async function () {
+      await daoGovernance.setMinimumVotingPeriod(5);
+    });
+
+    describe("State", function () {
+      beforeEach(async function () {
+        await daoGovernance.connect(voter1).createProposal("Stateful", 10);
+      });
+
+      it("Should be Active while voting is open", async function () {
+        expect(await daoGovernance.state(0)).to.equal(ProposalState.Active);
+      });
+
+      it("Should be Canceled after cancellation", async function () {
+        await daoGovernance.connect(voter1).cancelProposal(0);
+        expect(await daoGovernance.state(0)).to.equal(ProposalState.Canceled);
+      });
+
+      it("Should be Defeated when voting fails, before and after execution", async function () {
+        await daoGovernance.connect(voter2).vote(0, false);
+        await increaseTime(15);
+        expect(await daoGovernance.state(0)).to.equal(ProposalState.Defeated);
+
+        await daoGovernance.executeProposal(0);
+        expect(await daoGovernance.state(0)).to.equal(ProposalState.Defeated);
+      });
+
+      it("Should move through Succeeded, Queued and Executed", async function () {
+        await daoGovernance.connect(voter3).vote(0, true);
+        await increaseTime(15);
+        expect(await daoGovernance.state(0)).to.equal(ProposalState.Succeeded);
+
+        await daoGovernance.queueProposal(0);
+        expect(await daoGovernance.state(0)).to.equal(ProposalState.Queued);
+
+        await increaseTime(Number(await daoGovernance.timelockDelay()));
+        await daoGovernance.executeProposal(0);
+        expect(await daoGovernance.state(0)).to.equal(ProposalState.Executed);
+      });
+
+      it("Should be Expired once the grace period ends, before and after expiry is recorded", async function () {
+        await daoGovernance.connect(voter3).vote(0, true);
+        await increaseTime(15);
+        await daoGovernance.queueProposal(0);
+        await increaseTime(Number(await daoGovernance.timelockDelay() + await daoGovernance.gracePeriod()) + 1);
+        expect(await daoGovernance.state(0)).to.equal(ProposalState.Expired);
+
+        await daoGovernance.expireProposal(0);
+        expect(await daoGovernance.state(0)).to.equal(ProposalState.Expired);
+      });
+
+      it("Should revert for a non-existent proposal", async function () {
+        await expect(
+          daoGovernance.state(5)
+        ).to.be.revertedWithCustomError(daoGovernance, "ProposalDoesNotExist")
+        .withArgs(5);
+      });
+    });
+
+    describe("Listing", function () {
+      beforeEach(async function () {
+        // Proposals 0 and 2 by voter1, 1 and 3 by voter2; proposal 1 is canceled
+        await daoGovernance.connect(voter1).createProposal("Proposal 0", 10);
+        await daoGovernance.connect(voter2).createProposal("Proposal 1", 10);
+        await daoGovernance.connect(voter1).createProposal("Proposal 2", 10);
+        await daoGovernance.connect(voter2).createProposal("Proposal 3", 10);
+        await daoGovernance.connect(voter2).cancelProposal(1);
+      });
+
+      it("Should record the proposer and creation time", async function () {
+        const tx = await daoGovernance.connect(voter3).createProposal("Proposal 4", 10);
+        const block = await ethers.provider.getBlock(tx.blockNumber);
+
+        const [summary] = await daoGovernance.getProposals(4, 1);
+        expect(summary.id).to.equal(4);
+        expect(summary.proposer).to.equal(voter3.address);
+        expect(summary.createdAt).to.equal(block.timestamp);
+        expect(summary.voteDeadline).to.equal(block.timestamp + 10);
+        expect(summary.description).to.equal("Proposal 4");
+        expect(summary.state).to.equal(ProposalState.Active);
+      });
+
+      it("Should return proposals in pages", async function () {
+        const firstPage = await daoGovernance.getProposals(0, 3);
+        expect(firstPage.map((p) => p.description)).to.deep.equal(["Proposal 0", "Proposal 1", "Proposal 2"]);
+
+        const secondPage = await daoGovernance.getProposals(3, 3);
+        expect(secondPage.map((p) => p.description)).to.deep.equal(["Proposal 3"]);
+
+        expect(await daoGovernance.getProposals(10, 3)).to.have.length(0);
+      });
+
+      it("Should include vote totals in the summaries", async function () {
+        await daoGovernance.connect(voter1).vote(0, true);
+        await daoGovernance.connect(voter2).vote(0, false);
+        await daoGovernance.connect(voter3).voteWithReason(0, 2, "");
+
+        const [summary] = await daoGovernance.getProposals(0, 1);
+        expect(summary.yesVotes).to.equal(ethers.parseEther("100"));
+        expect(summary.noVotes).to.equal(ethers.parseEther("200"));
+        expect(summary.abstainVotes).to.equal(ethers.parseEther("300"));
+      });
+
+      it("Should filter proposals by state with a cursor", async function () {
+        const [active, next] = await daoGovernance.getProposalsByState(ProposalState.Active, 0, 2);
+        expect(active.map((p) => p.id)).to.deep.equal([0n, 2n]);
+        expect(next).to.equal(3);
+
+        const [rest, end] = await daoGovernance.getProposalsByState(ProposalState.Active, next, 2);
+        expect(rest.map((p) => p.id)).to.deep.equal([3n]);
+        expect(end).to.equal(await daoGovernance.proposalCount());
+
+        const [canceled] = await daoGovernance.getProposalsByState(ProposalState.Canceled, 0, 10);
+        expect(canceled.map((p) => p.id)).to.deep.equal([1n]);
+      });
+
+      it("Should filter proposals by proposer", async function () {
+        expect(await daoGovernance.getProposalCountByProposer(voter2.address)).to.equal(2);
+
+        const byVoter2 = await daoGovernance.getProposalsByProposer(voter2.address, 0, 10);
+        expect(byVoter2.map((p) => p.id)).to.deep.equal([1n, 3n]);
+        expect(byVoter2[0].state).to.equal(ProposalState.Canceled);
+
+        const page = await daoGovernance.getProposalsByProposer(voter1.address, 1, 10);
+        expect(page.map((p) => p.id)).to.deep.equal([2n]);
+
+        expect(await daoGovernance.getProposalsByProposer(voter3.address, 0, 10)).to.have.length(0);
+      });
+    });
+  });
+
+  describe("Ownership Handover", function () {
+    const createWithActions = "createProposal(string,uint256,address[],uint256[],bytes[])";
+    let staking;
+    let daoAddress;
+
+    beforeEach(async function () {
+      await daoGovernance.setMinimumVotingPeriod(5);
+      daoAddress = await daoGovernance.getAddress();
+
+      staking = await deployStaking(await govToken.getAddress(), ethers.parseEther("0.0000115"));
+    });
+
+    async function passAndExecute(proposalId) {
+      await daoGovernance.connect(voter3).vote(proposalId, true);
+      await ethers.provider.send("evm_increaseTime", [15]);
+      await ethers.provider.send("evm_mine");
+      await daoGovernance.queueProposal(proposalId);
+      await ethers.provider.send("evm_increaseTime", [Number(await daoGovernance.timelockDelay())]);
+      await ethers.provider.send("evm_mine");
+      return daoGovernance.executeProposal(proposalId);
+    }
+
+    it("Should only move ownership once the new owner accepts", async function () {
+      await daoGovernance.transferOwnership(voter1.address);
+
+      expect(await daoGovernance.owner()).to.equal(owner.address);
+      expect(await daoGovernance.pendingOwner()).to.equal(voter1.address);
+
+      await expect(
+        daoGovernance.connect(voter2).acceptOwnership()
+      ).to.be.revertedWithCustomError(daoGovernance, "OwnableUnauthorizedAccount").withArgs(voter2.address);
+
+      await expect(daoGovernance.connect(voter1).acceptOwnership())
+        .to.emit(daoGovernance, "OwnershipTransferred")
+        .withArgs(owner.address, voter1.address);
+      expect(await daoGovernance.owner()).to.equal(voter1.address);
+    });
+
+    it("Should hand all contracts to the DAO through a proposal", async function () {
+      // The deployer proposes the DAO as the new owner of every contract
+      await govToken.transferOwnership(daoAddress);
+      await staking.transferOwnership(daoAddress);
+      await daoGovernance.transferOwnership(daoAddress);
+
+      // The DAO accepts through a passed proposal
+      const targets = [await govToken.getAddress(), await staking.getAddress(), daoAddress];
+      const acceptCall = daoGovernance.interface.encodeFunctionData("acceptOwnership");
+      await daoGovernance.connect(voter1)[createWithActions](
+        "Accept ownership of the protocol",
+        10,
+        targets,
+        [0, 0, 0],
+        [acceptCall, acceptCall, acceptCall]
+      );
+      await passAndExecute(0);
+
+      expect(await govToken.owner()).to.equal(daoAddress);
+      expect(await staking.owner()).to.equal(daoAddress);
+      expect(await daoGovernance.owner()).to.equal(daoAddress);
+
+      // The deployer can no longer change parameters directly
+      await expect(
+        staking.topUpRewardPeriod(ethers.parseEther("100"))
+      ).to.be.revertedWithCustomError(staking, "OwnableUnauthorizedAccount");
+      await expect(
+        govToken.setStakingContract(voter1.address)
+      ).to.be.revertedWithCustomError(govToken, "OwnableUnauthorizedAccount");
+      await expect(
+        daoGovernance.setMinimumVotingPeriod(3600)
+      ).to.be.revertedWithCustomError(daoGovernance, "UnauthorizedGovernanceCall").withArgs(owner.address);
+
+      // Only a passed proposal can
+      const budget = await staking.rewardBudget();
+      await daoGovernance.connect(voter1)[createWithActions](
+        "Top up staking rewards",
+        10,
+        [await staking.getAddress(), daoAddress],
+        [0, 0],
+        [
+          staking.interface.encodeFunctionData("topUpRewardPeriod", [ethers.parseEther("100")]),
+          daoGovernance.interface.encodeFunctionData("setMinimumVotingPeriod", [3600]),
+        ]
+      );
+      await passAndExecute(1);
+
+      expect(await staking.rewardBudget()).to.equal(budget + ethers.parseEther("100"));
+      expect(await daoGovernance.minimumVotingPeriod()).to.equal(3600);
+    });
+  });
 }); 
\ No newline at end of file
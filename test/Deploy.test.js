@@ -0,0 +1,143 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { deploy } = require("../scripts/deploy");
+const { manifestPath, loadConfig, loadManifest, saveManifest, loadAddresses } = require("../scripts/lib/deployments");
+
+describe("Deployment Script", function () {
+  const silent = () => {};
+  let deploymentsDir;
+  let config;
+
+  beforeEach(async function () {
+    // Manifests go to a temporary directory instead of deployments/
+    deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+    process.env.DEPLOYMENTS_DIR = deploymentsDir;
+    config = loadConfig(network.name);
+  });
+
+  afterEach(async function () {
+    delete process.env.DEPLOYMENTS_DIR;
+    fs.rmSync(deploymentsDir, { recursive: true, force: true });
+  });
+
+  it("Should deploy with the network config and write a manifest", async function () {
+    const manifest = await deploy({ log: silent });
+
+    expect(manifestPath(network.name)).to.equal(path.join(deploymentsDir, `${network.name}.json`));
+    expect(loadManifest(network.name)).to.deep.equal(manifest);
+    expect(manifest.chainId).to.equal("31337");
+    expect(Object.keys(manifest.contracts)).to.deep.equal([
+      "GovToken", "Staking", "StakingReceipt", "StakingPositions", "StakingPools", "DAOGovernance",
+      "StakingVotingPower",
+    ]);
+    expect(Object.keys(manifest.steps)).to.deep.equal([
+      "setTokens", "setPools", "setUnbondingPeriod", "setStakingContract", "startRewardPeriod", "setTreasury",
+      "offerStakingVotingPowerToDao",
+    ]);
+
+    // Every contract records its address, arguments, transaction and block
+    for (const entry of Object.values(manifest.contracts)) {
+      expect(await ethers.provider.getCode(entry.address)).to.not.equal("0x");
+      const receipt = await ethers.provider.getTransactionReceipt(entry.txHash);
+      expect(receipt.blockNumber).to.equal(entry.blockNumber);
+    }
+    const { GovToken, Staking, StakingReceipt, StakingPools, DAOGovernance } = manifest.contracts;
+    expect(Staking.initializerArgs).to.deep.equal([GovToken.address]);
+    expect(StakingReceipt.constructorArgs).to.deep.equal([Staking.address]);
+    expect(DAOGovernance.implementation).to.be.properAddress;
+
+    // Parameters come from the config
+    const staking = await ethers.getContractAt("Staking", Staking.address);
+    const rewardBudget = ethers.parseEther(config.rewardBudget);
+    expect(await staking.rewardBudget()).to.equal(rewardBudget);
+    expect((await staking.periodFinish()) - (await staking.periodStart())).to.equal(config.rewardDuration);
+    expect(await staking.rewardRate()).to.equal(rewardBudget / BigInt(config.rewardDuration));
+    expect(await staking.unbondingPeriod()).to.equal(config.unbondingPeriod);
+    expect(await staking.treasury()).to.equal(DAOGovernance.address);
+    expect(await staking.receiptToken()).to.equal(StakingReceipt.address);
+    expect(await staking.pools()).to.equal(StakingPools.address);
+  });
+
+  it("Should let scripts load contract addresses from the manifest", async function () {
+    const manifest = await deploy({ log: silent });
+    const addresses = loadAddresses(network.name);
+
+    expect(addresses).to.deep.equal({
+      govToken: manifest.contracts.GovToken.address,
+      staking: manifest.contracts.Staking.address,
+      daoGovernance: manifest.contracts.DAOGovernance.address,
+      stakingVotingPower: manifest.contracts.StakingVotingPower.address,
+    });
+
+    const govToken = await ethers.getContractAt("GovToken", addresses.govToken);
+    expect(await govToken.stakingContract()).to.equal(addresses.staking);
+    const daoGovernance = await ethers.getContractAt("DAOGovernance", addresses.daoGovernance);
+    expect(await daoGovernance.govToken()).to.equal(addresses.govToken);
+  });
+
+  it("Should fall back to the .env addresses without a manifest", async function () {
+    const [, account] = await ethers.getSigners();
+    process.env.DAO_GOV_ADDRESS = account.address;
+
+    try {
+      expect(loadAddresses(network.name).daoGovernance).to.equal(account.address);
+    } finally {
+      delete process.env.DAO_GOV_ADDRESS;
+    }
+  });
+
+  it("Should resume a failed deployment without repeating completed steps", async function () {
+    // Fail right after the treasury is set
+    const failingLog = (message) => {
+      if (message.startsWith("Staking treasury set")) throw new Error("Connection lost");
+    };
+    await expect(deploy({ log: failingLog })).to.be.rejectedWith("Connection lost");
+
+    const partial = loadManifest(network.name);
+    expect(partial.contracts.StakingVotingPower).to.equal(undefined);
+    expect(partial.steps.setTreasury).to.not.equal(undefined);
+
+    const messages = [];
+    const manifest = await deploy({ log: (message) => messages.push(message) });
+
+    // Completed contracts and steps are reused
+    for (const name of ["GovToken", "Staking", "StakingReceipt", "StakingPositions", "StakingPools", "DAOGovernance"]) {
+      expect(manifest.contracts[name]).to.deep.equal(partial.contracts[name]);
+    }
+    expect(manifest.steps.setTreasury).to.deep.equal(partial.steps.setTreasury);
+    expect(messages).to.include("Staking treasury set to the DAO (already done)");
+
+    // The remaining ones are done
+    const stakingVotingPower = await ethers.getContractAt(
+      "StakingVotingPower",
+      manifest.contracts.StakingVotingPower.address
+    );
+    expect(await stakingVotingPower.pendingOwner()).to.equal(manifest.contracts.DAOGovernance.address);
+  });
+
+  it("Should not send any transaction when rerun after a complete deployment", async function () {
+    const first = await deploy({ log: silent });
+    const blockNumber = await ethers.provider.getBlockNumber();
+
+    const second = await deploy({ log: silent });
+
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+    expect(second).to.deep.equal(first);
+  });
+
+  it("Should start over when the recorded contracts are not on the chain", async function () {
+    const first = await deploy({ log: silent });
+
+    // E.g. a manifest left over from a local node that was restarted
+    const stale = loadManifest(network.name);
+    stale.contracts.GovToken.address = ethers.Wallet.createRandom().address;
+    saveManifest(network.name, stale);
+
+    const second = await deploy({ log: silent });
+    expect(second.contracts.GovToken.address).to.not.equal(first.contracts.GovToken.address);
+    expect(second.contracts.Staking.address).to.not.equal(first.contracts.Staking.address);
+  });
+});
\ No newline at end of file
@@ -1,5 +1,5 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const { ethers, upgrades } = require("hardhat");
 
 describe("GovToken", function () {
   let GovToken;
@@ -14,7 +14,7 @@ describe("GovToken", function () {
 
     // Deploy GovToken
     GovToken = await ethers.getContractFactory("GovToken");
-    govToken = await GovToken.deploy();
+    govToken = await upgrades.deployProxy(GovToken, [], { kind: "uups" });
     await govToken.waitForDeployment();
   });
 
@@ -69,20 +69,442 @@ describe("GovToken", function () {
       expect(await govToken.totalSupply()).to.equal(mintAmount);
     });
 
-    it("Should not allow non-staking-contract to mint tokens", async function () {
+    it("Should not allow non-minters to mint tokens", async function () {
       const mintAmount = ethers.parseEther("100");
+      const minterRole = await govToken.MINTER_ROLE();
       
-      // Try to mint from another address (not staking contract)
+      // Try to mint from another address (not a minter)
       await expect(
         govToken.connect(owner).mint(staker.address, mintAmount)
-      ).to.be.revertedWithCustomError(govToken, "OnlyStakingContractCanMint")
-      .withArgs(owner.address, stakingContract.address);
+      ).to.be.revertedWithCustomError(govToken, "AccessControlUnauthorizedAccount")
+      .withArgs(owner.address, minterRole);
       
       // Try to mint from random account
       await expect(
         govToken.connect(staker).mint(staker.address, mintAmount)
-      ).to.be.revertedWithCustomError(govToken, "OnlyStakingContractCanMint")
-      .withArgs(staker.address, stakingContract.address);
+      ).to.be.revertedWithCustomError(govToken, "AccessControlUnauthorizedAccount")
+      .withArgs(staker.address, minterRole);
+    });
+
+    it("Should not allow minting beyond the max supply", async function () {
+      const maxSupply = await govToken.MAX_SUPPLY();
+
+      await govToken.connect(stakingContract).mint(staker.address, maxSupply - 1n);
+
+      await expect(
+        govToken.connect(stakingContract).mint(staker.address, 2n)
+      ).to.be.revertedWithCustomError(govToken, "MaxSupplyExceeded")
+      .withArgs(maxSupply + 1n, maxSupply);
+
+      // Minting exactly up to the cap is allowed
+      await govToken.connect(stakingContract).mint(staker.address, 1n);
+      expect(await govToken.totalSupply()).to.equal(maxSupply);
+    });
+  });
+  describe("Voting Power Checkpoints", function () {
+    beforeEach(async function () {
+      await govToken.setStakingContract(stakingContract.address);
+    });
+
+    it("Should give holders voting power without delegating", async function () {
+      await govToken.connect(stakingContract).mint(staker.address, ethers.parseEther("100"));
+
+      expect(await govToken.delegates(staker.address)).to.equal(staker.address);
+      expect(await govToken.getVotes(staker.address)).to.equal(ethers.parseEther("100"));
+    });
+
+    it("Should return historical voting power and total supply", async function () {
+      await govToken.connect(stakingContract).mint(staker.address, ethers.parseEther("100"));
+      const mintBlock = await ethers.provider.getBlockNumber();
+
+      await govToken.connect(staker).transfer(owner.address, ethers.parseEther("40"));
+      const transferBlock = await ethers.provider.getBlockNumber();
+      await ethers.provider.send("evm_mine");
+
+      expect(await govToken.getPastVotes(staker.address, mintBlock - 1)).to.equal(0);
+      expect(await govToken.getPastVotes(staker.address, mintBlock)).to.equal(ethers.parseEther("100"));
+      expect(await govToken.getPastVotes(staker.address, transferBlock)).to.equal(ethers.parseEther("60"));
+      expect(await govToken.getPastVotes(owner.address, transferBlock)).to.equal(ethers.parseEther("40"));
+
+      expect(await govToken.getPastTotalSupply(mintBlock - 1)).to.equal(0);
+      expect(await govToken.getPastTotalSupply(transferBlock)).to.equal(ethers.parseEther("100"));
+    });
+
+    it("Should revert when looking up the current or a future block", async function () {
+      const currentBlock = await ethers.provider.getBlockNumber();
+
+      await expect(
+        govToken.getPastVotes(staker.address, currentBlock + 1)
+      ).to.be.revertedWithCustomError(govToken, "ERC5805FutureLookup");
+
+      await expect(
+        govToken.getPastTotalSupply(currentBlock + 1)
+      ).to.be.revertedWithCustomError(govToken, "ERC5805FutureLookup");
+    });
+  });
+
+  describe("Delegation", function () {
+    let delegatee;
+
+    beforeEach(async function () {
+      [, , , delegatee] = await ethers.getSigners();
+      await govToken.setStakingContract(stakingContract.address);
+      await govToken.connect(stakingContract).mint(staker.address, ethers.parseEther("100"));
+    });
+
+    it("Should move voting power to the delegate", async function () {
+      await expect(govToken.connect(staker).delegate(delegatee.address))
+        .to.emit(govToken, "DelegateChanged")
+        .withArgs(staker.address, staker.address, delegatee.address)
+        .and.to.emit(govToken, "DelegateVotesChanged")
+        .withArgs(delegatee.address, 0, ethers.parseEther("100"));
+
+      expect(await govToken.delegates(staker.address)).to.equal(delegatee.address);
+      expect(await govToken.getVotes(staker.address)).to.equal(0);
+      expect(await govToken.getVotes(delegatee.address)).to.equal(ethers.parseEther("100"));
+      // Tokens stay with the delegator
+      expect(await govToken.balanceOf(staker.address)).to.equal(ethers.parseEther("100"));
+    });
+
+    it("Should follow newly received tokens to the delegate", async function () {
+      await govToken.connect(staker).delegate(delegatee.address);
+      await govToken.connect(stakingContract).mint(staker.address, ethers.parseEther("50"));
+
+      expect(await govToken.getVotes(delegatee.address)).to.equal(ethers.parseEther("150"));
+    });
+
+    it("Should allow re-delegating to another address", async function () {
+      await govToken.connect(staker).delegate(delegatee.address);
+      await govToken.connect(staker).delegate(owner.address);
+
+      expect(await govToken.getVotes(delegatee.address)).to.equal(0);
+      expect(await govToken.getVotes(owner.address)).to.equal(ethers.parseEther("100"));
+    });
+
+    it("Should return voting power to the holder when revoking", async function () {
+      await govToken.connect(staker).delegate(delegatee.address);
+
+      await expect(govToken.connect(staker).revokeDelegation())
+        .to.emit(govToken, "DelegateChanged")
+        .withArgs(staker.address, delegatee.address, staker.address);
+
+      expect(await govToken.delegates(staker.address)).to.equal(staker.address);
+      expect(await govToken.getVotes(staker.address)).to.equal(ethers.parseEther("100"));
+      expect(await govToken.getVotes(delegatee.address)).to.equal(0);
+    });
+
+    it("Should treat delegating to the zero address as revoking", async function () {
+      await govToken.connect(staker).delegate(delegatee.address);
+      await govToken.connect(staker).delegate(ethers.ZeroAddress);
+
+      expect(await govToken.delegates(staker.address)).to.equal(staker.address);
+      expect(await govToken.getVotes(staker.address)).to.equal(ethers.parseEther("100"));
+    });
+
+    it("Should keep historical voting power after delegating", async function () {
+      const beforeBlock = await ethers.provider.getBlockNumber();
+      await govToken.connect(staker).delegate(delegatee.address);
+      await ethers.provider.send("evm_mine");
+
+      expect(await govToken.getPastVotes(staker.address, beforeBlock)).to.equal(ethers.parseEther("100"));
+      expect(await govToken.getPastVotes(delegatee.address, beforeBlock)).to.equal(0);
+    });
+  });
+
+  describe("Permit", function () {
+    let spender;
+
+    beforeEach(async function () {
+      [, , , spender] = await ethers.getSigners();
+      await govToken.setStakingContract(stakingContract.address);
+      await govToken.connect(stakingContract).mint(staker.address, ethers.parseEther("100"));
+    });
+
+    async function signPermit(signer, permit, overrides = {}) {
+      const { chainId } = await ethers.provider.getNetwork();
+      const domain = {
+        name: "GovToken",
+        version: "1",
+        chainId: overrides.chainId || chainId,
+        verifyingContract: await govToken.getAddress(),
+      };
+      const types = {
+        Permit: [
+          { name: "owner", type: "address" },
+          { name: "spender", type: "address" },
+          { name: "value", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" },
+        ],
+      };
+      return ethers.Signature.from(await signer.signTypedData(domain, types, permit));
+    }
+
+    async function buildPermit(overrides = {}) {
+      const latest = await ethers.provider.getBlock("latest");
+      return {
+        owner: staker.address,
+        spender: spender.address,
+        value: ethers.parseEther("40"),
+        nonce: await govToken.nonces(staker.address),
+        deadline: latest.timestamp + 3600,
+        ...overrides,
+      };
+    }
+
+    it("Should approve with a signature and allow spending in the same flow", async function () {
+      const permit = await buildPermit();
+      const { v, r, s } = await signPermit(staker, permit);
+
+      // Anyone can submit the permit; here the spender does it
+      await expect(
+        govToken.connect(spender).permit(permit.owner, permit.spender, permit.value, permit.deadline, v, r, s)
+      ).to.emit(govToken, "Approval")
+      .withArgs(staker.address, spender.address, permit.value);
+
+      expect(await govToken.allowance(staker.address, spender.address)).to.equal(permit.value);
+      expect(await govToken.nonces(staker.address)).to.equal(1);
+
+      await govToken.connect(spender).transferFrom(staker.address, spender.address, permit.value);
+      expect(await govToken.balanceOf(spender.address)).to.equal(permit.value);
+    });
+
+    it("Should reject a signature with the wrong nonce", async function () {
+      const permit = await buildPermit({ nonce: 1 });
+      const { v, r, s } = await signPermit(staker, permit);
+
+      await expect(
+        govToken.permit(permit.owner, permit.spender, permit.value, permit.deadline, v, r, s)
+      ).to.be.revertedWithCustomError(govToken, "ERC2612InvalidSigner");
+    });
+
+    it("Should reject a replayed signature", async function () {
+      const permit = await buildPermit();
+      const { v, r, s } = await signPermit(staker, permit);
+
+      await govToken.permit(permit.owner, permit.spender, permit.value, permit.deadline, v, r, s);
+      await expect(
+        govToken.permit(permit.owner, permit.spender, permit.value, permit.deadline, v, r, s)
+      ).to.be.revertedWithCustomError(govToken, "ERC2612InvalidSigner");
+    });
+
+    it("Should reject an expired deadline", async function () {
+      const latest = await ethers.provider.getBlock("latest");
+      const permit = await buildPermit({ deadline: latest.timestamp - 1 });
+      const { v, r, s } = await signPermit(staker, permit);
+
+      await expect(
+        govToken.permit(permit.owner, permit.spender, permit.value, permit.deadline, v, r, s)
+      ).to.be.revertedWithCustomError(govToken, "ERC2612ExpiredSignature")
+      .withArgs(permit.deadline);
+    });
+
+    it("Should reject a signature for another chain", async function () {
+      const permit = await buildPermit();
+      const { v, r, s } = await signPermit(staker, permit, { chainId: 1n });
+
+      await expect(
+        govToken.permit(permit.owner, permit.spender, permit.value, permit.deadline, v, r, s)
+      ).to.be.revertedWithCustomError(govToken, "ERC2612InvalidSigner");
+    });
+
+    it("Should reject a signature from someone other than the owner", async function () {
+      const permit = await buildPermit();
+      const { v, r, s } = await signPermit(spender, permit);
+
+      await expect(
+        govToken.permit(permit.owner, permit.spender, permit.value, permit.deadline, v, r, s)
+      ).to.be.revertedWithCustomError(govToken, "ERC2612InvalidSigner")
+      .withArgs(spender.address, staker.address);
+    });
+  });
+
+  describe("Burning", function () {
+    beforeEach(async function () {
+      await govToken.setStakingContract(stakingContract.address);
+      await govToken.connect(stakingContract).mint(staker.address, ethers.parseEther("100"));
+    });
+
+    it("Should let holders burn their tokens and reduce the supply", async function () {
+      await govToken.connect(staker).burn(ethers.parseEther("30"));
+
+      expect(await govToken.balanceOf(staker.address)).to.equal(ethers.parseEther("70"));
+      expect(await govToken.totalSupply()).to.equal(ethers.parseEther("70"));
+      expect(await govToken.getVotes(staker.address)).to.equal(ethers.parseEther("70"));
+    });
+
+    it("Should burn from another account within the allowance", async function () {
+      await govToken.connect(staker).approve(owner.address, ethers.parseEther("20"));
+      await govToken.burnFrom(staker.address, ethers.parseEther("20"));
+
+      expect(await govToken.totalSupply()).to.equal(ethers.parseEther("80"));
+      expect(await govToken.allowance(staker.address, owner.address)).to.equal(0);
+
+      await expect(
+        govToken.burnFrom(staker.address, 1n)
+      ).to.be.revertedWithCustomError(govToken, "ERC20InsufficientAllowance");
+    });
+
+    it("Should not burn more than the balance", async function () {
+      await expect(
+        govToken.connect(staker).burn(ethers.parseEther("101"))
+      ).to.be.revertedWithCustomError(govToken, "ERC20InsufficientBalance");
+    });
+  });
+
+  describe("Minter Roles", function () {
+    let minterRole;
+    let adminRole;
+    let distributor;
+
+    beforeEach(async function () {
+      [, , , distributor] = await ethers.getSigners();
+      minterRole = await govToken.MINTER_ROLE();
+      adminRole = await govToken.DEFAULT_ADMIN_ROLE();
+    });
+
+    it("Should make the owner the admin", async function () {
+      expect(await govToken.hasRole(adminRole, owner.address)).to.equal(true);
+    });
+
+    it("Should make the staking contract an unlimited minter through setStakingContract", async function () {
+      await govToken.setStakingContract(stakingContract.address);
+
+      expect(await govToken.hasRole(minterRole, stakingContract.address)).to.equal(true);
+      expect(await govToken.minterAllowance(stakingContract.address)).to.equal(ethers.MaxUint256);
+
+      // Replacing the staking contract removes the old one's minter role
+      await govToken.setStakingContract(staker.address);
+      expect(await govToken.hasRole(minterRole, stakingContract.address)).to.equal(false);
+      expect(await govToken.minterAllowance(stakingContract.address)).to.equal(0);
+      await expect(
+        govToken.connect(stakingContract).mint(staker.address, 1n)
+      ).to.be.revertedWithCustomError(govToken, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should let several minters mint within their own allowance", async function () {
+      await govToken.setStakingContract(stakingContract.address);
+      await govToken.grantRole(minterRole, distributor.address);
+
+      await expect(govToken.setMinterAllowance(distributor.address, ethers.parseEther("50")))
+        .to.emit(govToken, "MinterAllowanceChanged")
+        .withArgs(distributor.address, 0, ethers.parseEther("50"));
+
+      await govToken.connect(distributor).mint(staker.address, ethers.parseEther("30"));
+      await govToken.connect(stakingContract).mint(staker.address, ethers.parseEther("100"));
+      expect(await govToken.minterAllowance(distributor.address)).to.equal(ethers.parseEther("20"));
+      expect(await govToken.balanceOf(staker.address)).to.equal(ethers.parseEther("130"));
+
+      await expect(
+        govToken.connect(distributor).mint(staker.address, ethers.parseEther("21"))
+      ).to.be.revertedWithCustomError(govToken, "MinterAllowanceExceeded")
+      .withArgs(distributor.address, ethers.parseEther("21"), ethers.parseEther("20"));
+
+      // Revoking the role stops minting even with allowance left
+      await govToken.revokeRole(minterRole, distributor.address);
+      await expect(
+        govToken.connect(distributor).mint(staker.address, 1n)
+      ).to.be.revertedWithCustomError(govToken, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should only let the admin manage minters", async function () {
+      await expect(
+        govToken.connect(staker).grantRole(minterRole, staker.address)
+      ).to.be.revertedWithCustomError(govToken, "AccessControlUnauthorizedAccount")
+      .withArgs(staker.address, adminRole);
+      await expect(
+        govToken.connect(staker).setMinterAllowance(staker.address, 1n)
+      ).to.be.revertedWithCustomError(govToken, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should move the admin role with ownership", async function () {
+      await govToken.transferOwnership(staker.address);
+      expect(await govToken.hasRole(adminRole, staker.address)).to.equal(false);
+
+      await govToken.connect(staker).acceptOwnership();
+      expect(await govToken.hasRole(adminRole, staker.address)).to.equal(true);
+      expect(await govToken.hasRole(adminRole, owner.address)).to.equal(false);
+    });
+  });
+
+  describe("Transfer Restrictions", function () {
+    let treasury;
+    const amount = ethers.parseEther("100");
+
+    beforeEach(async function () {
+      [, , , treasury] = await ethers.getSigners();
+      await govToken.setStakingContract(stakingContract.address);
+      await govToken.connect(stakingContract).mint(staker.address, amount);
+    });
+
+    it("Should be transferable by default", async function () {
+      expect(await govToken.transfersRestricted()).to.equal(false);
+      await govToken.connect(staker).transfer(owner.address, ethers.parseEther("10"));
+      expect(await govToken.balanceOf(owner.address)).to.equal(ethers.parseEther("10"));
+    });
+
+    it("Should block transfers between holders while restricted", async function () {
+      await expect(govToken.setTransfersRestricted(true))
+        .to.emit(govToken, "TransfersRestrictedChanged")
+        .withArgs(false, true);
+
+      await expect(
+        govToken.connect(staker).transfer(owner.address, 1n)
+      ).to.be.revertedWithCustomError(govToken, "TransferRestricted")
+      .withArgs(staker.address, owner.address);
+
+      await govToken.connect(staker).approve(owner.address, amount);
+      await expect(
+        govToken.connect(owner).transferFrom(staker.address, owner.address, 1n)
+      ).to.be.revertedWithCustomError(govToken, "TransferRestricted");
+
+      // Lifting the restriction makes the token transferable again
+      await govToken.setTransfersRestricted(false);
+      await govToken.connect(staker).transfer(owner.address, 1n);
+      expect(await govToken.balanceOf(owner.address)).to.equal(1n);
+    });
+
+    it("Should still allow minting and burning while restricted", async function () {
+      await govToken.setTransfersRestricted(true);
+
+      await govToken.connect(stakingContract).mint(staker.address, amount);
+      await govToken.connect(staker).burn(ethers.parseEther("50"));
+
+      await govToken.connect(staker).approve(owner.address, ethers.parseEther("50"));
+      await govToken.connect(owner).burnFrom(staker.address, ethers.parseEther("50"));
+
+      expect(await govToken.balanceOf(staker.address)).to.equal(ethers.parseEther("100"));
+    });
+
+    it("Should let allowlisted addresses send and receive while restricted", async function () {
+      await govToken.setTransfersRestricted(true);
+      await expect(govToken.setTransferAllowlist(treasury.address, true))
+        .to.emit(govToken, "TransferAllowlistChanged")
+        .withArgs(treasury.address, true);
+
+      await govToken.connect(staker).transfer(treasury.address, ethers.parseEther("40"));
+      await govToken.connect(treasury).transfer(owner.address, ethers.parseEther("15"));
+      expect(await govToken.balanceOf(treasury.address)).to.equal(ethers.parseEther("25"));
+      expect(await govToken.balanceOf(owner.address)).to.equal(ethers.parseEther("15"));
+
+      // Voting power follows allowlisted transfers
+      expect(await govToken.getVotes(treasury.address)).to.equal(ethers.parseEther("25"));
+
+      await govToken.setTransferAllowlist(treasury.address, false);
+      await expect(
+        govToken.connect(treasury).transfer(owner.address, 1n)
+      ).to.be.revertedWithCustomError(govToken, "TransferRestricted");
+    });
+
+    it("Should only let the owner change the restriction and allowlist", async function () {
+      await expect(
+        govToken.connect(staker).setTransfersRestricted(true)
+      ).to.be.revertedWithCustomError(govToken, "OwnableUnauthorizedAccount")
+      .withArgs(staker.address);
+      await expect(
+        govToken.connect(staker).setTransferAllowlist(staker.address, true)
+      ).to.be.revertedWithCustomError(govToken, "OwnableUnauthorizedAccount")
+      .withArgs(staker.address);
     });
   });
 }); 
\ No newline at end of file
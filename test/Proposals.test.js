@@ -0,0 +1,57 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { PROPOSAL_STATES, proposalState, advanceProposal } = require("../scripts/lib/proposals");
+
+describe("Proposal Script Helpers", function () {
+  const silent = () => {};
+  let govToken;
+  let daoGovernance;
+  let owner;
+  let voter;
+
+  beforeEach(async function () {
+    [owner, voter] = await ethers.getSigners();
+
+    const GovToken = await ethers.getContractFactory("GovToken");
+    govToken = await upgrades.deployProxy(GovToken, [], { kind: "uups" });
+    await govToken.waitForDeployment();
+    await govToken.setStakingContract(owner.address);
+    await govToken.mint(voter.address, ethers.parseEther("100"));
+
+    const DAOGovernance = await ethers.getContractFactory("DAOGovernance");
+    daoGovernance = await upgrades.deployProxy(DAOGovernance, [await govToken.getAddress()], { kind: "uups" });
+    await daoGovernance.waitForDeployment();
+    await daoGovernance.setMinimumVotingPeriod(5);
+  });
+
+  it("Should name the states in the order of the contract's enum", async function () {
+    await daoGovernance.connect(voter)["createProposal(string,uint256)"]("Active", 10);
+    expect(await proposalState(daoGovernance, 0)).to.equal("Active");
+
+    await daoGovernance.connect(voter).cancelProposal(0);
+    expect(await proposalState(daoGovernance, 0)).to.equal("Canceled");
+    expect(PROPOSAL_STATES).to.have.lengthOf(7);
+  });
+
+  it("Should queue a succeeded proposal, then execute it once the timelock has ended", async function () {
+    await daoGovernance.connect(voter)["createProposal(string,uint256)"]("Advance me", 10);
+    await daoGovernance.connect(voter).vote(0, true);
+    await ethers.provider.send("evm_increaseTime", [15]);
+    await ethers.provider.send("evm_mine");
+
+    expect(await advanceProposal(daoGovernance, 0, { log: silent })).to.equal("Succeeded");
+    expect(await proposalState(daoGovernance, 0)).to.equal("Queued");
+
+    // Nothing happens before the ETA
+    const messages = [];
+    expect(await advanceProposal(daoGovernance, 0, { log: (message) => messages.push(message) })).to.equal("Queued");
+    expect(messages[1]).to.match(/^Timelock ends at/);
+    expect(await proposalState(daoGovernance, 0)).to.equal("Queued");
+
+    await ethers.provider.send("evm_increaseTime", [Number(await daoGovernance.timelockDelay())]);
+    await ethers.provider.send("evm_mine");
+
+    await advanceProposal(daoGovernance, 0, { log: silent });
+    expect(await proposalState(daoGovernance, 0)).to.equal("Executed");
+  });
+});
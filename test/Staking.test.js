@@ -1,5 +1,7 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const { ethers, upgrades } = require("hardhat");
+const { deployStaking } = require("./helpers/deployStaking");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
 
 describe("Staking with Reward Per Token Approach", function () {
   let govToken;
@@ -18,21 +20,27 @@ describe("Staking with Reward Per Token Approach", function () {
 
     // Deploy GovToken
     const GovToken = await ethers.getContractFactory("GovToken");
-    govToken = await GovToken.deploy();
+    govToken = await upgrades.deployProxy(GovToken, [], { kind: "uups" });
     await govToken.waitForDeployment();
 
     // Set reward rate (1 token per day per staked ETH)
     rewardRate = ethers.parseEther("0.0000115"); // ~1 token per day assuming 86400 seconds
 
     // Deploying Staking Contract
-    const Staking = await ethers.getContractFactory("Staking");
-    staking = await Staking.deploy(await govToken.getAddress(), rewardRate);
-    await staking.waitForDeployment();
+    staking = await deployStaking(await govToken.getAddress(), rewardRate);
 
     // Set staking contract in GovToken
     await govToken.setStakingContract(await staking.getAddress());
   });
 
+  // Doubles the rate of the running reward period by topping up its remaining time
+  async function doubleRewardRate() {
+    const next = (await ethers.provider.getBlock("latest")).timestamp + 1;
+    await ethers.provider.send("evm_setNextBlockTimestamp", [next]);
+    const remaining = (await staking.periodFinish()) - BigInt(next);
+    return staking.topUpRewardPeriod(rewardRate * remaining);
+  }
+
   describe("Deployment", function () {
     it("Should set the correct gov token", async function () {
       expect(await staking.govToken()).to.equal(await govToken.getAddress());
@@ -42,6 +50,15 @@ describe("Staking with Reward Per Token Approach", function () {
       expect(await staking.rewardRate()).to.equal(rewardRate);
     });
 
+    it("Should not emit rewards until a reward period starts", async function () {
+      const Staking = await ethers.getContractFactory("Staking");
+      const idle = await upgrades.deployProxy(Staking, [await govToken.getAddress()], { kind: "uups" });
+
+      expect(await idle.rewardRate()).to.equal(0);
+      expect(await idle.periodFinish()).to.equal(await idle.periodStart());
+      expect(idle.interface.getFunction("setRewardRate")).to.equal(null);
+    });
+
     it("Should start with zero reward per token stored", async function () {
       expect(await staking.rewardPerTokenStored()).to.equal(0);
     });
@@ -281,8 +298,7 @@ describe("Staking with Reward Per Token Approach", function () {
       await ethers.provider.send("evm_mine");
       
       // Double the reward rate
-      const newRewardRate = ethers.parseEther("0.000023"); // ~2 tokens per day per ETH
-      await staking.connect(owner).setRewardRate(newRewardRate);
+      await doubleRewardRate();
       
       // Fast-forward another day
       await ethers.provider.send("evm_increaseTime", [86400]);
@@ -298,7 +314,7 @@ describe("Staking with Reward Per Token Approach", function () {
     it("Should emit RewardRateChanged event when rate changes", async function () {
       const newRewardRate = ethers.parseEther("0.000023");
       
-      await expect(staking.connect(owner).setRewardRate(newRewardRate))
+      await expect(doubleRewardRate())
         .to.emit(staking, "RewardRateChanged")
         .withArgs(rewardRate, newRewardRate);
     });
@@ -334,8 +350,7 @@ describe("Staking with Reward Per Token Approach", function () {
       await staking.connect(staker4).stake({ value: ethers.parseEther("2.0") });
       
       // Double the reward rate at time 36h
-      const newRewardRate = ethers.parseEther("0.000023");
-      await staking.connect(owner).setRewardRate(newRewardRate);
+      await doubleRewardRate();
       
       // Fast-forward 12 hours (total 48h from start)
       await ethers.provider.send("evm_increaseTime", [43200]);
@@ -392,4 +407,894 @@ describe("Staking with Reward Per Token Approach", function () {
       }
     });
   });
+  describe("Stake Checkpoints", function () {
+    it("Should return historical staked amounts", async function () {
+      await staking.connect(staker1).stake({ value: ethers.parseEther("2.0") });
+      const stakeBlock = await ethers.provider.getBlockNumber();
+
+      await staking.connect(staker2).stake({ value: ethers.parseEther("1.0") });
+      await staking.connect(staker1).unstake(ethers.parseEther("0.5"));
+      const unstakeBlock = await ethers.provider.getBlockNumber();
+      await ethers.provider.send("evm_mine");
+
+      expect(await staking.getPastStake(staker1.address, stakeBlock - 1)).to.equal(0);
+      expect(await staking.getPastStake(staker1.address, stakeBlock)).to.equal(ethers.parseEther("2.0"));
+      expect(await staking.getPastStake(staker1.address, unstakeBlock)).to.equal(ethers.parseEther("1.5"));
+
+      expect(await staking.getPastTotalStaked(stakeBlock)).to.equal(ethers.parseEther("2.0"));
+      expect(await staking.getPastTotalStaked(unstakeBlock)).to.equal(ethers.parseEther("2.5"));
+    });
+
+    it("Should revert when looking up the current or a future block", async function () {
+      const currentBlock = await ethers.provider.getBlockNumber();
+
+      await expect(
+        staking.getPastStake(staker1.address, currentBlock + 1)
+      ).to.be.revertedWithCustomError(staking, "FutureLookup");
+      await expect(
+        staking.getPastTotalStaked(currentBlock + 1)
+      ).to.be.revertedWithCustomError(staking, "FutureLookup");
+    });
+  });
+
+  describe("Lockup Tiers", function () {
+    const DAY = 24 * 60 * 60;
+
+    it("Should offer the default lock tiers", async function () {
+      expect(await staking.lockMultipliers(30 * DAY)).to.equal(12500);
+      expect(await staking.lockMultipliers(90 * DAY)).to.equal(15000);
+      expect(await staking.lockMultipliers(365 * DAY)).to.equal(20000);
+      expect(await staking.lockMultipliers(7 * DAY)).to.equal(0);
+    });
+
+    it("Should record a locked stake with its multiplier", async function () {
+      const stakeAmount = ethers.parseEther("1.0");
+
+      await expect(staking.connect(staker1).stakeLocked(90 * DAY, { value: stakeAmount }))
+        .to.emit(staking, "Staked")
+        .withArgs(staker1.address, stakeAmount)
+        .and.to.emit(staking, "Locked");
+
+      expect(await staking.stakedBalance(staker1.address)).to.equal(stakeAmount);
+      expect(await staking.lockedBalance(staker1.address)).to.equal(stakeAmount);
+      expect(await staking.weightedBalance(staker1.address)).to.equal(ethers.parseEther("1.5"));
+      expect(await staking.totalStaked()).to.equal(stakeAmount);
+      expect(await staking.totalWeightedStake()).to.equal(ethers.parseEther("1.5"));
+
+      const locks = await staking.getLocks(staker1.address);
+      expect(locks.length).to.equal(1);
+      expect(locks[0].amount).to.equal(stakeAmount);
+      expect(locks[0].weight).to.equal(ethers.parseEther("1.5"));
+      expect(locks[0].released).to.equal(false);
+    });
+
+    it("Should revert for a duration without a tier or a zero amount", async function () {
+      await expect(
+        staking.connect(staker1).stakeLocked(7 * DAY, { value: ethers.parseEther("1.0") })
+      ).to.be.revertedWithCustomError(staking, "InvalidLockDuration").withArgs(7 * DAY);
+
+      await expect(
+        staking.connect(staker1).stakeLocked(30 * DAY, { value: 0 })
+      ).to.be.revertedWithCustomError(staking, "InvalidStakeAmount");
+    });
+
+    it("Should only allow unstaking the unlocked part of a stake", async function () {
+      await staking.connect(staker1).stake({ value: ethers.parseEther("1.0") });
+      await staking.connect(staker1).stakeLocked(30 * DAY, { value: ethers.parseEther("2.0") });
+
+      await expect(
+        staking.connect(staker1).unstake(ethers.parseEther("1.5"))
+      ).to.be.revertedWithCustomError(staking, "StakeLocked")
+        .withArgs(ethers.parseEther("1.5"), ethers.parseEther("1.0"));
+
+      await staking.connect(staker1).unstake(ethers.parseEther("1.0"));
+      expect(await staking.stakedBalance(staker1.address)).to.equal(ethers.parseEther("2.0"));
+      expect(await staking.weightedBalance(staker1.address)).to.equal(ethers.parseEther("2.5"));
+      expect(await staking.totalWeightedStake()).to.equal(ethers.parseEther("2.5"));
+    });
+
+    it("Should give locked stakes a larger share of the rewards", async function () {
+      await staking.connect(staker1).stake({ value: ethers.parseEther("1.0") });
+      await staking.connect(staker2).stakeLocked(365 * DAY, { value: ethers.parseEther("1.0") });
+
+      await ethers.provider.send("evm_increaseTime", [DAY]);
+      await ethers.provider.send("evm_mine");
+
+      const earned1 = await staking.earned(staker1.address);
+      const earned2 = await staking.earned(staker2.address);
+
+      // The 2x lock earns about twice as much as the unlocked stake
+      expect(earned2).to.be.closeTo(earned1 * 2n, earned1 / 100n);
+    });
+
+    it("Should split rewards fairly across a reward rate change", async function () {
+      await staking.connect(staker1).stake({ value: ethers.parseEther("1.0") });
+      await staking.connect(staker2).stakeLocked(90 * DAY, { value: ethers.parseEther("2.0") });
+
+      await ethers.provider.send("evm_increaseTime", [DAY]);
+      await ethers.provider.send("evm_mine");
+      await doubleRewardRate();
+      await ethers.provider.send("evm_increaseTime", [DAY]);
+      await ethers.provider.send("evm_mine");
+
+      const earned1 = await staking.earned(staker1.address);
+      const earned2 = await staking.earned(staker2.address);
+
+      // staker2 holds 3 of the 4 reward shares throughout
+      expect(earned2).to.be.closeTo(earned1 * 3n, earned1 / 100n);
+      expect(earned1 + earned2).to.be.closeTo(rewardRate * BigInt(3 * DAY), rewardRate * 10n);
+    });
+
+    it("Should release an expired lock and drop its multiplier", async function () {
+      await staking.connect(staker1).stakeLocked(30 * DAY, { value: ethers.parseEther("1.0") });
+
+      await expect(
+        staking.connect(staker2).releaseLock(staker1.address, 0)
+      ).to.be.revertedWithCustomError(staking, "LockNotExpired");
+
+      await ethers.provider.send("evm_increaseTime", [30 * DAY]);
+      await ethers.provider.send("evm_mine");
+
+      const earnedBefore = await staking.earned(staker1.address);
+
+      // Anyone can release an expired lock
+      await expect(staking.connect(staker2).releaseLock(staker1.address, 0))
+        .to.emit(staking, "LockReleased")
+        .withArgs(staker1.address, 0, ethers.parseEther("1.0"));
+
+      expect(await staking.earned(staker1.address)).to.be.gte(earnedBefore);
+      expect(await staking.lockedBalance(staker1.address)).to.equal(0);
+      expect(await staking.weightedBalance(staker1.address)).to.equal(ethers.parseEther("1.0"));
+      expect(await staking.totalWeightedStake()).to.equal(ethers.parseEther("1.0"));
+
+      await expect(
+        staking.releaseLock(staker1.address, 0)
+      ).to.be.revertedWithCustomError(staking, "LockAlreadyReleased").withArgs(staker1.address, 0);
+      await expect(
+        staking.releaseLock(staker1.address, 1)
+      ).to.be.revertedWithCustomError(staking, "LockDoesNotExist").withArgs(staker1.address, 1);
+
+      await staking.connect(staker1).unstake(ethers.parseEther("1.0"));
+      expect(await staking.stakedBalance(staker1.address)).to.equal(0);
+    });
+
+    it("Should stop the multiplier of a lock that is never released at its unlock time", async function () {
+      await staking.connect(staker1).stake({ value: ethers.parseEther("1.0") });
+      await staking.connect(staker2).stakeLocked(30 * DAY, { value: ethers.parseEther("1.0") });
+
+      await ethers.provider.send("evm_increaseTime", [30 * DAY]);
+      await ethers.provider.send("evm_mine");
+      const earnedAtUnlock = await staking.earned(staker2.address);
+
+      await ethers.provider.send("evm_increaseTime", [30 * DAY]);
+      await ethers.provider.send("evm_mine");
+
+      // After the unlock, staker2 earns no more than staker1's unlocked stake of the same size
+      const earnedAfterUnlock = (await staking.earned(staker2.address)) - earnedAtUnlock;
+      expect(earnedAfterUnlock).to.be.lte(rewardRate * BigInt(30 * DAY) / 2n);
+      expect(earnedAfterUnlock).to.be.gt(0);
+
+      // The ended lock doesn't block unstaking, and is released along the way
+      await expect(staking.connect(staker2).unstake(ethers.parseEther("1.0")))
+        .to.emit(staking, "LockReleased")
+        .withArgs(staker2.address, 0, ethers.parseEther("1.0"));
+      expect(await staking.stakedBalance(staker2.address)).to.equal(0);
+      expect(await staking.lockedBalance(staker2.address)).to.equal(0);
+      expect(await staking.weightedBalance(staker2.address)).to.equal(0);
+      expect(await staking.totalWeightedStake()).to.equal(ethers.parseEther("1.0"));
+      expect(await staking.unclaimedRewards(staker2.address)).to.be.closeTo(
+        earnedAtUnlock + earnedAfterUnlock,
+        rewardRate * 2n
+      );
+    });
+
+    it("Should cap the active locks of a user", async function () {
+      const maxLocks = Number(await staking.MAX_ACTIVE_LOCKS());
+      for (let i = 0; i < maxLocks; i++) {
+        await staking.connect(staker1).stakeLocked(30 * 24 * 60 * 60, { value: ethers.parseEther("0.01") });
+      }
+
+      await expect(
+        staking.connect(staker1).stakeLocked(30 * 24 * 60 * 60, { value: ethers.parseEther("0.01") })
+      ).to.be.revertedWithCustomError(staking, "TooManyLocks").withArgs(staker1.address, maxLocks);
+
+      // Releasing expired locks frees their slots
+      await ethers.provider.send("evm_increaseTime", [30 * 24 * 60 * 60]);
+      await ethers.provider.send("evm_mine");
+      await staking.releaseLock(staker1.address, 3);
+      await staking.connect(staker1).stakeLocked(30 * 24 * 60 * 60, { value: ethers.parseEther("0.01") });
+
+      // Only active locks are slashed
+      await staking.setTreasury(staker5.address);
+      await staking.slash(staker1.address, 5000, "");
+      const locks = await staking.getLocks(staker1.address);
+      expect(locks[3].amount).to.equal(ethers.parseEther("0.01"));
+      expect(locks[maxLocks].amount).to.equal(ethers.parseEther("0.005"));
+    });
+
+    it("Should allow the owner to add, change and disable lock tiers", async function () {
+      await expect(staking.setLockTier(180 * DAY, 17500))
+        .to.emit(staking, "LockTierChanged")
+        .withArgs(180 * DAY, 17500);
+      expect(await staking.lockMultipliers(180 * DAY)).to.equal(17500);
+
+      await staking.connect(staker1).stakeLocked(30 * DAY, { value: ethers.parseEther("1.0") });
+      await staking.setLockTier(30 * DAY, 0);
+      await expect(
+        staking.connect(staker1).stakeLocked(30 * DAY, { value: ethers.parseEther("1.0") })
+      ).to.be.revertedWithCustomError(staking, "InvalidLockDuration");
+
+      // Existing locks keep their multiplier
+      expect(await staking.weightedBalance(staker1.address)).to.equal(ethers.parseEther("1.25"));
+
+      await expect(
+        staking.setLockTier(30 * DAY, 9000)
+      ).to.be.revertedWithCustomError(staking, "InvalidLockMultiplier").withArgs(9000);
+      await expect(
+        staking.connect(staker1).setLockTier(30 * DAY, 12500)
+      ).to.be.revertedWithCustomError(staking, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("Unbonding Queue", function () {
+    const UNBONDING_PERIOD = 7 * 24 * 60 * 60;
+
+    beforeEach(async function () {
+      await staking.setUnbondingPeriod(UNBONDING_PERIOD);
+      await staking.connect(staker1).stake({ value: ethers.parseEther("2.0") });
+    });
+
+    it("Should allow the owner to set the unbonding period", async function () {
+      await expect(staking.setUnbondingPeriod(3600))
+        .to.emit(staking, "UnbondingPeriodChanged")
+        .withArgs(UNBONDING_PERIOD, 3600);
+      expect(await staking.unbondingPeriod()).to.equal(3600);
+
+      await expect(
+        staking.connect(staker1).setUnbondingPeriod(0)
+      ).to.be.revertedWithCustomError(staking, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should require a request instead of an immediate unstake", async function () {
+      await expect(
+        staking.connect(staker1).unstake(ethers.parseEther("1.0"))
+      ).to.be.revertedWithCustomError(staking, "UnbondingRequired").withArgs(UNBONDING_PERIOD);
+
+      // Setting the period back to zero restores immediate unstaking
+      await staking.setUnbondingPeriod(0);
+      await staking.connect(staker1).unstake(ethers.parseEther("1.0"));
+      expect(await staking.stakedBalance(staker1.address)).to.equal(ethers.parseEther("1.0"));
+    });
+
+    it("Should stop rewards and voting stake on request", async function () {
+      await expect(staking.connect(staker1).requestUnstake(ethers.parseEther("2.0")))
+        .to.emit(staking, "UnstakeRequested");
+      const requestBlock = await ethers.provider.getBlockNumber();
+
+      expect(await staking.stakedBalance(staker1.address)).to.equal(0);
+      expect(await staking.totalStaked()).to.equal(0);
+      expect(await staking.unbondingBalance(staker1.address)).to.equal(ethers.parseEther("2.0"));
+
+      const earnedAtRequest = await staking.earned(staker1.address);
+      await ethers.provider.send("evm_increaseTime", [24 * 60 * 60]);
+      await ethers.provider.send("evm_mine");
+
+      expect(await staking.earned(staker1.address)).to.equal(earnedAtRequest);
+      expect(await staking.getPastStake(staker1.address, requestBlock)).to.equal(0);
+    });
+
+    it("Should only withdraw requests whose cooldown has finished", async function () {
+      await staking.connect(staker1).requestUnstake(ethers.parseEther("0.5"));
+      await ethers.provider.send("evm_increaseTime", [3 * 24 * 60 * 60]);
+      await ethers.provider.send("evm_mine");
+      await staking.connect(staker1).requestUnstake(ethers.parseEther("1.0"));
+
+      await expect(
+        staking.connect(staker1).withdraw()
+      ).to.be.revertedWithCustomError(staking, "NothingToWithdraw");
+
+      await ethers.provider.send("evm_increaseTime", [4 * 24 * 60 * 60]);
+      await ethers.provider.send("evm_mine");
+
+      const tx = staking.connect(staker1).withdraw();
+      await expect(tx)
+        .to.emit(staking, "Withdrawn")
+        .withArgs(staker1.address, ethers.parseEther("0.5"));
+      await expect(tx).to.changeEtherBalance(staker1, ethers.parseEther("0.5"));
+
+      const [requestIds, requests] = await staking.getUnstakeRequests(staker1.address);
+      expect(requestIds).to.deep.equal([1n]);
+      expect(requests[0].amount).to.equal(ethers.parseEther("1.0"));
+
+      await ethers.provider.send("evm_increaseTime", [3 * 24 * 60 * 60]);
+      await ethers.provider.send("evm_mine");
+
+      await expect(staking.connect(staker1).withdraw())
+        .to.changeEtherBalance(staker1, ethers.parseEther("1.0"));
+      expect(await staking.unbondingBalance(staker1.address)).to.equal(0);
+      expect((await staking.getUnstakeRequests(staker1.address))[0]).to.deep.equal([]);
+    });
+
+    it("Should keep the cooldown a request was created with", async function () {
+      await staking.connect(staker1).requestUnstake(ethers.parseEther("1.0"));
+      await staking.setUnbondingPeriod(30 * 24 * 60 * 60);
+
+      await ethers.provider.send("evm_increaseTime", [UNBONDING_PERIOD]);
+      await ethers.provider.send("evm_mine");
+
+      await expect(staking.connect(staker1).withdraw())
+        .to.changeEtherBalance(staker1, ethers.parseEther("1.0"));
+    });
+
+    it("Should re-stake the amount of a canceled request", async function () {
+      await staking.connect(staker1).requestUnstake(ethers.parseEther("0.5"));
+      await staking.connect(staker1).requestUnstake(ethers.parseEther("1.0"));
+
+      await expect(staking.connect(staker1).cancelUnstakeRequest(0))
+        .to.emit(staking, "UnstakeRequestCanceled")
+        .withArgs(staker1.address, 0, ethers.parseEther("0.5"))
+        .and.to.emit(staking, "Staked")
+        .withArgs(staker1.address, ethers.parseEther("0.5"));
+
+      expect(await staking.stakedBalance(staker1.address)).to.equal(ethers.parseEther("1.0"));
+      expect(await staking.totalWeightedStake()).to.equal(ethers.parseEther("1.0"));
+      expect(await staking.unbondingBalance(staker1.address)).to.equal(ethers.parseEther("1.0"));
+
+      const [requestIds] = await staking.getUnstakeRequests(staker1.address);
+      expect(requestIds).to.deep.equal([1n]);
+
+      await expect(
+        staking.connect(staker1).cancelUnstakeRequest(0)
+      ).to.be.revertedWithCustomError(staking, "UnstakeRequestNotPending").withArgs(staker1.address, 0);
+      await expect(
+        staking.connect(staker2).cancelUnstakeRequest(1)
+      ).to.be.revertedWithCustomError(staking, "UnstakeRequestNotPending").withArgs(staker2.address, 1);
+    });
+
+    it("Should cap the pending unstake requests of a user", async function () {
+      const maxRequests = Number(await staking.MAX_PENDING_REQUESTS());
+      for (let i = 0; i < maxRequests; i++) {
+        await staking.connect(staker1).requestUnstake(ethers.parseEther("0.01"));
+      }
+
+      await expect(
+        staking.connect(staker1).requestUnstake(ethers.parseEther("0.01"))
+      ).to.be.revertedWithCustomError(staking, "TooManyUnstakeRequests").withArgs(staker1.address, maxRequests);
+
+      // Canceling or withdrawing frees slots
+      await staking.connect(staker1).cancelUnstakeRequest(5);
+      await staking.connect(staker1).requestUnstake(ethers.parseEther("0.01"));
+      expect((await staking.getUnstakeRequests(staker1.address))[0]).to.have.lengthOf(maxRequests);
+
+      await ethers.provider.send("evm_increaseTime", [UNBONDING_PERIOD]);
+      await ethers.provider.send("evm_mine");
+      await staking.connect(staker1).withdraw();
+      expect((await staking.getUnstakeRequests(staker1.address))[0]).to.deep.equal([]);
+      await staking.connect(staker1).requestUnstake(ethers.parseEther("0.01"));
+    });
+
+    it("Should not allow requesting locked or missing stake", async function () {
+      await staking.connect(staker1).stakeLocked(30 * 24 * 60 * 60, { value: ethers.parseEther("1.0") });
+
+      await expect(
+        staking.connect(staker1).requestUnstake(ethers.parseEther("2.5"))
+      ).to.be.revertedWithCustomError(staking, "StakeLocked");
+      await expect(
+        staking.connect(staker1).requestUnstake(ethers.parseEther("5.0"))
+      ).to.be.revertedWithCustomError(staking, "NotEnoughStaked");
+      await expect(
+        staking.connect(staker1).requestUnstake(0)
+      ).to.be.revertedWithCustomError(staking, "InvalidStakeAmount");
+    });
+  });
+
+  describe("Reward Periods", function () {
+    const DAY = 24 * 60 * 60;
+    const budget = ethers.parseEther("70");
+
+    beforeEach(async function () {
+      // Start from a Staking contract without a reward period
+      staking = await deployStaking(await govToken.getAddress());
+      await govToken.setStakingContract(await staking.getAddress());
+    });
+
+    async function startPeriod(delay, duration, amount) {
+      const start = (await ethers.provider.getBlock("latest")).timestamp + delay;
+      await staking.startRewardPeriod(start, duration, amount);
+      return start;
+    }
+
+    it("Should derive the reward rate from the budget", async function () {
+      const start = (await ethers.provider.getBlock("latest")).timestamp + 10;
+
+      await expect(staking.startRewardPeriod(start, 7 * DAY, budget))
+        .to.emit(staking, "RewardPeriodStarted")
+        .withArgs(start, start + 7 * DAY, budget, budget / BigInt(7 * DAY));
+
+      expect(await staking.rewardRate()).to.equal(budget / BigInt(7 * DAY));
+      expect(await staking.periodStart()).to.equal(start);
+      expect(await staking.periodFinish()).to.equal(start + 7 * DAY);
+      expect(await staking.rewardBudget()).to.equal(budget);
+    });
+
+    it("Should not accrue rewards before the period starts or after it ends", async function () {
+      await staking.connect(staker1).stake({ value: ethers.parseEther("1.0") });
+      const start = await startPeriod(DAY, 7 * DAY, budget);
+
+      await ethers.provider.send("evm_increaseTime", [DAY / 2]);
+      await ethers.provider.send("evm_mine");
+      const earnedBeforeStart = await staking.earned(staker1.address);
+
+      await ethers.provider.send("evm_setNextBlockTimestamp", [start + 10 * DAY]);
+      await ethers.provider.send("evm_mine");
+      const earnedAfterEnd = await staking.earned(staker1.address);
+
+      // The whole budget goes to the only staker, minus rounding of the rate
+      expect(earnedAfterEnd - earnedBeforeStart).to.be.closeTo(budget, ethers.parseEther("0.001"));
+      expect(earnedAfterEnd - earnedBeforeStart).to.be.lte(budget);
+
+      await ethers.provider.send("evm_increaseTime", [30 * DAY]);
+      await ethers.provider.send("evm_mine");
+      expect(await staking.earned(staker1.address)).to.equal(earnedAfterEnd);
+
+      // Rewards earned in the period can still be claimed afterwards
+      await staking.connect(staker1).claimGovToken();
+      expect(await govToken.balanceOf(staker1.address)).to.equal(earnedAfterEnd);
+    });
+
+    it("Should spread a top-up over the remaining time", async function () {
+      const start = await startPeriod(10, 10 * DAY, budget);
+      await staking.connect(staker1).stake({ value: ethers.parseEther("1.0") });
+
+      await ethers.provider.send("evm_setNextBlockTimestamp", [start + 5 * DAY]);
+      await expect(staking.topUpRewardPeriod(ethers.parseEther("35")))
+        .to.emit(staking, "RewardPeriodUpdated");
+
+      expect(await staking.rewardBudget()).to.equal(ethers.parseEther("105"));
+      expect(await staking.periodFinish()).to.equal(start + 10 * DAY);
+
+      await ethers.provider.send("evm_setNextBlockTimestamp", [start + 11 * DAY]);
+      await ethers.provider.send("evm_mine");
+      expect(await staking.earned(staker1.address)).to.be.closeTo(
+        ethers.parseEther("105"), ethers.parseEther("0.001")
+      );
+    });
+
+    it("Should spread the unspent budget over an extended period", async function () {
+      const start = await startPeriod(10, 10 * DAY, budget);
+      await staking.connect(staker1).stake({ value: ethers.parseEther("1.0") });
+
+      await ethers.provider.send("evm_setNextBlockTimestamp", [start + 5 * DAY]);
+      await staking.extendRewardPeriod(5 * DAY, ethers.parseEther("35"));
+
+      expect(await staking.periodFinish()).to.equal(start + 15 * DAY);
+      // 35 unspent + 35 added over the remaining 10 days
+      expect(await staking.rewardRate()).to.be.closeTo(
+        ethers.parseEther("70") / BigInt(10 * DAY), 1n
+      );
+
+      await ethers.provider.send("evm_setNextBlockTimestamp", [start + 20 * DAY]);
+      await ethers.provider.send("evm_mine");
+      expect(await staking.earned(staker1.address)).to.be.closeTo(
+        ethers.parseEther("105"), ethers.parseEther("0.001")
+      );
+    });
+
+    it("Should not allow restarting during a running period", async function () {
+      await startPeriod(10, 7 * DAY, budget);
+
+      await expect(
+        startPeriod(10, 7 * DAY, budget)
+      ).to.be.revertedWithCustomError(staking, "RewardPeriodActive");
+
+      // A new period can start once the previous one has ended
+      await ethers.provider.send("evm_increaseTime", [8 * DAY]);
+      await ethers.provider.send("evm_mine");
+      await startPeriod(10, 7 * DAY, budget);
+    });
+
+    it("Should validate reward periods and restrict them to the owner", async function () {
+      const now = (await ethers.provider.getBlock("latest")).timestamp;
+
+      await expect(
+        staking.startRewardPeriod(now - 1, 7 * DAY, budget)
+      ).to.be.revertedWithCustomError(staking, "InvalidRewardPeriod");
+      await expect(
+        staking.startRewardPeriod(now + 10, 0, budget)
+      ).to.be.revertedWithCustomError(staking, "InvalidRewardPeriod");
+      await expect(
+        staking.startRewardPeriod(now + 10, 7 * DAY, 1)
+      ).to.be.revertedWithCustomError(staking, "InvalidRewardBudget").withArgs(1);
+      await expect(
+        staking.connect(staker1).startRewardPeriod(now + 10, 7 * DAY, budget)
+      ).to.be.revertedWithCustomError(staking, "OwnableUnauthorizedAccount");
+
+      // Top-ups and extensions need a running period
+      await expect(
+        staking.topUpRewardPeriod(budget)
+      ).to.be.revertedWithCustomError(staking, "NoActiveRewardPeriod");
+      await expect(
+        staking.extendRewardPeriod(DAY, 0)
+      ).to.be.revertedWithCustomError(staking, "NoActiveRewardPeriod");
+    });
+  });
+
+  describe("Emergency Pause", function () {
+    beforeEach(async function () {
+      await staking.setGuardian(staker5.address);
+      await staking.connect(staker1).stake({ value: ethers.parseEther("1.0") });
+    });
+
+    it("Should allow the owner and the guardian to pause", async function () {
+      await expect(staking.connect(staker5).pause())
+        .to.emit(staking, "Paused")
+        .withArgs(staker5.address);
+      expect(await staking.paused()).to.equal(true);
+
+      await expect(staking.unpause())
+        .to.emit(staking, "Unpaused")
+        .withArgs(owner.address);
+
+      await staking.pause();
+      expect(await staking.paused()).to.equal(true);
+    });
+
+    it("Should only allow the owner to unpause or change the guardian", async function () {
+      await expect(
+        staking.connect(staker1).pause()
+      ).to.be.revertedWithCustomError(staking, "UnauthorizedPauser").withArgs(staker1.address);
+
+      await staking.connect(staker5).pause();
+      await expect(
+        staking.connect(staker5).unpause()
+      ).to.be.revertedWithCustomError(staking, "OwnableUnauthorizedAccount");
+
+      await expect(staking.setGuardian(staker4.address))
+        .to.emit(staking, "GuardianChanged")
+        .withArgs(staker5.address, staker4.address);
+      await expect(
+        staking.connect(staker5).setGuardian(staker5.address)
+      ).to.be.revertedWithCustomError(staking, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should block staking and claiming while paused", async function () {
+      await ethers.provider.send("evm_increaseTime", [3600]);
+      await ethers.provider.send("evm_mine");
+      await staking.pause();
+
+      await expect(
+        staking.connect(staker2).stake({ value: ethers.parseEther("1.0") })
+      ).to.be.revertedWithCustomError(staking, "EnforcedPause");
+      await expect(
+        staking.connect(staker2).stakeLocked(30 * 24 * 60 * 60, { value: ethers.parseEther("1.0") })
+      ).to.be.revertedWithCustomError(staking, "EnforcedPause");
+      await expect(
+        staker2.sendTransaction({ to: await staking.getAddress(), value: ethers.parseEther("1.0") })
+      ).to.be.revertedWithCustomError(staking, "EnforcedPause");
+      await expect(
+        staking.connect(staker1).claimGovToken()
+      ).to.be.revertedWithCustomError(staking, "EnforcedPause");
+
+      // Everything works again after unpausing
+      await staking.unpause();
+      await staking.connect(staker1).claimGovToken();
+      expect(await govToken.balanceOf(staker1.address)).to.be.gt(0);
+    });
+
+    it("Should only allow emergency withdrawals while paused", async function () {
+      await expect(
+        staking.connect(staker1).emergencyWithdraw()
+      ).to.be.revertedWithCustomError(staking, "ExpectedPause");
+    });
+
+    it("Should return all staked ETH and forfeit rewards on emergency withdrawal", async function () {
+      await staking.connect(staker1).stakeLocked(365 * 24 * 60 * 60, { value: ethers.parseEther("1.0") });
+      await staking.connect(staker2).stake({ value: ethers.parseEther("1.0") });
+
+      await ethers.provider.send("evm_increaseTime", [24 * 60 * 60]);
+      await ethers.provider.send("evm_mine");
+      await staking.pause();
+
+      const earnedBefore = await staking.earned(staker2.address);
+
+      const tx = staking.connect(staker1).emergencyWithdraw();
+      await expect(tx).to.emit(staking, "EmergencyWithdrawn");
+      await expect(tx).to.changeEtherBalance(staker1, ethers.parseEther("2.0"));
+
+      expect(await staking.stakedBalance(staker1.address)).to.equal(0);
+      expect(await staking.lockedBalance(staker1.address)).to.equal(0);
+      expect(await staking.weightedBalance(staker1.address)).to.equal(0);
+      expect(await staking.earned(staker1.address)).to.equal(0);
+      expect(await staking.totalStaked()).to.equal(ethers.parseEther("1.0"));
+      expect(await staking.totalWeightedStake()).to.equal(ethers.parseEther("1.0"));
+      expect((await staking.getLocks(staker1.address))[0].released).to.equal(true);
+
+      // Other stakers keep what they earned
+      expect(await staking.earned(staker2.address)).to.be.gte(earnedBefore);
+
+      await expect(
+        staking.connect(staker1).emergencyWithdraw()
+      ).to.be.revertedWithCustomError(staking, "NotEnoughStaked");
+    });
+  });
+
+  describe("Receipt Token", function () {
+    let receiptToken;
+
+    beforeEach(async function () {
+      receiptToken = await ethers.getContractAt("StakingReceipt", await staking.receiptToken());
+    });
+
+    it("Should deploy the receipt token with the staking contract as minter", async function () {
+      expect(await receiptToken.symbol()).to.equal("stGOV-ETH");
+      expect(await receiptToken.staking()).to.equal(await staking.getAddress());
+
+      await expect(
+        receiptToken.connect(staker1).mint(staker1.address, 1n)
+      ).to.be.revertedWithCustomError(receiptToken, "OnlyStakingContract")
+        .withArgs(staker1.address, await staking.getAddress());
+      await expect(
+        staking.connect(staker1).onReceiptTransfer(staker1.address, staker2.address, 1n)
+      ).to.be.revertedWithCustomError(staking, "OnlyReceiptToken").withArgs(staker1.address);
+    });
+
+    it("Should mint receipts on stake and burn them on unstake", async function () {
+      await staking.connect(staker1).stake({ value: ethers.parseEther("2.0") });
+      await staking.connect(staker1).stakeLocked(30 * 24 * 60 * 60, { value: ethers.parseEther("1.0") });
+      expect(await receiptToken.balanceOf(staker1.address)).to.equal(ethers.parseEther("3.0"));
+
+      await staking.connect(staker1).unstake(ethers.parseEther("0.5"));
+      expect(await receiptToken.balanceOf(staker1.address)).to.equal(ethers.parseEther("2.5"));
+      expect(await receiptToken.totalSupply()).to.equal(await staking.totalStaked());
+    });
+
+    it("Should burn receipts on unstake requests and mint them on cancellation", async function () {
+      await staking.setUnbondingPeriod(7 * 24 * 60 * 60);
+      await staking.connect(staker1).stake({ value: ethers.parseEther("2.0") });
+
+      await staking.connect(staker1).requestUnstake(ethers.parseEther("1.5"));
+      expect(await receiptToken.balanceOf(staker1.address)).to.equal(ethers.parseEther("0.5"));
+
+      await staking.connect(staker1).cancelUnstakeRequest(0);
+      expect(await receiptToken.balanceOf(staker1.address)).to.equal(ethers.parseEther("2.0"));
+    });
+
+    it("Should move the stake and future rewards with a transfer", async function () {
+      await staking.connect(staker1).stake({ value: ethers.parseEther("2.0") });
+      await staking.connect(staker2).stake({ value: ethers.parseEther("2.0") });
+
+      await ethers.provider.send("evm_increaseTime", [24 * 60 * 60]);
+      await ethers.provider.send("evm_mine");
+
+      await expect(receiptToken.connect(staker1).transfer(staker3.address, ethers.parseEther("2.0")))
+        .to.emit(staking, "StakeTransferred")
+        .withArgs(staker1.address, staker3.address, ethers.parseEther("2.0"));
+
+      expect(await staking.stakedBalance(staker1.address)).to.equal(0);
+      expect(await staking.stakedBalance(staker3.address)).to.equal(ethers.parseEther("2.0"));
+      expect(await staking.totalStaked()).to.equal(ethers.parseEther("4.0"));
+
+      // Rewards earned before the transfer stay with the sender
+      const earnedAtTransfer = await staking.earned(staker1.address);
+      expect(earnedAtTransfer).to.be.gt(0);
+      expect(await staking.earned(staker3.address)).to.equal(0);
+
+      await ethers.provider.send("evm_increaseTime", [24 * 60 * 60]);
+      await ethers.provider.send("evm_mine");
+
+      expect(await staking.earned(staker1.address)).to.equal(earnedAtTransfer);
+      const earned2 = await staking.earned(staker2.address);
+      const earned3 = await staking.earned(staker3.address);
+      expect(earned3).to.be.closeTo(earned2 - earnedAtTransfer, earned2 / 100n);
+
+      // The receiver can unstake the transferred stake
+      await staking.connect(staker3).unstake(ethers.parseEther("2.0"));
+      expect(await receiptToken.balanceOf(staker3.address)).to.equal(0);
+    });
+
+    it("Should move checkpointed stake with transferFrom", async function () {
+      await staking.connect(staker1).stake({ value: ethers.parseEther("1.0") });
+      await receiptToken.connect(staker1).approve(staker2.address, ethers.parseEther("1.0"));
+
+      await receiptToken.connect(staker2).transferFrom(staker1.address, staker2.address, ethers.parseEther("1.0"));
+      const transferBlock = await ethers.provider.getBlockNumber();
+      await ethers.provider.send("evm_mine");
+
+      expect(await staking.getPastStake(staker1.address, transferBlock)).to.equal(0);
+      expect(await staking.getPastStake(staker2.address, transferBlock)).to.equal(ethers.parseEther("1.0"));
+    });
+
+    it("Should not allow transferring locked stake", async function () {
+      await staking.connect(staker1).stake({ value: ethers.parseEther("1.0") });
+      await staking.connect(staker1).stakeLocked(90 * 24 * 60 * 60, { value: ethers.parseEther("1.0") });
+
+      await expect(
+        receiptToken.connect(staker1).transfer(staker2.address, ethers.parseEther("1.5"))
+      ).to.be.revertedWithCustomError(staking, "StakeLocked")
+        .withArgs(ethers.parseEther("1.5"), ethers.parseEther("1.0"));
+
+      await receiptToken.connect(staker1).transfer(staker2.address, ethers.parseEther("1.0"));
+      expect(await staking.stakedBalance(staker2.address)).to.equal(ethers.parseEther("1.0"));
+    });
+  });
+
+  describe("Slashing", function () {
+    let treasury;
+
+    beforeEach(async function () {
+      treasury = staker5;
+      await staking.setTreasury(treasury.address);
+      await staking.connect(staker1).stake({ value: ethers.parseEther("2.0") });
+      await staking.connect(staker2).stake({ value: ethers.parseEther("2.0") });
+    });
+
+    it("Should send the slashed share to the treasury and emit the evidence", async function () {
+      const tx = staking.slash(staker1.address, 2500, "ipfs://evidence");
+      await expect(tx)
+        .to.emit(staking, "Slashed")
+        .withArgs(staker1.address, 2500, ethers.parseEther("0.5"), 0, anyValue, "ipfs://evidence");
+      await expect(tx).to.changeEtherBalance(treasury, ethers.parseEther("0.5"));
+
+      expect(await staking.stakedBalance(staker1.address)).to.equal(ethers.parseEther("1.5"));
+      expect(await staking.weightedBalance(staker1.address)).to.equal(ethers.parseEther("1.5"));
+      expect(await staking.totalStaked()).to.equal(ethers.parseEther("3.5"));
+      expect(await staking.totalWeightedStake()).to.equal(ethers.parseEther("3.5"));
+
+      const receiptToken = await ethers.getContractAt("StakingReceipt", await staking.receiptToken());
+      expect(await receiptToken.balanceOf(staker1.address)).to.equal(ethers.parseEther("1.5"));
+    });
+
+    it("Should forfeit unclaimed rewards and keep the accumulator consistent", async function () {
+      await ethers.provider.send("evm_increaseTime", [24 * 60 * 60]);
+      await ethers.provider.send("evm_mine");
+
+      const earned2Before = await staking.earned(staker2.address);
+      await staking.slash(staker1.address, 5000, "proposal #1");
+
+      expect(await staking.earned(staker1.address)).to.equal(0);
+      expect(await staking.earned(staker2.address)).to.be.gte(earned2Before);
+
+      await ethers.provider.send("evm_increaseTime", [24 * 60 * 60]);
+      await ethers.provider.send("evm_mine");
+
+      // staker2 now holds 2 of the 3 ETH staked
+      const earned1 = await staking.earned(staker1.address);
+      const earned2 = (await staking.earned(staker2.address)) - earned2Before;
+      expect(earned2).to.be.closeTo(earned1 * 2n, earned1 / 50n);
+    });
+
+    it("Should slash locked stake and pending unstake requests", async function () {
+      await staking.connect(staker1).stakeLocked(365 * 24 * 60 * 60, { value: ethers.parseEther("2.0") });
+      await staking.setUnbondingPeriod(7 * 24 * 60 * 60);
+      await staking.connect(staker1).requestUnstake(ethers.parseEther("1.0"));
+
+      await expect(staking.slash(staker1.address, 5000, "proposal #2"))
+        .to.emit(staking, "Slashed")
+        .withArgs(staker1.address, 5000, ethers.parseEther("1.5"), ethers.parseEther("0.5"), anyValue, "proposal #2");
+
+      expect(await staking.stakedBalance(staker1.address)).to.equal(ethers.parseEther("1.5"));
+      expect(await staking.lockedBalance(staker1.address)).to.equal(ethers.parseEther("1.0"));
+      expect(await staking.weightedBalance(staker1.address)).to.equal(ethers.parseEther("2.5"));
+      expect(await staking.unbondingBalance(staker1.address)).to.equal(ethers.parseEther("0.5"));
+      expect((await staking.getLocks(staker1.address))[0].amount).to.equal(ethers.parseEther("1.0"));
+
+      const [, requests] = await staking.getUnstakeRequests(staker1.address);
+      expect(requests[0].amount).to.equal(ethers.parseEther("0.5"));
+    });
+
+    it("Should only allow the owner or the slasher to slash", async function () {
+      await expect(
+        staking.connect(staker2).slash(staker1.address, 1000, "")
+      ).to.be.revertedWithCustomError(staking, "UnauthorizedSlasher").withArgs(staker2.address);
+
+      await expect(staking.setSlasher(staker4.address))
+        .to.emit(staking, "SlasherChanged")
+        .withArgs(ethers.ZeroAddress, staker4.address);
+      await staking.connect(staker4).slash(staker1.address, 1000, "");
+
+      await expect(
+        staking.connect(staker4).setSlasher(staker4.address)
+      ).to.be.revertedWithCustomError(staking, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should validate the slash share, the treasury and the stake", async function () {
+      await expect(
+        staking.slash(staker1.address, 0, "")
+      ).to.be.revertedWithCustomError(staking, "InvalidSlashBps").withArgs(0);
+      await expect(
+        staking.slash(staker1.address, 10001, "")
+      ).to.be.revertedWithCustomError(staking, "InvalidSlashBps").withArgs(10001);
+      await expect(
+        staking.slash(staker3.address, 1000, "")
+      ).to.be.revertedWithCustomError(staking, "NothingToSlash").withArgs(staker3.address);
+      await expect(
+        staking.setTreasury(ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(staking, "InvalidTreasuryAddress");
+    });
+  });
+
+  describe("Claims and Exit", function () {
+    beforeEach(async function () {
+      await staking.connect(staker1).stake({ value: ethers.parseEther("2.0") });
+      await ethers.provider.send("evm_increaseTime", [24 * 60 * 60]);
+      await ethers.provider.send("evm_mine");
+    });
+
+    it("Should claim rewards to another recipient", async function () {
+      await expect(staking.connect(staker1).claimTo(staker2.address))
+        .to.emit(staking, "RewardClaimedTo")
+        .withArgs(staker1.address, staker2.address, anyValue);
+
+      expect(await govToken.balanceOf(staker2.address)).to.be.gt(0);
+      expect(await govToken.balanceOf(staker1.address)).to.equal(0);
+      expect(await staking.unclaimedRewards(staker1.address)).to.equal(0);
+
+      await expect(
+        staking.connect(staker1).claimTo(ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(staking, "InvalidRecipient");
+      await expect(
+        staking.connect(staker3).claimTo(staker2.address)
+      ).to.be.revertedWithCustomError(staking, "NoRewardsAvailable");
+    });
+
+    it("Should let an approved operator claim for a user", async function () {
+      await expect(
+        staking.connect(staker2).claimFor(staker1.address)
+      ).to.be.revertedWithCustomError(staking, "NotOperator").withArgs(staker2.address, staker1.address);
+
+      await expect(staking.connect(staker1).setOperator(staker2.address, true))
+        .to.emit(staking, "OperatorSet")
+        .withArgs(staker1.address, staker2.address, true);
+
+      await expect(staking.connect(staker2).claimFor(staker1.address))
+        .to.emit(staking, "RewardClaimedByOperator")
+        .withArgs(staker1.address, staker2.address, anyValue);
+
+      // Rewards go to the user, not the operator
+      expect(await govToken.balanceOf(staker1.address)).to.be.gt(0);
+      expect(await govToken.balanceOf(staker2.address)).to.equal(0);
+
+      await staking.connect(staker1).setOperator(staker2.address, false);
+      await expect(
+        staking.connect(staker2).claimFor(staker1.address)
+      ).to.be.revertedWithCustomError(staking, "NotOperator");
+    });
+
+    it("Should not give operators access to the user's stake", async function () {
+      await staking.connect(staker1).setOperator(staker2.address, true);
+
+      await expect(
+        staking.connect(staker2).unstake(ethers.parseEther("1.0"))
+      ).to.be.revertedWithCustomError(staking, "NotEnoughStaked");
+      expect(await staking.stakedBalance(staker1.address)).to.equal(ethers.parseEther("2.0"));
+    });
+
+    it("Should unstake everything and claim in one call", async function () {
+      const tx = staking.connect(staker1).exit();
+      await expect(tx)
+        .to.emit(staking, "Exited")
+        .withArgs(staker1.address, ethers.parseEther("2.0"), anyValue);
+      await expect(tx).to.changeEtherBalance(staker1, ethers.parseEther("2.0"));
+
+      expect(await staking.stakedBalance(staker1.address)).to.equal(0);
+      expect(await govToken.balanceOf(staker1.address)).to.be.gt(0);
+      expect(await staking.earned(staker1.address)).to.equal(0);
+
+      await expect(
+        staking.connect(staker1).exit()
+      ).to.be.revertedWithCustomError(staking, "NothingToExit").withArgs(staker1.address);
+    });
+
+    it("Should keep locked stake and queue the ETH when exiting with an unbonding period", async function () {
+      await staking.connect(staker1).stakeLocked(30 * 24 * 60 * 60, { value: ethers.parseEther("1.0") });
+      await staking.setUnbondingPeriod(7 * 24 * 60 * 60);
+
+      await expect(staking.connect(staker1).exit())
+        .to.emit(staking, "UnstakeRequested");
+
+      expect(await staking.stakedBalance(staker1.address)).to.equal(ethers.parseEther("1.0"));
+      expect(await staking.unbondingBalance(staker1.address)).to.equal(ethers.parseEther("2.0"));
+      expect(await govToken.balanceOf(staker1.address)).to.be.gt(0);
+    });
+  });
 }); 
\ No newline at end of file
@@ -0,0 +1,248 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { deployStaking } = require("./helpers/deployStaking");
+
+describe("StakingPools", function () {
+  let govToken;
+  let staking;
+  let pools;
+  let owner;
+  let staker1;
+  let staker2;
+  let rewardRate;
+
+  beforeEach(async function () {
+    // Get signers
+    [owner, staker1, staker2] = await ethers.getSigners();
+
+    // Deploy GovToken and Staking with its ERC20 pools
+    const GovToken = await ethers.getContractFactory("GovToken");
+    govToken = await upgrades.deployProxy(GovToken, [], { kind: "uups" });
+    await govToken.waitForDeployment();
+
+    rewardRate = ethers.parseEther("0.0000115"); // ~1 token per day
+    staking = await deployStaking(await govToken.getAddress(), rewardRate);
+    await govToken.setStakingContract(await staking.getAddress());
+
+    pools = await ethers.getContractAt("StakingPools", await staking.pools());
+  });
+
+  describe("Multi-Pool Staking", function () {
+    let weth;
+    let lpToken;
+    const poolRate = ethers.parseEther("0.00001");
+    const poolDuration = 30 * 24 * 60 * 60;
+    const poolBudget = poolRate * BigInt(poolDuration);
+
+    beforeEach(async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      weth = await MockERC20.deploy("Wrapped Ether", "WETH");
+      lpToken = await MockERC20.deploy("LP Token", "LP");
+
+      for (const staker of [staker1, staker2]) {
+        await weth.mint(staker.address, ethers.parseEther("10"));
+        await lpToken.mint(staker.address, ethers.parseEther("10"));
+        await weth.connect(staker).approve(await pools.getAddress(), ethers.MaxUint256);
+        await lpToken.connect(staker).approve(await pools.getAddress(), ethers.MaxUint256);
+      }
+
+      await pools.addPool(await weth.getAddress(), poolDuration, poolBudget);
+      await pools.addPool(await lpToken.getAddress(), poolDuration, poolBudget * 2n);
+    });
+
+    it("Should add pools and expose the ETH pool as pool 0", async function () {
+      expect(await pools.poolCount()).to.equal(3);
+
+      const ethPool = await pools.getPool(0);
+      expect(ethPool.asset).to.equal(ethers.ZeroAddress);
+      expect(ethPool.rewardRate).to.equal(rewardRate);
+
+      const wethPool = await pools.getPool(1);
+      expect(wethPool.asset).to.equal(await weth.getAddress());
+      expect(wethPool.rewardRate).to.equal(poolRate);
+      expect(wethPool.periodFinish).to.equal(wethPool.lastUpdateTime + BigInt(poolDuration));
+      expect(wethPool.active).to.equal(true);
+
+      await expect(pools.getPool(3)).to.be.revertedWithCustomError(pools, "InvalidPool").withArgs(3);
+    });
+
+    it("Should validate new pools and restrict them to the owner", async function () {
+      await expect(
+        pools.addPool(ethers.ZeroAddress, poolDuration, poolBudget)
+      ).to.be.revertedWithCustomError(pools, "InvalidPoolAsset");
+      await expect(
+        pools.addPool(await govToken.getAddress(), poolDuration, poolBudget)
+      ).to.be.revertedWithCustomError(pools, "InvalidPoolAsset");
+      await expect(
+        pools.addPool(await weth.getAddress(), 0, poolBudget)
+      ).to.be.revertedWithCustomError(pools, "InvalidRewardPeriod");
+      await expect(
+        pools.addPool(await weth.getAddress(), poolDuration, poolDuration - 1)
+      ).to.be.revertedWithCustomError(pools, "InvalidRewardBudget");
+      await expect(
+        pools.connect(staker1).addPool(await weth.getAddress(), poolDuration, poolBudget)
+      ).to.be.revertedWithCustomError(pools, "OnlyStakingOwner").withArgs(staker1.address);
+      await expect(
+        pools.connect(staker1).settleRewards(staker1.address)
+      ).to.be.revertedWithCustomError(pools, "OnlyStakingContract");
+    });
+
+    it("Should stake and unstake tokens in a pool", async function () {
+      await expect(pools.connect(staker1).stakeToken(1, ethers.parseEther("4")))
+        .to.emit(pools, "PoolStaked")
+        .withArgs(1, staker1.address, ethers.parseEther("4"));
+
+      expect(await pools.poolStakedBalance(1, staker1.address)).to.equal(ethers.parseEther("4"));
+      expect((await pools.getPool(1)).totalStaked).to.equal(ethers.parseEther("4"));
+      expect(await weth.balanceOf(await pools.getAddress())).to.equal(ethers.parseEther("4"));
+
+      await expect(
+        pools.connect(staker1).unstakeToken(1, ethers.parseEther("5"))
+      ).to.be.revertedWithCustomError(pools, "NotEnoughStaked");
+
+      await pools.connect(staker1).unstakeToken(1, ethers.parseEther("4"));
+      expect(await weth.balanceOf(staker1.address)).to.equal(ethers.parseEther("10"));
+      expect((await pools.getPool(1)).totalStaked).to.equal(0);
+
+      await expect(
+        pools.connect(staker1).stakeToken(0, ethers.parseEther("1"))
+      ).to.be.revertedWithCustomError(pools, "InvalidPool").withArgs(0);
+    });
+
+    it("Should accrue rewards per pool at each pool's rate", async function () {
+      await pools.connect(staker1).stakeToken(1, ethers.parseEther("1"));
+      await pools.connect(staker2).stakeToken(1, ethers.parseEther("3"));
+      await pools.connect(staker1).stakeToken(2, ethers.parseEther("5"));
+
+      await ethers.provider.send("evm_increaseTime", [1000]);
+      await ethers.provider.send("evm_mine");
+
+      const earned1 = await pools.poolEarned(1, staker1.address);
+      const earned2 = await pools.poolEarned(1, staker2.address);
+      expect(earned2).to.be.closeTo(earned1 * 3n, earned1 / 50n);
+
+      // staker1 is alone in the LP pool, which emits at twice the rate
+      const lpEarned = await pools.poolEarned(2, staker1.address);
+      expect(lpEarned).to.be.closeTo(poolRate * 2n * 1000n, poolRate * 10n);
+
+      // Pools don't affect the ETH pool
+      expect(await pools.poolEarned(0, staker1.address)).to.equal(0);
+    });
+
+    it("Should stop new stakes in an inactive pool", async function () {
+      await pools.connect(staker1).stakeToken(1, ethers.parseEther("1"));
+
+      await expect(pools.setPool(1, false))
+        .to.emit(pools, "PoolUpdated")
+        .withArgs(1, false);
+      await expect(
+        pools.connect(staker2).stakeToken(1, ethers.parseEther("1"))
+      ).to.be.revertedWithCustomError(pools, "PoolNotActive").withArgs(1);
+
+      // Stakers can still leave an inactive pool
+      await pools.connect(staker1).unstakeToken(1, ethers.parseEther("1"));
+    });
+
+    it("Should stop accruing at the end of a pool's reward period", async function () {
+      await pools.connect(staker1).stakeToken(1, ethers.parseEther("1"));
+
+      // Pausing Staking doesn't extend the period either
+      await staking.pause();
+      await ethers.provider.send("evm_increaseTime", [poolDuration * 2]);
+      await ethers.provider.send("evm_mine");
+      await staking.unpause();
+
+      // The staker was alone for the whole period, so they earned its budget
+      const earned = await pools.poolEarned(1, staker1.address);
+      expect(earned).to.be.closeTo(poolBudget, poolRate * 2n);
+      expect(earned).to.be.lte(poolBudget);
+      expect(await pools.poolLastTimeRewardApplicable(1)).to.equal((await pools.getPool(1)).periodFinish);
+
+      await ethers.provider.send("evm_increaseTime", [1000]);
+      await ethers.provider.send("evm_mine");
+      expect(await pools.poolEarned(1, staker1.address)).to.equal(earned);
+    });
+
+    it("Should start a new pool period only after the current one ends", async function () {
+      await pools.connect(staker1).stakeToken(1, ethers.parseEther("1"));
+
+      const periodFinish = (await pools.getPool(1)).periodFinish;
+      await expect(
+        pools.startPoolPeriod(1, poolDuration, poolBudget)
+      ).to.be.revertedWithCustomError(pools, "PoolPeriodActive").withArgs(1, periodFinish);
+      await expect(
+        pools.connect(staker1).startPoolPeriod(1, poolDuration, poolBudget)
+      ).to.be.revertedWithCustomError(pools, "OnlyStakingOwner");
+
+      await ethers.provider.send("evm_increaseTime", [poolDuration + 1000]);
+      await ethers.provider.send("evm_mine");
+      const earnedInFirstPeriod = await pools.poolEarned(1, staker1.address);
+
+      await expect(pools.startPoolPeriod(1, 1000, poolBudget))
+        .to.emit(pools, "PoolPeriodStarted");
+      expect((await pools.getPool(1)).rewardRate).to.equal(poolBudget / 1000n);
+
+      // The gap between the periods earned nothing
+      expect(await pools.poolEarned(1, staker1.address)).to.equal(earnedInFirstPeriod);
+
+      await ethers.provider.send("evm_increaseTime", [2000]);
+      await ethers.provider.send("evm_mine");
+      expect(await pools.poolEarned(1, staker1.address)).to.be.closeTo(
+        earnedInFirstPeriod + poolBudget,
+        poolBudget / 100n
+      );
+    });
+
+    it("Should claim rewards from every pool in one transaction", async function () {
+      await staking.connect(staker1).stake({ value: ethers.parseEther("1.0") });
+      await pools.connect(staker1).stakeToken(1, ethers.parseEther("1"));
+      await pools.connect(staker1).stakeToken(2, ethers.parseEther("1"));
+
+      await ethers.provider.send("evm_increaseTime", [1000]);
+      await ethers.provider.send("evm_mine");
+
+      const tx = staking.connect(staker1).claimAll();
+      await expect(tx).to.emit(staking, "RewardClaimed");
+      await expect(tx).to.emit(pools, "PoolRewardClaimed");
+
+      const minted = await govToken.balanceOf(staker1.address);
+      const expected = rewardRate * 1000n + poolRate * 1000n + poolRate * 2n * 1000n;
+      expect(minted).to.be.closeTo(expected, expected / 100n);
+
+      expect(await staking.earned(staker1.address)).to.be.lt(rewardRate * 2n);
+      expect(await pools.poolEarned(1, staker1.address)).to.be.lte(poolRate);
+    });
+
+    it("Should pause pool staking and claiming along with Staking", async function () {
+      await pools.connect(staker1).stakeToken(1, ethers.parseEther("1"));
+      await staking.pause();
+
+      await expect(
+        pools.connect(staker1).stakeToken(1, ethers.parseEther("1"))
+      ).to.be.revertedWithCustomError(pools, "EnforcedPause");
+      await expect(
+        pools.connect(staker1).claimPoolRewards(1)
+      ).to.be.revertedWithCustomError(pools, "EnforcedPause");
+
+      // Stakers can still leave while paused
+      await pools.connect(staker1).unstakeToken(1, ethers.parseEther("1"));
+    });
+
+    it("Should claim a single pool and revert when there is nothing to claim", async function () {
+      await expect(
+        staking.connect(staker1).claimAll()
+      ).to.be.revertedWithCustomError(staking, "NoRewardsAvailable");
+
+      await pools.connect(staker1).stakeToken(1, ethers.parseEther("1"));
+      await ethers.provider.send("evm_increaseTime", [100]);
+      await ethers.provider.send("evm_mine");
+
+      await pools.connect(staker1).claimPoolRewards(1);
+      expect(await govToken.balanceOf(staker1.address)).to.be.gt(0);
+
+      await expect(
+        pools.connect(staker1).claimPoolRewards(2)
+      ).to.be.revertedWithCustomError(staking, "NoRewardsAvailable");
+    });
+  });
+});
@@ -0,0 +1,299 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { deployStaking } = require("./helpers/deployStaking");
+
+describe("StakingPositions", function () {
+  const DAY = 24 * 60 * 60;
+  let govToken;
+  let staking;
+  let positionToken;
+  let owner;
+  let staker1;
+  let staker2;
+  let rewardRate;
+
+  beforeEach(async function () {
+    // Get signers
+    [owner, staker1, staker2] = await ethers.getSigners();
+
+    // Deploy GovToken and Staking with its position token
+    const GovToken = await ethers.getContractFactory("GovToken");
+    govToken = await upgrades.deployProxy(GovToken, [], { kind: "uups" });
+    await govToken.waitForDeployment();
+
+    rewardRate = ethers.parseEther("0.0000115"); // ~1 token per day
+    staking = await deployStaking(await govToken.getAddress(), rewardRate);
+    await govToken.setStakingContract(await staking.getAddress());
+
+    positionToken = await ethers.getContractAt("StakingPositions", await staking.positionToken());
+  });
+
+  describe("Position NFTs", function () {
+    it("Should mint a position NFT with its amount, start time and lock", async function () {
+      await expect(positionToken.connect(staker1).stakePosition(90 * DAY, { value: ethers.parseEther("2.0") }))
+        .to.emit(positionToken, "PositionCreated");
+      const startTime = (await ethers.provider.getBlock("latest")).timestamp;
+
+      expect(await positionToken.ownerOf(1)).to.equal(staker1.address);
+      const position = await positionToken.getPosition(1);
+      expect(position.amount).to.equal(ethers.parseEther("2.0"));
+      expect(position.weight).to.equal(ethers.parseEther("3.0"));
+      expect(position.startTime).to.equal(startTime);
+      expect(position.unlockTime).to.equal(startTime + 90 * DAY);
+
+      expect(await positionToken.totalStaked()).to.equal(ethers.parseEther("2.0"));
+      expect(await staking.totalWeightedStake()).to.equal(ethers.parseEther("3.0"));
+      // Positions are separate from the fungible stake
+      expect(await staking.stakedBalance(staker1.address)).to.equal(0);
+
+      await expect(
+        positionToken.connect(staker1).stakePosition(7 * DAY, { value: ethers.parseEther("1.0") })
+      ).to.be.revertedWithCustomError(positionToken, "InvalidLockDuration");
+    });
+
+    it("Should accrue position rewards alongside regular stakes", async function () {
+      await staking.connect(staker1).stake({ value: ethers.parseEther("1.0") });
+      await positionToken.connect(staker2).stakePosition(365 * DAY, { value: ethers.parseEther("1.0") });
+
+      await ethers.provider.send("evm_increaseTime", [DAY]);
+      await ethers.provider.send("evm_mine");
+
+      const earned1 = await staking.earned(staker1.address);
+      const positionEarned = await positionToken.positionEarned(1);
+      expect(positionEarned).to.be.closeTo(earned1 * 2n, earned1 / 100n);
+
+      await positionToken.connect(staker2).claimPositionRewards(1);
+      expect(await govToken.balanceOf(staker2.address)).to.be.closeTo(positionEarned, positionEarned / 100n);
+
+      await expect(
+        positionToken.connect(staker1).claimPositionRewards(1)
+      ).to.be.revertedWithCustomError(positionToken, "NotPositionOwner").withArgs(staker1.address, 1);
+    });
+
+    it("Should move a position and its pending rewards with the NFT", async function () {
+      await positionToken.connect(staker1).stakePosition(0, { value: ethers.parseEther("1.0") });
+      await ethers.provider.send("evm_increaseTime", [DAY]);
+      await ethers.provider.send("evm_mine");
+
+      await positionToken.connect(staker1).transferFrom(staker1.address, staker2.address, 1);
+
+      await expect(
+        positionToken.connect(staker1).unstakePosition(1)
+      ).to.be.revertedWithCustomError(positionToken, "NotPositionOwner");
+
+      const pending = await positionToken.positionEarned(1);
+      await positionToken.connect(staker2).claimPositionRewards(1);
+      expect(await govToken.balanceOf(staker2.address)).to.be.gte(pending);
+    });
+
+    it("Should only unstake a position after its lock ends", async function () {
+      await positionToken.connect(staker1).stakePosition(30 * DAY, { value: ethers.parseEther("1.0") });
+
+      await expect(
+        positionToken.connect(staker1).unstakePosition(1)
+      ).to.be.revertedWithCustomError(positionToken, "PositionLocked");
+
+      await ethers.provider.send("evm_increaseTime", [30 * DAY]);
+      await ethers.provider.send("evm_mine");
+
+      const tx = positionToken.connect(staker1).unstakePosition(1);
+      await expect(tx)
+        .to.emit(positionToken, "PositionUnstaked")
+        .withArgs(staker1.address, 1, ethers.parseEther("1.0"));
+      await expect(tx).to.changeEtherBalance(staker1, ethers.parseEther("1.0"));
+
+      // Pending rewards move to the owner's regular rewards
+      expect(await staking.unclaimedRewards(staker1.address)).to.be.gt(0);
+      expect(await positionToken.totalStaked()).to.equal(0);
+      expect(await staking.totalWeightedStake()).to.equal(0);
+      await expect(positionToken.ownerOf(1)).to.be.revertedWithCustomError(positionToken, "ERC721NonexistentToken");
+    });
+
+    it("Should queue position withdrawals when an unbonding period is set", async function () {
+      await staking.setUnbondingPeriod(7 * DAY);
+      await positionToken.connect(staker1).stakePosition(0, { value: ethers.parseEther("1.0") });
+
+      await expect(positionToken.connect(staker1).unstakePosition(1))
+        .to.emit(staking, "UnstakeRequested");
+      expect(await staking.unbondingBalance(staker1.address)).to.equal(ethers.parseEther("1.0"));
+    });
+
+    it("Should merge positions with the later unlock and the lower multiplier", async function () {
+      await positionToken.connect(staker1).stakePosition(365 * DAY, { value: ethers.parseEther("1.0") });
+      await positionToken.connect(staker1).stakePosition(30 * DAY, { value: ethers.parseEther("3.0") });
+      const longUnlock = (await positionToken.getPosition(1)).unlockTime;
+
+      await expect(positionToken.connect(staker1).mergePositions(1, 2))
+        .to.emit(positionToken, "PositionsMerged")
+        .withArgs(1, 2);
+
+      const position = await positionToken.getPosition(1);
+      expect(position.amount).to.equal(ethers.parseEther("4.0"));
+      expect(position.multiplierBps).to.equal(12500);
+      expect(position.weight).to.equal(ethers.parseEther("5.0"));
+      expect(position.unlockTime).to.equal(longUnlock);
+      expect(await staking.totalWeightedStake()).to.equal(ethers.parseEther("5.0"));
+      expect(await positionToken.totalStaked()).to.equal(ethers.parseEther("4.0"));
+      await expect(positionToken.ownerOf(2)).to.be.revertedWithCustomError(positionToken, "ERC721NonexistentToken");
+
+      await expect(
+        positionToken.connect(staker1).mergePositions(1, 1)
+      ).to.be.revertedWithCustomError(positionToken, "CannotMergePosition").withArgs(1);
+    });
+
+    it("Should split a position into a new NFT with the same lock", async function () {
+      await positionToken.connect(staker1).stakePosition(90 * DAY, { value: ethers.parseEther("3.0") });
+
+      await expect(positionToken.connect(staker1).splitPosition(1, ethers.parseEther("1.0")))
+        .to.emit(positionToken, "PositionSplit")
+        .withArgs(1, 2, ethers.parseEther("1.0"));
+
+      const original = await positionToken.getPosition(1);
+      const split = await positionToken.getPosition(2);
+      expect(original.amount).to.equal(ethers.parseEther("2.0"));
+      expect(split.amount).to.equal(ethers.parseEther("1.0"));
+      expect(split.unlockTime).to.equal(original.unlockTime);
+      expect(split.multiplierBps).to.equal(15000);
+      expect(await positionToken.ownerOf(2)).to.equal(staker1.address);
+      expect(await staking.totalWeightedStake()).to.equal(ethers.parseEther("4.5"));
+      expect(await positionToken.totalStaked()).to.equal(ethers.parseEther("3.0"));
+
+      await expect(
+        positionToken.connect(staker1).splitPosition(1, ethers.parseEther("2.0"))
+      ).to.be.revertedWithCustomError(positionToken, "InvalidSplitAmount");
+    });
+
+    it("Should drop the multiplier of an expired position lock", async function () {
+      await positionToken.connect(staker1).stakePosition(30 * DAY, { value: ethers.parseEther("1.0") });
+
+      await expect(
+        positionToken.releasePositionLock(1)
+      ).to.be.revertedWithCustomError(positionToken, "LockNotExpired");
+
+      await ethers.provider.send("evm_increaseTime", [30 * DAY]);
+      await ethers.provider.send("evm_mine");
+
+      await expect(positionToken.connect(staker2).releasePositionLock(1))
+        .to.emit(positionToken, "PositionLockReleased")
+        .withArgs(1);
+      expect((await positionToken.getPosition(1)).weight).to.equal(ethers.parseEther("1.0"));
+      expect(await staking.totalWeightedStake()).to.equal(ethers.parseEther("1.0"));
+
+      await expect(
+        positionToken.releasePositionLock(1)
+      ).to.be.revertedWithCustomError(positionToken, "LockAlreadyReleased");
+    });
+
+    it("Should stop the multiplier of a position that is never released at its unlock time", async function () {
+      await staking.connect(staker1).stake({ value: ethers.parseEther("1.0") });
+      await positionToken.connect(staker2).stakePosition(30 * DAY, { value: ethers.parseEther("1.0") });
+
+      await ethers.provider.send("evm_increaseTime", [30 * DAY]);
+      await ethers.provider.send("evm_mine");
+      const earnedAtUnlock = await positionToken.positionEarned(1);
+
+      await ethers.provider.send("evm_increaseTime", [30 * DAY]);
+      await ethers.provider.send("evm_mine");
+
+      // After the unlock, the position earns no more than the unlocked stake of the same size
+      const earnedAfterUnlock = (await positionToken.positionEarned(1)) - earnedAtUnlock;
+      expect(earnedAfterUnlock).to.be.lte(rewardRate * BigInt(30 * DAY) / 2n);
+      expect(earnedAfterUnlock).to.be.gt(0);
+
+      // Claiming releases the lock and pays the capped rewards
+      await expect(positionToken.connect(staker2).claimPositionRewards(1))
+        .to.emit(positionToken, "PositionLockReleased")
+        .withArgs(1);
+      expect(await govToken.balanceOf(staker2.address)).to.be.closeTo(
+        earnedAtUnlock + earnedAfterUnlock,
+        rewardRate * 2n
+      );
+      const position = await positionToken.getPosition(1);
+      expect(position.multiplierBps).to.equal(10_000);
+      expect(position.weight).to.equal(ethers.parseEther("1.0"));
+      expect(await staking.totalWeightedStake()).to.equal(ethers.parseEther("2.0"));
+    });
+
+    it("Should allow emergency withdrawal of a position while paused", async function () {
+      await positionToken.connect(staker1).stakePosition(365 * DAY, { value: ethers.parseEther("1.0") });
+      await staking.pause();
+
+      const tx = positionToken.connect(staker1).emergencyWithdrawPosition(1);
+      await expect(tx).to.emit(positionToken, "EmergencyWithdrawn");
+      await expect(tx).to.changeEtherBalance(staker1, ethers.parseEther("1.0"));
+      expect(await positionToken.totalStaked()).to.equal(0);
+    });
+
+    it("Should slash a position's ETH to the treasury and forfeit its rewards", async function () {
+      const [, , , treasury, slasher] = await ethers.getSigners();
+      await positionToken.connect(staker1).stakePosition(90 * DAY, { value: ethers.parseEther("2.0") });
+      await ethers.provider.send("evm_increaseTime", [DAY]);
+      await ethers.provider.send("evm_mine");
+
+      await expect(
+        positionToken.slashPosition(1, 5000, "")
+      ).to.be.revertedWithCustomError(positionToken, "InvalidTreasuryAddress");
+      await staking.setTreasury(treasury.address);
+      await expect(
+        positionToken.connect(slasher).slashPosition(1, 5000, "")
+      ).to.be.revertedWithCustomError(positionToken, "UnauthorizedSlasher").withArgs(slasher.address);
+      await expect(
+        positionToken.slashPosition(1, 10001, "")
+      ).to.be.revertedWithCustomError(positionToken, "InvalidSlashBps").withArgs(10001);
+
+      await staking.setSlasher(slasher.address);
+      const tx = positionToken.connect(slasher).slashPosition(1, 5000, "proposal #3");
+      await expect(tx)
+        .to.emit(positionToken, "PositionSlashed")
+        .withArgs(staker1.address, 1, 5000, ethers.parseEther("1.0"), (rewards) => rewards > 0n, "proposal #3");
+      await expect(tx).to.changeEtherBalances(
+        [positionToken, treasury],
+        [ethers.parseEther("-1.0"), ethers.parseEther("1.0")]
+      );
+
+      // The position keeps its lock and multiplier at half the size
+      const position = await positionToken.getPosition(1);
+      expect(position.amount).to.equal(ethers.parseEther("1.0"));
+      expect(position.weight).to.equal(ethers.parseEther("1.5"));
+      expect(position.unclaimedRewards).to.equal(0);
+      expect(await positionToken.totalStaked()).to.equal(ethers.parseEther("1.0"));
+      expect(await staking.totalWeightedStake()).to.equal(ethers.parseEther("1.5"));
+
+      // Slashing the rest burns the position
+      await positionToken.slashPosition(1, 10000, "proposal #4");
+      await expect(positionToken.ownerOf(1)).to.be.revertedWithCustomError(positionToken, "ERC721NonexistentToken");
+      expect(await positionToken.totalStaked()).to.equal(0);
+      expect(await staking.totalWeightedStake()).to.equal(0);
+      await expect(
+        positionToken.slashPosition(1, 10000, "")
+      ).to.be.revertedWithCustomError(positionToken, "ERC721NonexistentToken");
+    });
+
+    it("Should only let the position token use the staking hooks", async function () {
+      await expect(
+        staking.connect(staker1).updatePositionWeight(0, ethers.parseEther("1000"))
+      ).to.be.revertedWithCustomError(staking, "OnlyStakingModule").withArgs(staker1.address);
+      await expect(
+        staking.connect(staker1).onPositionUnstaked(staker1.address, ethers.parseEther("1000"))
+      ).to.be.revertedWithCustomError(staking, "OnlyStakingModule").withArgs(staker1.address);
+      await expect(
+        staking.connect(staker1).mintRewards(staker1.address, ethers.parseEther("1000"))
+      ).to.be.revertedWithCustomError(staking, "OnlyStakingModule").withArgs(staker1.address);
+    });
+
+    it("Should generate token metadata on-chain", async function () {
+      await positionToken.connect(staker1).stakePosition(30 * DAY, { value: ethers.parseEther("1.5") });
+
+      const uri = await positionToken.tokenURI(1);
+      expect(uri.startsWith("data:application/json;base64,")).to.equal(true);
+
+      const metadata = JSON.parse(Buffer.from(uri.split(",")[1], "base64").toString());
+      expect(metadata.name).to.equal("Staking Position #1");
+      expect(metadata.attributes[0]).to.deep.equal({ trait_type: "Staked ETH", value: "1.5000" });
+      expect(metadata.attributes[2]).to.deep.equal({ trait_type: "Multiplier", value: "1.25" });
+      expect(metadata.image.startsWith("data:image/svg+xml;base64,")).to.equal(true);
+
+      await expect(positionToken.tokenURI(2)).to.be.revertedWithCustomError(positionToken, "ERC721NonexistentToken");
+    });
+  });
+});
@@ -0,0 +1,265 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { deployStaking } = require("./helpers/deployStaking");
+
+describe("StakingVotingPower", function () {
+  let govToken;
+  let staking;
+  let votingPower;
+  let daoGovernance;
+  let owner;
+  let staker1;
+  let staker2;
+  let holder;
+  let rewardRate;
+
+  // Voting power per staked ETH: 0.5 GOV per ETH
+  const stakeWeight = ethers.parseEther("0.5");
+
+  async function mineBlock() {
+    await ethers.provider.send("evm_mine");
+    return (await ethers.provider.getBlockNumber()) - 1;
+  }
+
+  beforeEach(async function () {
+    // Get signers
+    [owner, staker1, staker2, holder] = await ethers.getSigners();
+
+    // Deploy GovToken and Staking
+    const GovToken = await ethers.getContractFactory("GovToken");
+    govToken = await upgrades.deployProxy(GovToken, [], { kind: "uups" });
+    await govToken.waitForDeployment();
+
+    rewardRate = ethers.parseEther("0.0000115"); // ~1 token per day
+    staking = await deployStaking(await govToken.getAddress(), rewardRate);
+    await govToken.setStakingContract(await staking.getAddress());
+
+    // Deploy the voting power source
+    const StakingVotingPower = await ethers.getContractFactory("StakingVotingPower");
+    votingPower = await StakingVotingPower.deploy(
+      await govToken.getAddress(),
+      await staking.getAddress(),
+      stakeWeight
+    );
+    await votingPower.waitForDeployment();
+
+    // Deploy DAOGovernance
+    const DAOGovernance = await ethers.getContractFactory("DAOGovernance");
+    daoGovernance = await upgrades.deployProxy(DAOGovernance, [await govToken.getAddress()], { kind: "uups" });
+    await daoGovernance.waitForDeployment();
+  });
+
+  describe("Deployment", function () {
+    it("Should set the token, staking contract and weight", async function () {
+      expect(await votingPower.govToken()).to.equal(await govToken.getAddress());
+      expect(await votingPower.staking()).to.equal(await staking.getAddress());
+      expect(await votingPower.stakeWeight()).to.equal(stakeWeight);
+    });
+
+    it("Should revert on zero addresses", async function () {
+      const StakingVotingPower = await ethers.getContractFactory("StakingVotingPower");
+
+      await expect(
+        StakingVotingPower.deploy(ethers.ZeroAddress, await staking.getAddress(), 0)
+      ).to.be.revertedWithCustomError(votingPower, "InvalidGovTokenAddress")
+      .withArgs(ethers.ZeroAddress);
+
+      await expect(
+        StakingVotingPower.deploy(await govToken.getAddress(), ethers.ZeroAddress, 0)
+      ).to.be.revertedWithCustomError(votingPower, "InvalidStakingAddress")
+      .withArgs(ethers.ZeroAddress);
+    });
+  });
+
+  describe("Voting Power", function () {
+    it("Should combine GOV, unclaimed rewards and weighted staked ETH", async function () {
+      await staking.connect(staker1).stake({ value: ethers.parseEther("2.0") });
+      await ethers.provider.send("evm_increaseTime", [86400]);
+      await ethers.provider.send("evm_mine");
+
+      // Claim part of the rewards as GOV, then keep earning
+      await staking.connect(staker1).claimGovToken();
+      await ethers.provider.send("evm_increaseTime", [86400]);
+      // Another stake updates the reward accumulator
+      await staking.connect(staker2).stake({ value: ethers.parseEther("1.0") });
+      const snapshot = await mineBlock();
+
+      const gov = await govToken.getPastVotes(staker1.address, snapshot);
+      const unclaimed = await staking.getPastEarned(staker1.address, snapshot);
+      const expected = gov + unclaimed + ethers.parseEther("1.0"); // 2 ETH * 0.5
+
+      expect(gov).to.be.gt(0);
+      expect(unclaimed).to.be.closeTo(rewardRate * 86400n, rewardRate * 5n);
+      expect(await votingPower.getPastVotingPower(staker1.address, snapshot)).to.equal(expected);
+    });
+
+    it("Should give an unclaimed staker voting power", async function () {
+      await votingPower.setStakeWeight(0);
+      await staking.connect(staker1).stake({ value: ethers.parseEther("1.0") });
+      await ethers.provider.send("evm_increaseTime", [86400]);
+      await staking.connect(staker2).stake({ value: ethers.parseEther("1.0") });
+      const snapshot = await mineBlock();
+
+      expect(await govToken.balanceOf(staker1.address)).to.equal(0);
+      const power = await votingPower.getPastVotingPower(staker1.address, snapshot);
+      expect(power).to.equal(await staking.getPastEarned(staker1.address, snapshot));
+      expect(power).to.be.gt(0);
+    });
+
+    it("Should read staked ETH at the snapshot", async function () {
+      await staking.connect(staker1).stake({ value: ethers.parseEther("2.0") });
+      const snapshot = await mineBlock();
+
+      // Unstaking after the snapshot does not reduce the snapshot voting power from ETH
+      await staking.connect(staker1).unstake(ethers.parseEther("2.0"));
+      await ethers.provider.send("evm_mine");
+
+      // Nothing was earned yet at the snapshot
+      expect(await votingPower.getPastVotingPower(staker1.address, snapshot)).to.equal(ethers.parseEther("1.0"));
+    });
+
+    it("Should read unclaimed rewards at the snapshot", async function () {
+      await votingPower.setStakeWeight(0);
+      await staking.connect(staker1).stake({ value: ethers.parseEther("1.0") });
+      await ethers.provider.send("evm_increaseTime", [86400]);
+      await staking.connect(staker2).stake({ value: ethers.parseEther("1.0") });
+      const snapshot = await mineBlock();
+      const unclaimedAtSnapshot = await staking.getPastEarned(staker1.address, snapshot);
+
+      // Rewards earned or claimed after the snapshot don't change it
+      await ethers.provider.send("evm_increaseTime", [86400]);
+      await staking.connect(staker1).claimGovToken();
+      await ethers.provider.send("evm_mine");
+
+      expect(await votingPower.getPastVotingPower(staker1.address, snapshot)).to.equal(unclaimedAtSnapshot);
+      expect(await staking.getPastEarned(staker2.address, snapshot)).to.equal(0);
+      await expect(
+        staking.getPastEarned(staker1.address, await ethers.provider.getBlockNumber())
+      ).to.be.revertedWithCustomError(staking, "FutureLookup");
+    });
+
+    it("Should combine GOV supply and weighted total stake into the total", async function () {
+      await staking.connect(staker1).stake({ value: ethers.parseEther("1.0") });
+      await staking.connect(staker2).stake({ value: ethers.parseEther("3.0") });
+      await ethers.provider.send("evm_increaseTime", [86400]);
+      await staking.connect(staker1).claimGovToken();
+      const snapshot = await mineBlock();
+
+      const supply = await govToken.getPastTotalSupply(snapshot);
+      expect(await votingPower.getPastTotalVotingPower(snapshot))
+        .to.equal(supply + ethers.parseEther("2.0")); // 4 ETH * 0.5
+    });
+  });
+
+  describe("Configuration", function () {
+    it("Should let the owner change the stake weight", async function () {
+      await expect(votingPower.setStakeWeight(ethers.parseEther("2")))
+        .to.emit(votingPower, "StakeWeightChanged")
+        .withArgs(stakeWeight, ethers.parseEther("2"));
+    });
+
+    it("Should not let others change the stake weight", async function () {
+      await expect(
+        votingPower.connect(staker1).setStakeWeight(0)
+      ).to.be.revertedWithCustomError(votingPower, "OwnableUnauthorizedAccount")
+      .withArgs(staker1.address);
+    });
+  });
+
+  describe("Governance Integration", function () {
+    beforeEach(async function () {
+      await daoGovernance.setMinimumVotingPeriod(5);
+      await expect(daoGovernance.setVotingPowerSource(await votingPower.getAddress()))
+        .to.emit(daoGovernance, "VotingPowerSourceChanged")
+        .withArgs(ethers.ZeroAddress, await votingPower.getAddress());
+    });
+
+    it("Should weigh votes with the configured source", async function () {
+      await staking.connect(staker1).stake({ value: ethers.parseEther("2.0") });
+      await ethers.provider.send("evm_increaseTime", [86400]);
+      await staking.connect(staker1).claimGovToken();
+      await ethers.provider.send("evm_increaseTime", [3600]);
+      await staking.connect(staker2).stake({ value: ethers.parseEther("1.0") });
+      await ethers.provider.send("evm_mine");
+
+      await daoGovernance.connect(staker1).createProposal("Stakers decide", 10);
+      const snapshot = (await daoGovernance.proposals(0)).snapshotBlock;
+      await daoGovernance.connect(staker1).vote(0, true);
+
+      const yesVotes = (await daoGovernance.getProposalStatus(0)).yesVotes;
+      const gov = await govToken.getPastVotes(staker1.address, snapshot);
+      const unclaimed = await staking.getPastEarned(staker1.address, snapshot);
+      expect(unclaimed).to.be.gt(0);
+      expect(yesVotes).to.equal(gov + unclaimed + ethers.parseEther("1.0"));
+    });
+
+    it("Should not let staked ETH moved after the snapshot vote twice", async function () {
+      await votingPower.setStakeWeight(ethers.parseEther("1000"));
+      await staking.connect(staker1).stake({ value: ethers.parseEther("1.0") });
+      await govToken.setStakingContract(owner.address);
+      await govToken.mint(staker1.address, ethers.parseEther("1")); // enough to propose
+      await daoGovernance.connect(staker1).createProposal("Snapshot", 10);
+
+      // staker1 moves its stake to staker2 after the snapshot
+      await staking.connect(staker1).unstake(ethers.parseEther("1.0"));
+      await staking.connect(staker2).stake({ value: ethers.parseEther("1.0") });
+
+      // staker2 had neither stake nor rewards at the snapshot
+      await expect(
+        daoGovernance.connect(staker2).vote(0, true)
+      ).to.be.revertedWithCustomError(daoGovernance, "NoVotingPower").withArgs(staker2.address);
+    });
+
+    it("Should not count rewards earned by staking after the snapshot", async function () {
+      await staking.connect(staker1).stake({ value: ethers.parseEther("1.0") });
+      await ethers.provider.send("evm_mine");
+      await daoGovernance.connect(staker1).createProposal("Late stakers", 1000);
+
+      // staker2 stakes after the snapshot and earns rewards before voting
+      await staking.connect(staker2).stake({ value: ethers.parseEther("5.0") });
+      await ethers.provider.send("evm_increaseTime", [600]);
+      await staking.connect(staker1).claimGovToken();
+      expect(await staking.earned(staker2.address)).to.be.gt(0);
+
+      await expect(
+        daoGovernance.connect(staker2).vote(0, true)
+      ).to.be.revertedWithCustomError(daoGovernance, "NoVotingPower").withArgs(staker2.address);
+    });
+
+    it("Should let a staker without GOV propose with their staking voting power", async function () {
+      await daoGovernance.setProposalThreshold(ethers.parseEther("0.5"));
+      await staking.connect(staker1).stake({ value: ethers.parseEther("1.0") });
+      await ethers.provider.send("evm_mine");
+
+      expect(await govToken.balanceOf(staker1.address)).to.equal(0);
+      await expect(daoGovernance.connect(staker1).createProposal("Staker proposal", 10))
+        .to.emit(daoGovernance, "ProposalCreated");
+    });
+
+    it("Should compute quorum from the source's total voting power", async function () {
+      await staking.connect(staker1).stake({ value: ethers.parseEther("10.0") });
+      await govToken.setStakingContract(owner.address);
+      await govToken.mint(holder.address, ethers.parseEther("100"));
+      await daoGovernance.connect(holder).createProposal("Quorum", 10);
+
+      // 4% of (100 GOV + 10 ETH * 0.5)
+      expect(await daoGovernance.quorum(0)).to.equal(ethers.parseEther("4.2"));
+    });
+
+    it("Should keep the source a proposal was created with", async function () {
+      await govToken.setStakingContract(owner.address);
+      await govToken.mint(holder.address, ethers.parseEther("100"));
+      await daoGovernance.connect(holder).createProposal("Before switch", 10);
+
+      await daoGovernance.setVotingPowerSource(ethers.ZeroAddress);
+      expect((await daoGovernance.proposals(0)).votingPowerSource).to.equal(await votingPower.getAddress());
+    });
+
+    it("Should only let governance change the source", async function () {
+      await expect(
+        daoGovernance.connect(staker1).setVotingPowerSource(ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(daoGovernance, "UnauthorizedGovernanceCall")
+      .withArgs(staker1.address);
+    });
+  });
+});
@@ -0,0 +1,241 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { deployStaking } = require("./helpers/deployStaking");
+
+describe("Upgrades", function () {
+  let govToken;
+  let staking;
+  let daoGovernance;
+  let owner;
+  let staker1;
+  let staker2;
+  let voter;
+
+  const createWithActions = "createProposal(string,uint256,address[],uint256[],bytes[])";
+
+  beforeEach(async function () {
+    [owner, staker1, staker2, voter] = await ethers.getSigners();
+
+    // Deploy the three proxies the same way scripts/deploy.js does
+    const GovToken = await ethers.getContractFactory("GovToken");
+    govToken = await upgrades.deployProxy(GovToken, [], { kind: "uups" });
+    await govToken.waitForDeployment();
+
+    staking = await deployStaking(await govToken.getAddress(), ethers.parseEther("0.0000115"));
+    await govToken.setStakingContract(await staking.getAddress());
+
+    const DAOGovernance = await ethers.getContractFactory("DAOGovernance");
+    daoGovernance = await upgrades.deployProxy(DAOGovernance, [await govToken.getAddress()], { kind: "uups" });
+    await daoGovernance.waitForDeployment();
+    await daoGovernance.setMinimumVotingPeriod(5);
+
+    // Give the voter enough GOV to pass proposals on their own
+    await govToken.grantRole(await govToken.MINTER_ROLE(), owner.address);
+    await govToken.setMinterAllowance(owner.address, ethers.parseEther("1000"));
+    await govToken.mint(voter.address, ethers.parseEther("1000"));
+  });
+
+  async function passAndExecute(proposalId) {
+    await daoGovernance.connect(voter).vote(proposalId, true);
+    await ethers.provider.send("evm_increaseTime", [15]);
+    await ethers.provider.send("evm_mine");
+    await daoGovernance.queueProposal(proposalId);
+    await ethers.provider.send("evm_increaseTime", [Number(await daoGovernance.timelockDelay())]);
+    await ethers.provider.send("evm_mine");
+    return daoGovernance.executeProposal(proposalId);
+  }
+
+  describe("Initialization", function () {
+    it("Should initialize each proxy once", async function () {
+      await expect(govToken.initialize())
+        .to.be.revertedWithCustomError(govToken, "InvalidInitialization");
+      await expect(staking.initialize(await govToken.getAddress()))
+        .to.be.revertedWithCustomError(staking, "InvalidInitialization");
+      await expect(daoGovernance.initialize(await govToken.getAddress()))
+        .to.be.revertedWithCustomError(daoGovernance, "InvalidInitialization");
+    });
+
+    it("Should not allow initializing the implementations directly", async function () {
+      const implementation = await ethers.getContractAt(
+        "Staking",
+        await upgrades.erc1967.getImplementationAddress(await staking.getAddress())
+      );
+
+      await expect(implementation.initialize(await govToken.getAddress()))
+        .to.be.revertedWithCustomError(implementation, "InvalidInitialization");
+    });
+
+    it("Should set the defaults in the initializers", async function () {
+      expect(await staking.lockMultipliers(30 * 24 * 60 * 60)).to.equal(12_500);
+      expect(await daoGovernance.minimumVotingPeriod()).to.equal(5);
+      expect(await daoGovernance.timelockDelay()).to.equal(2 * 24 * 60 * 60);
+      expect(await daoGovernance.quorumBps()).to.equal(400);
+    });
+
+    it("Should only register the staking tokens once, and only tokens deployed for the proxy", async function () {
+      const receiptToken = await staking.receiptToken();
+      const positionToken = await staking.positionToken();
+
+      await expect(staking.setTokens(receiptToken, positionToken))
+        .to.be.revertedWithCustomError(staking, "TokensAlreadySet")
+        .withArgs(receiptToken, positionToken);
+
+      const Staking = await ethers.getContractFactory("Staking");
+      const fresh = await upgrades.deployProxy(Staking, [await govToken.getAddress()], { kind: "uups" });
+      const foreignReceipt = await ethers.deployContract("StakingReceipt", [owner.address]);
+      await expect(fresh.setTokens(await foreignReceipt.getAddress(), positionToken))
+        .to.be.revertedWithCustomError(fresh, "InvalidStakingToken")
+        .withArgs(await foreignReceipt.getAddress());
+    });
+
+    it("Should only register the pools once, and only pools deployed for the proxy", async function () {
+      const pools = await staking.pools();
+      await expect(staking.setPools(pools))
+        .to.be.revertedWithCustomError(staking, "PoolsAlreadySet")
+        .withArgs(pools);
+
+      const Staking = await ethers.getContractFactory("Staking");
+      const fresh = await upgrades.deployProxy(Staking, [await govToken.getAddress()], { kind: "uups" });
+      await expect(fresh.setPools(pools))
+        .to.be.revertedWithCustomError(fresh, "InvalidStakingModule")
+        .withArgs(pools);
+    });
+  });
+
+  describe("Upgrading a Live Deployment", function () {
+    it("Should keep stakes, unclaimed rewards and proposals across upgrades", async function () {
+      // Stakes, a lock and a position
+      await staking.connect(staker1).stake({ value: ethers.parseEther("2") });
+      await staking.connect(staker2).stakeLocked(30 * 24 * 60 * 60, { value: ethers.parseEther("1") });
+      const positionToken = await ethers.getContractAt("StakingPositions", await staking.positionToken());
+      await positionToken.connect(staker2).stakePosition(0, { value: ethers.parseEther("1") });
+      await ethers.provider.send("evm_increaseTime", [86400]);
+      await ethers.provider.send("evm_mine");
+      // Staking again settles the rewards earned so far into unclaimedRewards
+      await staking.connect(staker1).stake({ value: ethers.parseEther("1") });
+
+      // A proposal with votes
+      await daoGovernance.connect(voter)["createProposal(string,uint256)"]("Keep me", 3600);
+      await daoGovernance.connect(voter).vote(0, true);
+
+      const receiptToken = await ethers.getContractAt("StakingReceipt", await staking.receiptToken());
+      const before = {
+        staked: await staking.stakedBalance(staker1.address),
+        totalStaked: await staking.totalStaked(),
+        unclaimed: await staking.unclaimedRewards(staker1.address),
+        earned: await staking.earned(staker1.address),
+        receipt: await receiptToken.balanceOf(staker1.address),
+        locks: await staking.getLocks(staker2.address),
+        position: await positionToken.getPosition(1),
+        rewardPerTokenStored: await staking.rewardPerTokenStored(),
+        proposal: (await daoGovernance.getProposals(0, 1))[0],
+        votes: await govToken.getVotes(voter.address),
+        supply: await govToken.totalSupply(),
+      };
+      expect(before.unclaimed).to.be.gt(0);
+
+      govToken = await upgrades.upgradeProxy(govToken, await ethers.getContractFactory("GovTokenV2"));
+      staking = await upgrades.upgradeProxy(staking, await ethers.getContractFactory("StakingV2"));
+      daoGovernance = await upgrades.upgradeProxy(daoGovernance, await ethers.getContractFactory("DAOGovernanceV2"));
+
+      expect(await govToken.version()).to.equal("2");
+      expect(await staking.version()).to.equal("2");
+      expect(await daoGovernance.version()).to.equal("2");
+
+      // Staking state is unchanged
+      expect(await staking.stakedBalance(staker1.address)).to.equal(before.staked);
+      expect(await staking.totalStaked()).to.equal(before.totalStaked);
+      expect(await staking.unclaimedRewards(staker1.address)).to.equal(before.unclaimed);
+      expect(await staking.rewardPerTokenStored()).to.equal(before.rewardPerTokenStored);
+      expect(await staking.earned(staker1.address)).to.be.gte(before.earned);
+      expect(await staking.receiptToken()).to.equal(await receiptToken.getAddress());
+      expect(await receiptToken.balanceOf(staker1.address)).to.equal(before.receipt);
+      expect(await staking.getLocks(staker2.address)).to.deep.equal(before.locks);
+      expect(await positionToken.getPosition(1)).to.deep.equal(before.position);
+
+      // Proposals and GOV balances are unchanged
+      expect((await daoGovernance.getProposals(0, 1))[0]).to.deep.equal(before.proposal);
+      expect(await govToken.getVotes(voter.address)).to.equal(before.votes);
+      expect(await govToken.totalSupply()).to.equal(before.supply);
+
+      // Everything keeps working on the new implementations
+      const earnedNow = await staking.earned(staker1.address);
+      await staking.connect(staker1).claimGovToken();
+      expect(await govToken.balanceOf(staker1.address)).to.be.gte(earnedNow);
+      expect(await staking.unclaimedRewards(staker1.address)).to.equal(0);
+
+      await staking.connect(staker1).unstake(ethers.parseEther("3"));
+      expect(await receiptToken.balanceOf(staker1.address)).to.equal(0);
+
+      await ethers.provider.send("evm_increaseTime", [3600]);
+      await ethers.provider.send("evm_mine");
+      expect(await daoGovernance.state(0)).to.equal(3); // Succeeded
+    });
+
+    it("Should reject implementations that are not upgrade safe", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+
+      await expect(upgrades.validateUpgrade(await govToken.getAddress(), MockERC20, { kind: "uups" }))
+        .to.be.rejected;
+    });
+  });
+
+  describe("Upgrade Authorization", function () {
+    it("Should only let the owner upgrade GovToken and Staking", async function () {
+      const govTokenV2 = await upgrades.prepareUpgrade(govToken, await ethers.getContractFactory("GovTokenV2"));
+      const stakingV2 = await upgrades.prepareUpgrade(staking, await ethers.getContractFactory("StakingV2"));
+
+      await expect(govToken.connect(staker1).upgradeToAndCall(govTokenV2, "0x"))
+        .to.be.revertedWithCustomError(govToken, "OwnableUnauthorizedAccount")
+        .withArgs(staker1.address);
+      await expect(staking.connect(staker1).upgradeToAndCall(stakingV2, "0x"))
+        .to.be.revertedWithCustomError(staking, "OwnableUnauthorizedAccount")
+        .withArgs(staker1.address);
+    });
+
+    it("Should only let governance upgrade DAOGovernance", async function () {
+      const daoV2 = await upgrades.prepareUpgrade(daoGovernance, await ethers.getContractFactory("DAOGovernanceV2"));
+
+      await expect(daoGovernance.connect(staker1).upgradeToAndCall(daoV2, "0x"))
+        .to.be.revertedWithCustomError(daoGovernance, "UnauthorizedGovernanceCall")
+        .withArgs(staker1.address);
+    });
+
+    it("Should upgrade contracts owned by the DAO through a passed proposal", async function () {
+      await staking.connect(staker1).stake({ value: ethers.parseEther("1") });
+
+      const daoAddress = await daoGovernance.getAddress();
+      const stakingAddress = await staking.getAddress();
+      await staking.transferOwnership(daoAddress);
+      await daoGovernance.transferOwnership(daoAddress);
+
+      const stakingV2 = await upgrades.prepareUpgrade(staking, await ethers.getContractFactory("StakingV2"));
+      const daoV2 = await upgrades.prepareUpgrade(daoGovernance, await ethers.getContractFactory("DAOGovernanceV2"));
+
+      // Accept ownership and upgrade in the same proposal
+      const accept = staking.interface.encodeFunctionData("acceptOwnership");
+      const upgradeStaking = staking.interface.encodeFunctionData("upgradeToAndCall", [stakingV2, "0x"]);
+      const upgradeDao = daoGovernance.interface.encodeFunctionData("upgradeToAndCall", [daoV2, "0x"]);
+      await daoGovernance.connect(voter)[createWithActions](
+        "Upgrade Staking and DAOGovernance",
+        10,
+        [stakingAddress, stakingAddress, daoAddress, daoAddress],
+        [0, 0, 0, 0],
+        [accept, upgradeStaking, accept, upgradeDao]
+      );
+      await passAndExecute(0);
+
+      expect(await upgrades.erc1967.getImplementationAddress(stakingAddress)).to.equal(stakingV2);
+      expect(await upgrades.erc1967.getImplementationAddress(daoAddress)).to.equal(daoV2);
+      expect(await staking.owner()).to.equal(daoAddress);
+      expect(await daoGovernance.owner()).to.equal(daoAddress);
+      expect(await staking.stakedBalance(staker1.address)).to.equal(ethers.parseEther("1"));
+      expect((await daoGovernance.getProposals(0, 1))[0].state).to.equal(6); // Executed
+
+      // The deployer can no longer upgrade
+      await expect(staking.upgradeToAndCall(stakingV2, "0x"))
+        .to.be.revertedWithCustomError(staking, "OwnableUnauthorizedAccount")
+        .withArgs(owner.address);
+    });
+  });
+});
\ No newline at end of file
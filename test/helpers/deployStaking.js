@@ -0,0 +1,30 @@
+const { ethers, upgrades } = require("hardhat");
+
+// Length of the reward period started by deployStaking, long enough for every test
+const REWARD_PERIOD = 10 * 365 * 24 * 60 * 60;
+
+// Deploys Staking behind a UUPS proxy, then deploys its stGOV-ETH receipt and stGOV-POS
+// position tokens and its ERC20 pools for the proxy and registers them. With a reward rate,
+// it also starts a reward period from the next block whose budget emits at that rate
+async function deployStaking(govTokenAddress, rewardRate) {
+  const Staking = await ethers.getContractFactory("Staking");
+  const staking = await upgrades.deployProxy(Staking, [govTokenAddress], { kind: "uups" });
+  await staking.waitForDeployment();
+  const stakingAddress = await staking.getAddress();
+
+  const receiptToken = await ethers.deployContract("StakingReceipt", [stakingAddress]);
+  const positionToken = await ethers.deployContract("StakingPositions", [stakingAddress]);
+  await staking.setTokens(await receiptToken.getAddress(), await positionToken.getAddress());
+  const pools = await ethers.deployContract("StakingPools", [stakingAddress]);
+  await staking.setPools(await pools.getAddress());
+
+  if (rewardRate) {
+    const start = (await ethers.provider.getBlock("latest")).timestamp + 1;
+    await ethers.provider.send("evm_setNextBlockTimestamp", [start]);
+    await staking.startRewardPeriod(start, REWARD_PERIOD, rewardRate * BigInt(REWARD_PERIOD));
+  }
+
+  return staking;
+}
+
+module.exports = { deployStaking, REWARD_PERIOD };